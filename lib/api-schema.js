@@ -0,0 +1,185 @@
+// Request shapes for the v1 API and the OpenAPI document built from them. Each route declares its
+// params, query and body once, as fields in a small JSON Schema subset; the same declaration becomes its
+// express-validator rules and its OpenAPI operation, so the docs cannot drift from what is enforced.
+//
+// Field: { type: "string" | "integer" | "number" | "boolean" | "array" | "object", required, nullable,
+//          description, example, enum, pattern, patternMessage, format: "email", minLength, maxLength,
+//          minimum, maximum, uppercase, items, minItems, maxItems, properties }
+
+const JSON_SCHEMA_KEYS = ["description", "example", "enum", "pattern", "format", "minLength", "maxLength", "minimum", "maximum", "minItems", "maxItems"];
+
+function rangeText(min, max, unit = "") {
+  if (min != null && max != null) return `between ${min} and ${max}${unit}`;
+  if (min != null) return `at least ${min}${unit}`;
+  return `at most ${max}${unit}`;
+}
+
+function addRules(rules, path, spec, required) {
+  const rule = {};
+  if (required) rule.exists = { options: { values: "null" }, errorMessage: "is required", bail: true };
+  else rule.optional = { options: { values: spec.nullable ? "null" : "undefined" } };
+
+  switch (spec.type) {
+    case "string":
+      rule.isString = { errorMessage: "must be a string", bail: true };
+      rule.trim = true;
+      if (required && spec.minLength == null) rule.notEmpty = { errorMessage: "must not be empty", bail: true };
+      if (spec.minLength != null || spec.maxLength != null) {
+        rule.isLength = { options: { min: spec.minLength ?? 0, max: spec.maxLength }, errorMessage: `must be ${rangeText(spec.minLength, spec.maxLength, " characters")}`, bail: true };
+      }
+      if (spec.format === "email") rule.isEmail = { errorMessage: "must be an email address", bail: true };
+      if (spec.pattern) rule.matches = { options: [new RegExp(spec.pattern)], errorMessage: spec.patternMessage || "has an invalid format", bail: true };
+      if (spec.uppercase) rule.toUpperCase = true;
+      if (spec.enum) rule.isIn = { options: [spec.enum], errorMessage: `must be one of: ${spec.enum.join(", ")}` };
+      break;
+    case "integer":
+    case "number":
+    case "boolean": {
+      // Standard validators check each element of an array on their own, so rule arrays out first
+      rule.custom = { options: value => typeof value !== "object", errorMessage: `must be ${spec.type === "integer" ? "an integer" : `a ${spec.type}`}`, bail: true };
+      if (spec.type === "boolean") {
+        rule.isBoolean = { errorMessage: "must be true or false" };
+        rule.toBoolean = { options: [true] };
+        break;
+      }
+      const check = spec.type === "integer" ? "isInt" : "isFloat";
+      const noun = spec.type === "integer" ? "an integer" : "a number";
+      const hasRange = spec.minimum != null || spec.maximum != null;
+      rule[check] = { options: { min: spec.minimum, max: spec.maximum }, errorMessage: `must be ${noun}${hasRange ? ` ${rangeText(spec.minimum, spec.maximum)}` : ""}` };
+      rule[spec.type === "integer" ? "toInt" : "toFloat"] = true;
+      break;
+    }
+    case "array":
+      rule.isArray = { errorMessage: "must be a list", bail: true };
+      if (spec.minItems != null || spec.maxItems != null) {
+        rule.custom = {
+          options: value => value.length >= (spec.minItems ?? 0) && value.length <= (spec.maxItems ?? Infinity),
+          errorMessage: `must have ${rangeText(spec.minItems, spec.maxItems)} items`,
+          bail: true,
+        };
+      }
+      break;
+    case "object":
+      rule.isObject = { errorMessage: "must be an object", bail: true };
+      break;
+    default:
+      throw new Error(`Unsupported field type "${spec.type}" for ${path}`);
+  }
+  rules[path] = rule;
+
+  if (spec.type === "array" && spec.items) addRules(rules, `${path}.*`, spec.items, true);
+  if (spec.type === "object" && spec.properties) {
+    for (const [name, child] of Object.entries(spec.properties)) addRules(rules, `${path}.${name}`, child, child.required);
+  }
+}
+
+// express-validator checkSchema() rules for the fields of one request location. Path params are
+// always required.
+export function validatorRules(fields, { allRequired = false } = {}) {
+  const rules = {};
+  for (const [name, spec] of Object.entries(fields)) addRules(rules, name, spec, allRequired || spec.required);
+  return rules;
+}
+
+export function toJsonSchema(spec) {
+  const schema = { type: spec.nullable ? [spec.type, "null"] : spec.type };
+  for (const key of JSON_SCHEMA_KEYS) if (spec[key] !== undefined) schema[key] = spec[key];
+  if (spec.items) schema.items = toJsonSchema(spec.items);
+  if (spec.properties) Object.assign(schema, objectSchema(spec.properties));
+  return schema;
+}
+
+function objectSchema(fields) {
+  const required = Object.keys(fields).filter(name => fields[name].required);
+  return {
+    properties: Object.fromEntries(Object.entries(fields).map(([name, spec]) => [name, toJsonSchema(spec)])),
+    ...(required.length ? { required } : {}),
+  };
+}
+
+// route: { method, path (Express style), operationId, tag, summary, description, security, input, response }
+function operation(route) {
+  const { input = {} } = route;
+  const parameters = [
+    ...Object.entries(input.params || {}).map(([name, spec]) => ({ name, in: "path", required: true, description: spec.description, schema: toJsonSchema({ ...spec, description: undefined }) })),
+    ...Object.entries(input.query || {}).map(([name, spec]) => ({ name, in: "query", required: Boolean(spec.required), description: spec.description, schema: toJsonSchema({ ...spec, description: undefined }) })),
+  ];
+  const responses = {
+    200: { description: "Success", content: { "application/json": { schema: route.response || { $ref: "#/components/schemas/Success" } } } },
+  };
+  if (input.params || input.query || input.body) responses[400] = { $ref: "#/components/responses/ValidationError" };
+  if (route.security?.length) {
+    responses[401] = { $ref: "#/components/responses/Unauthorized" };
+    responses[403] = { $ref: "#/components/responses/Forbidden" };
+  }
+  if (input.params) responses[404] = { $ref: "#/components/responses/NotFound" };
+  for (const [status, description] of Object.entries(route.errors || {})) {
+    responses[status] = { description, content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } };
+  }
+
+  return {
+    operationId: route.operationId,
+    tags: route.tag ? [route.tag] : undefined,
+    summary: route.summary,
+    description: route.description,
+    security: route.security || [],
+    parameters: parameters.length ? parameters : undefined,
+    requestBody: input.body
+      ? { required: true, content: { "application/json": { schema: { type: "object", ...objectSchema(input.body) } } } }
+      : undefined,
+    responses,
+  };
+}
+
+const ERROR_SCHEMA = {
+  type: "object",
+  required: ["success", "message"],
+  properties: {
+    success: { type: "boolean", const: false },
+    message: { type: "string", description: "What went wrong, readable by people" },
+    errors: {
+      type: "array",
+      description: "Present on validation failures: one entry per invalid field",
+      items: {
+        type: "object",
+        required: ["field", "location", "message"],
+        properties: {
+          field: { type: "string", example: "morningStops[2].lat" },
+          location: { type: "string", enum: ["params", "query", "body"] },
+          message: { type: "string", example: "must be a number between -90 and 90" },
+        },
+      },
+    },
+  },
+};
+
+const errorResponse = description => ({ description, content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } });
+
+// OpenAPI 3.1 document for the routes. schemas are extra named response schemas for components.
+export function buildOpenApiDocument({ info, serverUrl, routes, securitySchemes = {}, schemas = {} }) {
+  const paths = {};
+  for (const route of routes) {
+    const path = route.path.replace(/:(\w+)/g, "{$1}");
+    (paths[path] ||= {})[route.method] = operation(route);
+  }
+  return JSON.parse(JSON.stringify({
+    openapi: "3.1.0",
+    info,
+    servers: [{ url: serverUrl }],
+    paths,
+    components: {
+      securitySchemes,
+      schemas: {
+        Success: { type: "object", required: ["success"], properties: { success: { type: "boolean", const: true } }, additionalProperties: true },
+        Error: ERROR_SCHEMA,
+        ...schemas,
+      },
+      responses: {
+        ValidationError: errorResponse("The request failed validation; see errors"),
+        Unauthorized: errorResponse("Missing, invalid or expired credentials"),
+        Forbidden: errorResponse("Signed in, but not allowed to do this"),
+        NotFound: errorResponse("No such resource"),
+      },
+    },
+  }));
+}
@@ -0,0 +1,23 @@
+// Field-level difference between two JSON snapshots, for the admin audit trail.
+// Paths use dots for both object keys and array indexes: "morningStops.2.name".
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+// Returns [{ path, before, after }] for every leaf that was added, removed or changed
+export function diffSnapshots(before, after, path = "") {
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const changes = [];
+    for (let i = 0; i < Math.max(before.length, after.length); i++) {
+      changes.push(...diffSnapshots(before[i], after[i], path ? `${path}.${i}` : String(i)));
+    }
+    return changes;
+  }
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].flatMap(k => diffSnapshots(before[k], after[k], path ? `${path}.${k}` : k));
+  }
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  return [{ path: path || "(root)", before: before ?? null, after: after ?? null }];
+}
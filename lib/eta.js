@@ -0,0 +1,104 @@
+// ETA estimation for a bus reaching a given stop.
+// Pure functions only: server.js loads stops, the latest GPS fix and segment history and passes them in.
+
+import geolib from "geolib";
+
+// Tunables are read on use, not at import: server.js loads .env after its imports run.
+// ETA_DEFAULT_SPEED_KMH: cruising speed when a segment has no recorded history
+// STOP_ARRIVAL_RADIUS_M: a fix this close to a stop counts as the bus being at that stop
+// TRANSIT_TIMEZONE: timetables are written in the college's local time, not the server's
+// EVENING_START: local time at which the evening trip takes over from the morning trip
+function defaultSpeedMs() {
+  return Number(process.env.ETA_DEFAULT_SPEED_KMH || 25) / 3.6;
+}
+
+function stopArrivalRadius() {
+  return Number(process.env.STOP_ARRIVAL_RADIUS_M || 80);
+}
+
+function toPoint(p) {
+  return { latitude: p.lat, longitude: p.lng };
+}
+
+function minutesOf(hhmm) {
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return h * 60 + m;
+}
+
+function travelSeconds(from, to) {
+  return geolib.getDistance(toPoint(from), toPoint(to)) / defaultSpeedMs();
+}
+
+// "HH:MM" in the transit timezone
+export function localClock(date = new Date()) {
+  const timeZone = process.env.TRANSIT_TIMEZONE || "Asia/Kolkata";
+  return new Intl.DateTimeFormat("en-GB", { timeZone, hour: "2-digit", minute: "2-digit", hourCycle: "h23" }).format(date);
+}
+
+export function currentPeriod(date = new Date()) {
+  return minutesOf(localClock(date)) < minutesOf(process.env.EVENING_START || "12:00") ? "MORNING" : "EVENING";
+}
+
+// The stop (of one period, ordered) the fix is sitting at, or null
+export function findArrivedStop(stops, fix) {
+  const radius = stopArrivalRadius();
+  let best = null;
+  for (const s of stops) {
+    const d = geolib.getDistance(toPoint(fix), toPoint(s));
+    if (d <= radius && (!best || d < best.d)) best = { stop: s, d };
+  }
+  return best?.stop || null;
+}
+
+// Live estimate from the bus's latest fix.
+// stops: one period's stops sorted by order; lastVisitedOrder: last stop seen this trip (or null);
+// segmentSeconds: Map fromOrder -> average seconds to the following stop.
+// Returns { seconds }, { passed: true } when the bus is already past the stop, or null.
+export function estimateLiveArrival({ stops, targetOrder, position, lastVisitedOrder = null, segmentSeconds = new Map() }) {
+  const targetIdx = stops.findIndex(s => s.order === targetOrder);
+  if (targetIdx === -1) return null;
+
+  let nextIdx;
+  if (lastVisitedOrder !== null) {
+    nextIdx = stops.findIndex(s => s.order > lastVisitedOrder);
+  } else {
+    // No visit seen yet this trip: assume the bus is heading to the stop nearest to it
+    nextIdx = stops.reduce((best, s, i) => {
+      const d = geolib.getDistance(toPoint(position), toPoint(s));
+      return d < best.d ? { i, d } : best;
+    }, { i: -1, d: Infinity }).i;
+  }
+  if (nextIdx === -1) return null; // trip finished
+  if (targetIdx < nextIdx) return { passed: true };
+
+  // Leg to the next stop: scale the segment's history by how much of it is left
+  const next = stops[nextIdx];
+  const prev = stops[nextIdx - 1];
+  const remaining = geolib.getDistance(toPoint(position), toPoint(next));
+  let seconds;
+  if (prev && segmentSeconds.has(prev.order)) {
+    const segmentLength = Math.max(1, geolib.getDistance(toPoint(prev), toPoint(next)));
+    seconds = segmentSeconds.get(prev.order) * Math.min(1, remaining / segmentLength);
+  } else {
+    seconds = remaining / defaultSpeedMs();
+  }
+
+  for (let i = nextIdx; i < targetIdx; i++) {
+    seconds += segmentSeconds.get(stops[i].order) ?? travelSeconds(stops[i], stops[i + 1]);
+  }
+  return { seconds: Math.round(seconds) };
+}
+
+// Timetable estimate: seconds until the stop's scheduled time today, or null if unscheduled/past
+export function estimateScheduledArrival(stop, now = new Date()) {
+  const scheduled = stop.arrivalTime || stop.departureTime;
+  if (!scheduled) return null;
+  const minutes = minutesOf(scheduled) - minutesOf(localClock(now));
+  return minutes >= 0 ? { seconds: minutes * 60, scheduled } : null;
+}
+
+// Exponential moving average over the last ~20 trips so route changes age out
+export function nextSegmentAverage(previous, samples, observedSeconds) {
+  if (!samples) return observedSeconds;
+  return previous + (observedSeconds - previous) / Math.min(samples + 1, 20);
+}
@@ -0,0 +1,141 @@
+// Bulk export and import of the fleet: buses, their drivers and capacities, and their ordered morning and
+// evening stops, as CSV or JSON. Buses are in the PUT /admin/buses/:number shape plus number, which is
+// also the shape of busData in prisma/seed.js.
+//
+// CSV has one row per stop, the bus columns repeated on each; a bus without stops is one row with the stop
+// columns left blank. Rows of a trip are taken in `order` when given, else in file order.
+
+export const FLEET_CSV_COLUMNS = [
+  "busNumber", "busName", "location", "capacity", "driverName", "driverPhone", "liveLocationUrl",
+  "period", "order", "stopName", "lat", "lng", "arrivalTime", "departureTime",
+];
+
+const BUS_COLUMNS = { busName: "name", location: "location", capacity: "capacity", driverName: "driverName", driverPhone: "driverPhone", liveLocationUrl: "liveLocationUrl" };
+const TRIPS = [["MORNING", "morningStops"], ["EVENING", "eveningStops"]];
+
+function csvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of cells (RFC 4180: quoted cells may hold commas, quotes and line breaks). Each row is given its
+// 1-based line number in the file as row.line.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [], cell = "", quoted = false, line = 1, rowLine = 1;
+  const src = String(text).replace(/^\uFEFF/, "");
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== "") rows.push(Object.assign(row, { line: rowLine }));
+    row = []; cell = "";
+  };
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else { if (ch === "\n") line++; cell += ch; }
+    } else if (ch === '"' && cell === "") quoted = true;
+    else if (ch === ",") { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      endRow();
+      rowLine = ++line;
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length) endRow();
+  return rows;
+}
+
+export function fleetToCsv(buses) {
+  const lines = [FLEET_CSV_COLUMNS.join(",")];
+  for (const bus of buses) {
+    const busCells = [bus.number, bus.name, bus.location, bus.capacity, bus.driverName, bus.driverPhone, bus.liveLocationUrl];
+    const stops = TRIPS.flatMap(([period, field]) => (bus[field] || []).map((s, i) => [period, i + 1, s.name, s.lat, s.lng, s.arrivalTime, s.departureTime]));
+    if (stops.length === 0) lines.push([...busCells, "", "", "", "", "", "", ""].map(csvCell).join(","));
+    for (const stop of stops) lines.push([...busCells, ...stop].map(csvCell).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+// Buses read from CSV text: { buses: [{ bus, row, stopRows }], errors: [{ row, busNumber, field, message }] }.
+// row is the line of the bus's first row; stopRows[field][i] is the line of that stop. A trip with no rows
+// is left out of bus, so an import leaves it as it is. Values stay strings for the caller to validate.
+export function fleetFromCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  const errors = [];
+  if (!header) return { buses: [], errors: [{ row: 1, busNumber: null, field: null, message: "The file is empty" }] };
+
+  const columns = header.map(h => FLEET_CSV_COLUMNS.find(c => c.toLowerCase() === h.trim().toLowerCase()) || null);
+  if (!columns.includes("busNumber")) {
+    return { buses: [], errors: [{ row: header.line, busNumber: null, field: null, message: `The header row must have a busNumber column (columns: ${FLEET_CSV_COLUMNS.join(", ")})` }] };
+  }
+
+  const byNumber = new Map();
+  for (const cells of rows) {
+    const values = {};
+    columns.forEach((c, i) => { if (c) values[c] = (cells[i] ?? "").trim(); });
+    const number = values.busNumber;
+    const fail = (field, message) => errors.push({ row: cells.line, busNumber: number || null, field, message });
+    if (!number) { fail("busNumber", "is required"); continue; }
+
+    let entry = byNumber.get(number);
+    if (!entry) {
+      entry = { bus: { number }, row: cells.line, trips: {} };
+      byNumber.set(number, entry);
+    }
+    // Bus columns may be left blank after a bus's first row, but must not disagree with it
+    for (const [column, field] of Object.entries(BUS_COLUMNS)) {
+      if (!(column in values) || values[column] === "") continue;
+      if (entry.bus[field] === undefined) entry.bus[field] = values[column];
+      else if (entry.bus[field] !== values[column]) fail(column, `differs from "${entry.bus[field]}" given earlier for bus ${number}`);
+    }
+
+    const hasStop = ["period", "stopName", "lat", "lng", "arrivalTime", "departureTime"].some(c => values[c]);
+    if (!hasStop) continue;
+    const trip = TRIPS.find(([period]) => period === (values.period || "").toUpperCase());
+    if (!trip) { fail("period", "must be MORNING or EVENING"); continue; }
+    if (values.order && !/^\d+$/.test(values.order)) { fail("order", "must be a whole number"); continue; }
+    const stop = { name: values.stopName, lat: values.lat, lng: values.lng, arrivalTime: values.arrivalTime || null, departureTime: values.departureTime || null };
+    (entry.trips[trip[1]] ||= []).push({ stop, order: values.order ? Number(values.order) : null, line: cells.line });
+  }
+
+  const buses = [...byNumber.values()].map(({ bus, row, trips }) => {
+    const stopRows = {};
+    for (const [field, stops] of Object.entries(trips)) {
+      // Stable: rows without an order keep their place after the numbered ones
+      const sorted = stops.map((s, i) => ({ ...s, i })).sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.i - b.i);
+      const seen = new Set();
+      for (const s of sorted) {
+        if (s.order == null) continue;
+        if (seen.has(s.order)) errors.push({ row: s.line, busNumber: bus.number, field: "order", message: `${field === "morningStops" ? "MORNING" : "EVENING"} stop ${s.order} is listed twice` });
+        seen.add(s.order);
+      }
+      bus[field] = sorted.map(s => s.stop);
+      stopRows[field] = sorted.map(s => s.line);
+    }
+    return { bus, row, stopRows };
+  });
+  return { buses, errors };
+}
+
+// Buses from a JSON list in the same shape; row is the bus's 1-based position in the list
+export function fleetFromJson(list) {
+  return { buses: list.map((bus, i) => ({ bus, row: i + 1, stopRows: {} })), errors: [] };
+}
+
+// The row an error on `field` of an entry belongs to: its stop's CSV line for "morningStops[2].lat"
+export function rowOfField(entry, field) {
+  const match = /^(morningStops|eveningStops)\[(\d+)\]/.exec(field || "");
+  return (match && entry.stopRows[match[1]]?.[Number(match[2])]) || entry.row;
+}
+
+// The CSV column an error on a bus field names: "morningStops[2].lat" is the lat column of that stop's row
+export function csvColumnOf(field) {
+  const name = String(field || "").replace(/^(morningStops|eveningStops)\[\d+\](\.|$)/, "stop.");
+  const columns = {
+    number: "busNumber", name: "busName", morningStops: "period", eveningStops: "period",
+    "stop.": "stopName", "stop.name": "stopName", "stop.stopPlaceId": "stopName",
+  };
+  return columns[name] || name.replace(/^stop\./, "");
+}
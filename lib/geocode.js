@@ -0,0 +1,128 @@
+// Free-text location -> coordinates.
+// A geocoder is a list of providers tried in order; each provider is { name, geocode(query) } and
+// resolves to { lat, lng, label } or null. server.js supplies the data (stops, places, cache store).
+
+function normalize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function tokens(text) {
+  return new Set(normalize(text).split(" ").filter(Boolean));
+}
+
+// Jaccard overlap, but only when one side's words are all in the other:
+// "Benz Circle" matches "Benz Circle, Vijayawada"; "Benz Road" does not match "Benz Circle".
+function matchScore(queryTokens, nameTokens) {
+  if (!queryTokens.size || !nameTokens.size) return 0;
+  let shared = 0;
+  for (const t of nameTokens) if (queryTokens.has(t)) shared++;
+  if (shared !== nameTokens.size && shared !== queryTokens.size) return 0;
+  return shared / (queryTokens.size + nameTokens.size - shared);
+}
+
+// Offline provider. loadEntries() -> [{ name, aliases?, lat, lng }]; entries sharing a name
+// (the same stop on several buses) collapse into one point at their average position. The entries are
+// loaded on the first lookup and kept until refresh(), which the caller runs when they change.
+export function gazetteerProvider(loadEntries) {
+  let groupsPromise = null;
+
+  async function buildGroups() {
+    const byName = new Map();
+    for (const e of await loadEntries()) {
+      if (!Number.isFinite(e.lat) || !Number.isFinite(e.lng)) continue;
+      const key = normalize(e.name);
+      const group = byName.get(key) || { label: e.name, names: new Set(), lat: 0, lng: 0, n: 0 };
+      for (const n of [e.name, ...(e.aliases || [])]) group.names.add(n);
+      group.lat += e.lat;
+      group.lng += e.lng;
+      group.n++;
+      byName.set(key, group);
+    }
+    return [...byName.values()].map(g => ({
+      label: g.label, lat: g.lat / g.n, lng: g.lng / g.n, nameTokens: [...g.names].map(tokens),
+    }));
+  }
+
+  function getGroups() {
+    if (!groupsPromise) {
+      groupsPromise = buildGroups().catch(e => {
+        groupsPromise = null; // retry on the next lookup instead of caching the failure
+        throw e;
+      });
+    }
+    return groupsPromise;
+  }
+
+  return {
+    name: "gazetteer",
+    async geocode(query) {
+      const queryTokens = tokens(query);
+      let best = null;
+      for (const g of await getGroups()) {
+        for (const nameTokens of g.nameTokens) {
+          const score = matchScore(queryTokens, nameTokens);
+          if (score > 0 && (!best || score > best.score)) best = { g, score };
+        }
+      }
+      if (!best) return null;
+      return { lat: best.g.lat, lng: best.g.lng, label: best.g.label };
+    },
+    refresh() {
+      groupsPromise = null;
+    },
+  };
+}
+
+// Google Geocoding API. cache: { get(query) -> { lat, lng, label, fetchedAt } | null, set(query, result) }.
+// A cached answer younger than cacheTtlMs skips the request; an older one is still used when Google
+// is unreachable, over quota or not configured.
+export function googleProvider({ apiKey, region, country, cache, cacheTtlMs = 30 * 24 * 3600 * 1000, fetchImpl = fetch }) {
+  return {
+    name: "google",
+    async geocode(query) {
+      const key = normalize(query);
+      const cached = cache ? await cache.get(key) : null;
+      if (cached && Date.now() - new Date(cached.fetchedAt).getTime() < cacheTtlMs) return cached;
+      if (!apiKey) return cached;
+
+      try {
+        const params = new URLSearchParams({ address: query, key: apiKey });
+        if (region) params.set("region", region);
+        if (country) params.set("components", `country:${country}`);
+        const r = await fetchImpl(`https://maps.googleapis.com/maps/api/geocode/json?${params}`, { signal: AbortSignal.timeout(5000) });
+        const body = await r.json();
+        if (body.status === "ZERO_RESULTS") return null;
+        if (body.status !== "OK") throw new Error(`Google geocoding ${body.status}${body.error_message ? `: ${body.error_message}` : ""}`);
+
+        const top = body.results[0];
+        const result = { lat: top.geometry.location.lat, lng: top.geometry.location.lng, label: top.formatted_address };
+        if (cache) await cache.set(key, result);
+        return result;
+      } catch (e) {
+        if (cached) return cached;
+        throw e;
+      }
+    },
+  };
+}
+
+// First provider with an answer wins; a provider that throws is logged and skipped.
+export function createGeocoder(providers) {
+  return {
+    async geocode(query) {
+      if (!normalize(query)) return null;
+      for (const p of providers) {
+        try {
+          const hit = await p.geocode(query);
+          if (hit) return { lat: hit.lat, lng: hit.lng, label: hit.label, provider: p.name };
+        } catch (e) {
+          console.warn(`Geocoder ${p.name} failed:`, e.message || e);
+        }
+      }
+      return null;
+    },
+  };
+}
@@ -0,0 +1,297 @@
+// GTFS static feed (https://gtfs.org/schedule/reference/) of the college routes: each bus is a route, and
+// its morning and evening runs are two trips on it that run on the service days in calendar.txt. Stops are
+// the catalog stops the routes call at. validateGtfsFeed checks a feed against the reference's rules.
+
+import AdmZip from "adm-zip";
+import { parseCsv } from "./fleet-transfer.js";
+
+export const GTFS_FILES = ["agency.txt", "stops.txt", "routes.txt", "trips.txt", "stop_times.txt", "calendar.txt"];
+
+const AGENCY_ID = "1";
+const SERVICE_ID = "COLLEGE_DAYS";
+const BUS_ROUTE_TYPE = 3;
+const DAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+const TRIPS = [["MORNING", 0], ["EVENING", 1]];
+
+function csvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvFile(columns, rows) {
+  return [columns, ...rows.map(row => columns.map(c => row[c]))].map(cells => cells.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// "07:45" -> "07:45:00"
+const gtfsTime = hhmm => (hhmm ? `${hhmm}:00` : "");
+
+// A trip's stop times, or the reason it cannot be in the feed: GTFS needs a time at the first and last
+// stop, and times that never go backwards
+function tripStopTimes(stops) {
+  if (stops.length < 2) return { reason: "fewer than two stops" };
+  const times = stops.map(s => ({ arrival: s.arrivalTime || s.departureTime || null, departure: s.departureTime || s.arrivalTime || null }));
+  if (!times[0].departure) return { reason: "no time at the first stop" };
+  if (!times[times.length - 1].arrival) return { reason: "no time at the last stop" };
+  let last = "";
+  for (const [i, t] of times.entries()) {
+    for (const value of [t.arrival, t.departure]) {
+      if (!value) continue;
+      if (value < last) return { reason: `times go backwards at stop ${i + 1} (${stops[i].name})` };
+      last = value;
+    }
+  }
+  return { times };
+}
+
+// agency: { name, url, timezone, phone?, email? }; buses carry their flat stops (stopPlaceId, name, lat,
+// lng, period, order, arrivalTime, departureTime); service: { days: "1111110" (Monday first), startDate,
+// endDate as YYYYMMDD }. Returns { files: { "agency.txt": text, ... }, skipped: [{ tripId, reason }] }.
+export function buildGtfsFeed({ agency, buses, service }) {
+  const stops = new Map();
+  const routes = [];
+  const trips = [];
+  const stopTimes = [];
+  const skipped = [];
+
+  for (const bus of buses) {
+    let hasTrip = false;
+    for (const [period, directionId] of TRIPS) {
+      const tripId = `${bus.number}-${period}`;
+      const tripStops = (bus.stops || []).filter(s => s.period === period).sort((a, b) => a.order - b.order);
+      if (tripStops.length === 0) continue;
+      const { times, reason } = tripStopTimes(tripStops);
+      if (reason) {
+        skipped.push({ tripId, reason });
+        continue;
+      }
+      hasTrip = true;
+      trips.push({ route_id: bus.number, service_id: SERVICE_ID, trip_id: tripId, trip_headsign: tripStops[tripStops.length - 1].name, direction_id: directionId });
+      tripStops.forEach((s, i) => {
+        stops.set(s.stopPlaceId, { stop_id: s.stopPlaceId, stop_name: s.name, stop_lat: s.lat, stop_lon: s.lng });
+        stopTimes.push({
+          trip_id: tripId, arrival_time: gtfsTime(times[i].arrival), departure_time: gtfsTime(times[i].departure),
+          stop_id: s.stopPlaceId, stop_sequence: i + 1, timepoint: times[i].arrival ? 1 : 0,
+        });
+      });
+    }
+    if (hasTrip) {
+      routes.push({ route_id: bus.number, agency_id: AGENCY_ID, route_short_name: bus.number, route_long_name: bus.name === bus.number ? "" : bus.name, route_type: BUS_ROUTE_TYPE });
+    }
+  }
+
+  const calendar = { service_id: SERVICE_ID, start_date: service.startDate, end_date: service.endDate };
+  DAYS.forEach((day, i) => { calendar[day] = service.days[i] === "1" ? 1 : 0; });
+
+  const files = {
+    "agency.txt": csvFile(["agency_id", "agency_name", "agency_url", "agency_timezone", "agency_phone", "agency_email"], [{
+      agency_id: AGENCY_ID, agency_name: agency.name, agency_url: agency.url, agency_timezone: agency.timezone, agency_phone: agency.phone, agency_email: agency.email,
+    }]),
+    "stops.txt": csvFile(["stop_id", "stop_name", "stop_lat", "stop_lon"], [...stops.values()].sort((a, b) => a.stop_id - b.stop_id)),
+    "routes.txt": csvFile(["route_id", "agency_id", "route_short_name", "route_long_name", "route_type"], routes),
+    "trips.txt": csvFile(["route_id", "service_id", "trip_id", "trip_headsign", "direction_id"], trips),
+    "stop_times.txt": csvFile(["trip_id", "arrival_time", "departure_time", "stop_id", "stop_sequence", "timepoint"], stopTimes),
+    "calendar.txt": csvFile(["service_id", ...DAYS, "start_date", "end_date"], [calendar]),
+  };
+  return { files, skipped };
+}
+
+// The feed's files as a zip archive, the form GTFS is published in
+export function zipFeed(files) {
+  const zip = new AdmZip();
+  for (const [name, text] of Object.entries(files)) zip.addFile(name, Buffer.from(text, "utf8"));
+  return zip.toBuffer();
+}
+
+// { "agency.txt": Buffer, ... } from a feed archive
+export function unzipFeed(buffer) {
+  return Object.fromEntries(new AdmZip(buffer).getEntries().filter(e => !e.isDirectory).map(e => [e.entryName, e.getData()]));
+}
+
+// ---- Validation against the GTFS Schedule reference ----
+
+const REQUIRED_FIELDS = {
+  "agency.txt": ["agency_name", "agency_url", "agency_timezone"],
+  "stops.txt": ["stop_id"],
+  "routes.txt": ["route_id", "route_type"],
+  "trips.txt": ["route_id", "service_id", "trip_id"],
+  "stop_times.txt": ["trip_id", "stop_id", "stop_sequence"],
+  "calendar.txt": ["service_id", ...DAYS, "start_date", "end_date"],
+};
+const ROUTE_TYPES = new Set([0, 1, 2, 3, 4, 5, 6, 7, 11, 12]);
+const TIME_RE = /^\d{1,3}:[0-5]\d:[0-5]\d$/;
+const DATE_RE = /^\d{8}$/;
+
+const seconds = time => time.split(":").reduce((sum, part) => sum * 60 + Number(part), 0);
+
+function validDate(yyyymmdd) {
+  if (!DATE_RE.test(yyyymmdd)) return false;
+  const iso = `${yyyymmdd.slice(0, 4)}-${yyyymmdd.slice(4, 6)}-${yyyymmdd.slice(6)}`;
+  const date = new Date(`${iso}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(iso);
+}
+
+function validTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Rows of a feed file as objects keyed by header, each with its line number as row.line
+function readTable(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(h => h.trim());
+  return {
+    columns,
+    rows: rows.map(cells => Object.assign(Object.fromEntries(columns.map((c, i) => [c, (cells[i] ?? "").trim()])), { line: cells.line, width: cells.length })),
+  };
+}
+
+// files: { "agency.txt": string | Buffer, ... }. Returns { errors, warnings } as "file line N: message" strings;
+// a feed is valid when errors is empty.
+export function validateGtfsFeed(files) {
+  const errors = [];
+  const warnings = [];
+  const tables = {};
+  const at = (file, row) => (row ? `${file} line ${row.line}` : file);
+
+  for (const file of Object.keys(REQUIRED_FIELDS)) {
+    if (files[file] == null) {
+      errors.push(`${file}: missing`);
+      continue;
+    }
+    const table = readTable(files[file].toString("utf8"));
+    tables[file] = table;
+    if (table.columns.length === 0) {
+      errors.push(`${file}: no header row`);
+      continue;
+    }
+    for (const field of REQUIRED_FIELDS[file]) {
+      if (!table.columns.includes(field)) errors.push(`${file}: required column ${field} is missing`);
+    }
+    if (new Set(table.columns).size !== table.columns.length) errors.push(`${file}: a column appears twice`);
+    for (const row of table.rows) {
+      if (row.width !== table.columns.length) errors.push(`${at(file, row)}: ${row.width} values for ${table.columns.length} columns`);
+      for (const field of REQUIRED_FIELDS[file]) {
+        if (table.columns.includes(field) && row[field] === "") errors.push(`${at(file, row)}: ${field} is empty`);
+      }
+    }
+  }
+  const rowsOf = file => tables[file]?.rows || [];
+  const uniqueIds = (file, field) => {
+    const ids = new Set();
+    for (const row of rowsOf(file)) {
+      if (ids.has(row[field])) errors.push(`${at(file, row)}: duplicate ${field} ${row[field]}`);
+      ids.add(row[field]);
+    }
+    return ids;
+  };
+
+  // agency.txt
+  const agencies = rowsOf("agency.txt");
+  if (agencies.length === 0) errors.push("agency.txt: no agency");
+  const agencyIds = uniqueIds("agency.txt", "agency_id");
+  for (const row of agencies) {
+    if (agencies.length > 1 && !row.agency_id) errors.push(`${at("agency.txt", row)}: agency_id is required when there are several agencies`);
+    if (row.agency_url && !/^https?:\/\/[^\s/]+/.test(row.agency_url)) errors.push(`${at("agency.txt", row)}: agency_url must be an http(s) URL`);
+    if (row.agency_timezone && !validTimeZone(row.agency_timezone)) errors.push(`${at("agency.txt", row)}: agency_timezone ${row.agency_timezone} is not a time zone`);
+    if (row.agency_email && !/^[^\s@]+@[^\s@]+$/.test(row.agency_email)) errors.push(`${at("agency.txt", row)}: agency_email is not an email address`);
+  }
+  if (new Set(agencies.map(r => r.agency_timezone)).size > 1) errors.push("agency.txt: all agencies must share one agency_timezone");
+
+  // stops.txt
+  const stopIds = uniqueIds("stops.txt", "stop_id");
+  for (const row of rowsOf("stops.txt")) {
+    const lat = Number(row.stop_lat);
+    const lon = Number(row.stop_lon);
+    if (!row.stop_name) errors.push(`${at("stops.txt", row)}: stop_name is required for a stop`);
+    if (row.stop_lat === "" || !(lat >= -90 && lat <= 90)) errors.push(`${at("stops.txt", row)}: stop_lat must be between -90 and 90`);
+    if (row.stop_lon === "" || !(lon >= -180 && lon <= 180)) errors.push(`${at("stops.txt", row)}: stop_lon must be between -180 and 180`);
+    if (lat === 0 && lon === 0) warnings.push(`${at("stops.txt", row)}: stop is at 0,0`);
+  }
+
+  // routes.txt
+  const routeIds = uniqueIds("routes.txt", "route_id");
+  for (const row of rowsOf("routes.txt")) {
+    if (!row.route_short_name && !row.route_long_name) errors.push(`${at("routes.txt", row)}: route_short_name or route_long_name is required`);
+    const type = Number(row.route_type);
+    if (!(ROUTE_TYPES.has(type) || (Number.isInteger(type) && type >= 100 && type <= 1702))) errors.push(`${at("routes.txt", row)}: route_type ${row.route_type} is not valid`);
+    if (row.agency_id && !agencyIds.has(row.agency_id)) errors.push(`${at("routes.txt", row)}: agency_id ${row.agency_id} is not in agency.txt`);
+    if (!row.agency_id && agencies.length > 1) errors.push(`${at("routes.txt", row)}: agency_id is required when there are several agencies`);
+    if (row.route_long_name && row.route_long_name === row.route_short_name) warnings.push(`${at("routes.txt", row)}: route_long_name repeats route_short_name`);
+  }
+
+  // calendar.txt
+  const serviceIds = uniqueIds("calendar.txt", "service_id");
+  for (const row of rowsOf("calendar.txt")) {
+    for (const day of DAYS) {
+      if (row[day] !== "0" && row[day] !== "1") errors.push(`${at("calendar.txt", row)}: ${day} must be 0 or 1`);
+    }
+    for (const field of ["start_date", "end_date"]) {
+      if (!validDate(row[field])) errors.push(`${at("calendar.txt", row)}: ${field} must be a date as YYYYMMDD`);
+    }
+    if (row.end_date < row.start_date) errors.push(`${at("calendar.txt", row)}: end_date is before start_date`);
+    if (DAYS.every(day => row[day] === "0")) warnings.push(`${at("calendar.txt", row)}: service runs on no day of the week`);
+  }
+
+  // trips.txt
+  const tripIds = uniqueIds("trips.txt", "trip_id");
+  const usedRoutes = new Set();
+  for (const row of rowsOf("trips.txt")) {
+    if (!routeIds.has(row.route_id)) errors.push(`${at("trips.txt", row)}: route_id ${row.route_id} is not in routes.txt`);
+    if (!serviceIds.has(row.service_id)) errors.push(`${at("trips.txt", row)}: service_id ${row.service_id} is not in calendar.txt`);
+    if (row.direction_id && row.direction_id !== "0" && row.direction_id !== "1") errors.push(`${at("trips.txt", row)}: direction_id must be 0 or 1`);
+    usedRoutes.add(row.route_id);
+  }
+  for (const row of rowsOf("routes.txt")) {
+    if (!usedRoutes.has(row.route_id)) warnings.push(`${at("routes.txt", row)}: route ${row.route_id} has no trips`);
+  }
+
+  // stop_times.txt
+  const byTrip = new Map();
+  const usedStops = new Set();
+  for (const row of rowsOf("stop_times.txt")) {
+    if (!tripIds.has(row.trip_id)) errors.push(`${at("stop_times.txt", row)}: trip_id ${row.trip_id} is not in trips.txt`);
+    if (!stopIds.has(row.stop_id)) errors.push(`${at("stop_times.txt", row)}: stop_id ${row.stop_id} is not in stops.txt`);
+    if (!/^\d+$/.test(row.stop_sequence)) errors.push(`${at("stop_times.txt", row)}: stop_sequence must be a whole number`);
+    for (const field of ["arrival_time", "departure_time"]) {
+      if (row[field] && !TIME_RE.test(row[field])) errors.push(`${at("stop_times.txt", row)}: ${field} must be a time as HH:MM:SS`);
+    }
+    if (Boolean(row.arrival_time) !== Boolean(row.departure_time)) errors.push(`${at("stop_times.txt", row)}: arrival_time and departure_time must be given together`);
+    if (row.arrival_time && row.departure_time && seconds(row.departure_time) < seconds(row.arrival_time)) {
+      errors.push(`${at("stop_times.txt", row)}: departure_time is before arrival_time`);
+    }
+    if (row.timepoint === "1" && !row.arrival_time) errors.push(`${at("stop_times.txt", row)}: a timepoint needs its times`);
+    usedStops.add(row.stop_id);
+    if (!byTrip.has(row.trip_id)) byTrip.set(row.trip_id, []);
+    byTrip.get(row.trip_id).push(row);
+  }
+  for (const [tripId, rows] of byTrip) {
+    rows.sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence));
+    if (rows.length < 2) errors.push(`stop_times.txt: trip ${tripId} has fewer than two stops`);
+    for (let i = 1; i < rows.length; i++) {
+      if (rows[i].stop_sequence === rows[i - 1].stop_sequence) errors.push(`${at("stop_times.txt", rows[i])}: stop_sequence ${rows[i].stop_sequence} repeats in trip ${tripId}`);
+    }
+    const [first, last] = [rows[0], rows[rows.length - 1]];
+    if (!first.arrival_time || !first.departure_time) errors.push(`${at("stop_times.txt", first)}: the first stop of trip ${tripId} needs its times`);
+    if (!last.arrival_time || !last.departure_time) errors.push(`${at("stop_times.txt", last)}: the last stop of trip ${tripId} needs its times`);
+    let latest = -1;
+    for (const row of rows) {
+      for (const field of ["arrival_time", "departure_time"]) {
+        if (!row[field] || !TIME_RE.test(row[field])) continue;
+        if (seconds(row[field]) < latest) errors.push(`${at("stop_times.txt", row)}: ${field} is earlier than a previous stop of trip ${tripId}`);
+        latest = Math.max(latest, seconds(row[field]));
+      }
+    }
+  }
+  for (const row of rowsOf("trips.txt")) {
+    if (!byTrip.has(row.trip_id)) errors.push(`${at("trips.txt", row)}: trip ${row.trip_id} has no stop times`);
+  }
+  for (const row of rowsOf("stops.txt")) {
+    if (!usedStops.has(row.stop_id)) warnings.push(`${at("stops.txt", row)}: stop ${row.stop_id} is not served by any trip`);
+  }
+
+  return { errors, warnings };
+}
@@ -0,0 +1,36 @@
+// Per-account sign-in throttling: `threshold` failures within `windowMs` lock the account for `lockMs`.
+// Complements per-IP rate limiting, which can't stop guesses spread over many addresses.
+
+// store: { get(key) -> { failures, windowStartedAt, lockedUntil } | null, set(key, state), clear(key) }
+export function createLoginThrottle({ store, threshold = 5, windowMs = 15 * 60 * 1000, lockMs = 15 * 60 * 1000 }) {
+  const keyOf = email => String(email || "").trim().toLowerCase();
+
+  return {
+    // { locked, retryAfterSeconds } for an account about to be tried
+    async check(email, now = new Date()) {
+      const state = await store.get(keyOf(email));
+      if (!state?.lockedUntil || state.lockedUntil <= now) return { locked: false, retryAfterSeconds: 0 };
+      return { locked: true, retryAfterSeconds: Math.ceil((state.lockedUntil - now) / 1000) };
+    },
+
+    // Counts a failed attempt. justLocked is true only for the failure that triggered the lock.
+    async fail(email, now = new Date()) {
+      const key = keyOf(email);
+      const prev = await store.get(key);
+      const windowOpen = prev && !(prev.lockedUntil && prev.lockedUntil <= now) && now - prev.windowStartedAt < windowMs;
+      const failures = windowOpen ? prev.failures + 1 : 1;
+      const windowStartedAt = windowOpen ? prev.windowStartedAt : now;
+      const stillLocked = prev?.lockedUntil > now;
+      const justLocked = failures >= threshold && !stillLocked;
+      // A failure racing past check() during a lock must not lift it, even once the window has closed
+      const lockedUntil = justLocked ? new Date(now.getTime() + lockMs) : (stillLocked ? prev.lockedUntil : null);
+      // A lock starts a fresh count once it expires
+      await store.set(key, { failures: justLocked ? 0 : failures, windowStartedAt, lockedUntil });
+      return { failures, justLocked, lockedUntil };
+    },
+
+    async succeed(email) {
+      await store.clear(keyOf(email));
+    },
+  };
+}
@@ -0,0 +1,91 @@
+// Outgoing email: messages are queued in a store and delivered by a pluggable transport, so a request
+// never waits on (or fails because of) the mail server. Failed sends are retried with backoff.
+// A transport is { name, send({ from, to, subject, text }) }.
+
+import fs from "fs/promises";
+import path from "path";
+
+// Development sink: prints each message to the server log
+export function consoleTransport() {
+  return {
+    name: "console",
+    async send(msg) {
+      console.log(`📧 To: ${msg.to}\nSubject: ${msg.subject}\n\n${msg.text}\n`);
+    },
+  };
+}
+
+// Development sink: one .eml file per message in dir
+export function fileTransport(dir) {
+  return {
+    name: "file",
+    async send(msg) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, "-")}-${msg.id ?? "mail"}.eml`);
+      const headers = [`From: ${msg.from}`, `To: ${msg.to}`, `Subject: ${msg.subject}`, `Date: ${new Date().toUTCString()}`];
+      await fs.writeFile(file, `${headers.join("\r\n")}\r\n\r\n${msg.text}\r\n`, "utf8");
+    },
+  };
+}
+
+// options: { host, port, secure, user, pass }; nodemailer is only loaded when SMTP is configured
+export function smtpTransport({ host, port = 587, secure = false, user, pass }) {
+  let transporter = null;
+  return {
+    name: "smtp",
+    async send(msg) {
+      if (!transporter) {
+        const { default: nodemailer } = await import("nodemailer");
+        transporter = nodemailer.createTransport({ host, port, secure, auth: user ? { user, pass } : undefined });
+      }
+      await transporter.sendMail({ from: msg.from, to: msg.to, subject: msg.subject, text: msg.text });
+    },
+  };
+}
+
+// store: {
+//   create({ to, subject, text }) -> message,
+//   due(now, limit) -> messages not yet sent whose nextAttemptAt has passed,
+//   markSent(id), markFailed(id, { attempts, error, nextAttemptAt, giveUp })
+// }
+export function createOutbox({ store, transport, from, maxAttempts = 5, retryBaseMs = 60 * 1000 }) {
+  let flushing = null;
+
+  async function deliver(msg) {
+    try {
+      await transport.send({ ...msg, from });
+      await store.markSent(msg.id);
+    } catch (e) {
+      const attempts = msg.attempts + 1;
+      await store.markFailed(msg.id, {
+        attempts,
+        error: String(e.message || e).slice(0, 500),
+        nextAttemptAt: new Date(Date.now() + retryBaseMs * 2 ** (attempts - 1)),
+        giveUp: attempts >= maxAttempts,
+      });
+    }
+  }
+
+  return {
+    transport: transport.name,
+
+    // Queue a message and try to send it straight away
+    async enqueue({ to, subject, text }) {
+      const msg = await store.create({ to, subject, text });
+      this.flush().catch(e => console.warn("Outbox flush failed:", e.message || e));
+      return msg;
+    },
+
+    // Send everything that is due; overlapping calls share one pass
+    flush(limit = 20) {
+      if (!flushing) {
+        flushing = (async () => {
+          const due = await store.due(new Date(), limit);
+          for (const msg of due) await deliver(msg);
+          return due.length;
+        })().finally(() => { flushing = null; });
+      }
+      return flushing;
+    },
+  };
+}
@@ -0,0 +1,38 @@
+// Admin roles and what each may do. Roles are cumulative: each one has everything the previous one has.
+// Bus-scoped permissions are further limited to the admin's assigned buses unless they have access to all.
+
+export const ROLES = ["VIEWER", "ROUTE_EDITOR", "FLEET_MANAGER", "SUPERADMIN"];
+
+const GRANTS = {
+  VIEWER: ["logs:read", "buses:read"],
+  ROUTE_EDITOR: ["routes:edit", "places:manage", "applications:read", "audit:read"],
+  FLEET_MANAGER: ["buses:manage", "drivers:manage", "seats:manage", "applications:manage"],
+  SUPERADMIN: ["settings:manage", "admins:manage", "apikeys:manage"],
+};
+
+// Permissions that act on one bus and so respect the admin's bus assignment
+export const BUS_SCOPED = new Set(["routes:edit", "buses:manage", "drivers:manage", "seats:manage", "applications:manage"]);
+
+export function permissionsFor(role) {
+  const upTo = ROLES.indexOf(role);
+  return ROLES.slice(0, upTo + 1).flatMap(r => GRANTS[r]);
+}
+
+export function hasPermission(role, permission) {
+  return permissionsFor(role).includes(permission);
+}
+
+// admin: { role, allBuses, busIds: Set }; busId may be null for actions not tied to a bus
+export function canActOnBus(admin, permission, busId) {
+  if (!hasPermission(admin.role, permission)) return false;
+  if (!BUS_SCOPED.has(permission) || admin.allBuses || busId == null) return true;
+  return admin.busIds.has(busId);
+}
+
+// Scopes an API key can be given. Keys belong to no admin, so they get narrow, mostly read-only grants
+// and no bus assignment.
+export const API_KEY_SCOPES = {
+  "routes:read": "Buses, stops and timetables (GET /api/admin/buses)",
+  "positions:write": "Report bus positions (POST /api/driver/position with busNumber)",
+  "logs:read": "Availability check logs (GET /api/admin/logs)",
+};
@@ -0,0 +1,151 @@
+// Trip planning over the ordered stops of one period: walk -> bus -> (walk -> bus) -> walk.
+// Buses only run forward along their stop order. Two buses connect where a stop of one is within
+// transferMeters of a stop of the other, which covers the same stop shared by several routes.
+// Ride times come from the timetable when both stops are scheduled, otherwise from distance and speed.
+
+import geolib from "geolib";
+
+function toPoint(p) {
+  return { latitude: p.lat ?? p.latitude, longitude: p.lng ?? p.longitude };
+}
+
+function minutesOf(hhmm) {
+  if (!hhmm) return null;
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return h * 60 + m;
+}
+
+function departureOf(stop) {
+  return minutesOf(stop.departureTime || stop.arrivalTime);
+}
+
+function arrivalOf(stop) {
+  return minutesOf(stop.arrivalTime || stop.departureTime);
+}
+
+function stopRef(s) {
+  return { id: s.id, name: s.name, order: s.order, lat: s.lat, lng: s.lng, time: s.departureTime || s.arrivalTime || null };
+}
+
+// options: { period, maxWalkMeters, transferMeters, walkSpeedKmh, busSpeedKmh, transferPenaltyMinutes, limit }
+// index: from createStopIndex over stops that include their `bus`.
+// Returns itineraries, fastest first: { type: 'direct'|'transfer', totalMinutes, walkMeters, legs }.
+export function planTrips(index, from, to, options) {
+  const {
+    period, maxWalkMeters = 1500, transferMeters = 150, walkSpeedKmh = 4.8, busSpeedKmh = 25,
+    transferPenaltyMinutes = 5, limit = 5,
+  } = options;
+  const walkMinutes = meters => meters / (walkSpeedKmh * 1000 / 60);
+  const inPeriod = s => s.period === period;
+
+  const routes = new Map(); // busId -> stops sorted by order
+  for (const s of index.items) {
+    if (!inPeriod(s)) continue;
+    if (!routes.has(s.busId)) routes.set(s.busId, []);
+    routes.get(s.busId).push(s);
+  }
+  for (const stops of routes.values()) stops.sort((a, b) => a.order - b.order);
+
+  function rideMinutes(route, boardIdx, alightIdx) {
+    const leave = departureOf(route[boardIdx]);
+    const arrive = arrivalOf(route[alightIdx]);
+    if (leave !== null && arrive !== null && arrive > leave) return arrive - leave;
+    let meters = 0;
+    for (let i = boardIdx; i < alightIdx; i++) meters += geolib.getDistance(toPoint(route[i]), toPoint(route[i + 1]));
+    return meters / (busSpeedKmh * 1000 / 60);
+  }
+
+  function walkLeg(fromPlace, toPlace, meters) {
+    return { mode: "walk", from: fromPlace, to: toPlace, distanceMeters: meters, minutes: Math.round(walkMinutes(meters)) };
+  }
+
+  function busLeg(route, boardIdx, alightIdx) {
+    const bus = route[boardIdx].bus;
+    return {
+      mode: "bus", busNumber: bus.number, busName: bus.name, period,
+      from: stopRef(route[boardIdx]), to: stopRef(route[alightIdx]),
+      stops: alightIdx - boardIdx, minutes: Math.round(rideMinutes(route, boardIdx, alightIdx)),
+    };
+  }
+
+  const origin = { lat: toPoint(from).latitude, lng: toPoint(from).longitude, name: "Start" };
+  const destination = { lat: toPoint(to).latitude, lng: toPoint(to).longitude, name: "Destination" };
+  const boardWalk = new Map(index.withinRadius(from, maxWalkMeters, inPeriod).map(x => [x.item.id, x.distanceMeters]));
+  const alightWalk = new Map(index.withinRadius(to, maxWalkMeters, inPeriod).map(x => [x.item.id, x.distanceMeters]));
+
+  // Per bus, the best way to finish from each stop: ride onwards to a stop near the destination and walk
+  const finishFrom = new Map(); // busId -> Array(index -> { alightIdx, minutes } | null)
+  for (const [busId, route] of routes) {
+    const best = new Array(route.length).fill(null);
+    for (let i = route.length - 2; i >= 0; i--) {
+      for (let j = i + 1; j < route.length; j++) {
+        if (!alightWalk.has(route[j].id)) continue;
+        const minutes = rideMinutes(route, i, j) + walkMinutes(alightWalk.get(route[j].id));
+        if (!best[i] || minutes < best[i].minutes) best[i] = { alightIdx: j, minutes };
+      }
+    }
+    finishFrom.set(busId, best);
+  }
+
+  const itineraries = [];
+  for (const [busId, route] of routes) {
+    for (let b = 0; b < route.length; b++) {
+      if (!boardWalk.has(route[b].id)) continue;
+      const walkIn = boardWalk.get(route[b].id);
+
+      const direct = finishFrom.get(busId)[b];
+      if (direct) {
+        const a = direct.alightIdx;
+        itineraries.push({
+          type: "direct",
+          key: `${busId}`,
+          totalMinutes: walkMinutes(walkIn) + direct.minutes,
+          walkMeters: walkIn + alightWalk.get(route[a].id),
+          legs: [
+            walkLeg(origin, stopRef(route[b]), walkIn),
+            busLeg(route, b, a),
+            walkLeg(stopRef(route[a]), destination, alightWalk.get(route[a].id)),
+          ],
+        });
+      }
+
+      // One transfer: ride to t, walk to a nearby stop of another bus, finish on that bus
+      for (let t = b + 1; t < route.length; t++) {
+        if (alightWalk.has(route[t].id)) continue; // already within walking distance of the destination
+        const arriveAt = arrivalOf(route[t]);
+        for (const { item: next, distanceMeters: transferWalk } of index.withinRadius(route[t], transferMeters, s => inPeriod(s) && s.busId !== busId)) {
+          const nextRoute = routes.get(next.busId);
+          const n = nextRoute.indexOf(next);
+          const finish = finishFrom.get(next.busId)[n];
+          if (!finish) continue;
+          // With both times scheduled, the second bus must not leave before we can reach it
+          const leaveAt = departureOf(next);
+          if (arriveAt !== null && leaveAt !== null && leaveAt < arriveAt + walkMinutes(transferWalk)) continue;
+
+          const a = finish.alightIdx;
+          const legs = [walkLeg(origin, stopRef(route[b]), walkIn), busLeg(route, b, t)];
+          if (transferWalk > 0) legs.push(walkLeg(stopRef(route[t]), stopRef(next), transferWalk));
+          legs.push(busLeg(nextRoute, n, a), walkLeg(stopRef(nextRoute[a]), destination, alightWalk.get(nextRoute[a].id)));
+          itineraries.push({
+            type: "transfer",
+            key: `${busId}>${next.busId}`,
+            totalMinutes: walkMinutes(walkIn) + rideMinutes(route, b, t) + walkMinutes(transferWalk) + transferPenaltyMinutes + finish.minutes,
+            walkMeters: walkIn + transferWalk + alightWalk.get(nextRoute[a].id),
+            legs,
+          });
+        }
+      }
+    }
+  }
+
+  // Best option per bus (or bus pair), fastest first
+  const bestByKey = new Map();
+  for (const it of itineraries) {
+    const prev = bestByKey.get(it.key);
+    if (!prev || it.totalMinutes < prev.totalMinutes) bestByKey.set(it.key, it);
+  }
+  return Array.from(bestByKey.values())
+    .sort((x, y) => x.totalMinutes - y.totalMinutes || x.legs.length - y.legs.length)
+    .slice(0, limit)
+    .map(({ key, ...it }) => ({ ...it, totalMinutes: Math.round(it.totalMinutes) }));
+}
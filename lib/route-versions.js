@@ -0,0 +1,65 @@
+// Scheduled route versions: which published version a bus runs at a given time, and the stops it lists.
+// A version's stops are { morningStops, eveningStops } in the PUT /admin/buses/:number shape; each stop
+// is { stopPlaceId?, name, lat, lng, arrivalTime, departureTime }.
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Midnight starting `ymd` ("YYYY-MM-DD") in the transit timezone (TRANSIT_TIMEZONE)
+export function localMidnight(ymd, timeZone = process.env.TRANSIT_TIMEZONE || "Asia/Kolkata") {
+  const utc = new Date(`${ymd}T00:00:00Z`);
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+    }).formatToParts(utc).map(p => [p.type, Number(p.value)]),
+  );
+  const offsetMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - utc.getTime();
+  return new Date(utc.getTime() - offsetMs);
+}
+
+// A date ("YYYY-MM-DD", meaning the start of that day locally) or an ISO 8601 time; null if invalid
+export function parseEffectiveDate(value) {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+  if (DATE_RE.test(text)) {
+    // Date.UTC would roll "2026-02-31" over into March
+    const day = new Date(`${text}T00:00:00Z`);
+    return !Number.isNaN(day.getTime()) && day.toISOString().startsWith(text) ? localMidnight(text) : null;
+  }
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// The version each bus switches to last by `at`: busId -> version. versions are published ones.
+export function latestEffectiveByBus(versions, at) {
+  const latest = new Map();
+  for (const v of versions) {
+    if (!v.effectiveFrom || v.effectiveFrom > at) continue;
+    const prev = latest.get(v.busId);
+    if (!prev || v.effectiveFrom > prev.effectiveFrom || (+v.effectiveFrom === +prev.effectiveFrom && v.id > prev.id)) latest.set(v.busId, v);
+  }
+  return latest;
+}
+
+// Keeps only the fields a version stores for each stop
+export function versionStopLists({ morningStops = [], eveningStops = [] }) {
+  const clean = s => ({
+    stopPlaceId: s.stopPlaceId ?? null, name: s.name ?? null, lat: s.lat ?? null, lng: s.lng ?? null,
+    arrivalTime: s.arrivalTime || null, departureTime: s.departureTime || null,
+  });
+  return { morningStops: morningStops.map(clean), eveningStops: eveningStops.map(clean) };
+}
+
+// A version's stops in the flat route stop shape (period, order, name, lat, lng, ...). Catalog stops
+// show their current name and position from placesById; others what the version saved.
+export function flatVersionStops(version, placesById) {
+  const lists = version.stops || {};
+  return [["MORNING", lists.morningStops], ["EVENING", lists.eveningStops]].flatMap(([period, stops]) =>
+    (stops || []).map((s, i) => {
+      const place = placesById.get(s.stopPlaceId);
+      return {
+        id: null, busId: version.busId, stopPlaceId: place ? place.id : null, period, order: i + 1,
+        name: place ? place.name : s.name, lat: place ? place.lat : s.lat, lng: place ? place.lng : s.lng,
+        arrivalTime: s.arrivalTime || null, departureTime: s.departureTime || null,
+      };
+    }));
+}
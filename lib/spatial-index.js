@@ -0,0 +1,89 @@
+// Uniform grid over stop coordinates for radius and nearest-neighbour lookups.
+// Cells are cellMeters tall; their width in degrees of longitude is fixed at the stops' mean latitude,
+// which is accurate enough for one region. Distances come from geolib so results match a full scan.
+
+import geolib from "geolib";
+
+const METERS_PER_DEGREE = 111320;
+
+function toPoint(p) {
+  return { latitude: p.lat ?? p.latitude, longitude: p.lng ?? p.longitude };
+}
+
+// items: objects with lat/lng (stops); they are returned as-is in query results
+export function createStopIndex(items, { cellMeters = 500 } = {}) {
+  const points = items.filter(s => Number.isFinite(s.lat) && Number.isFinite(s.lng));
+  const meanLat = points.length ? points.reduce((sum, s) => sum + s.lat, 0) / points.length : 0;
+  const cellLat = cellMeters / METERS_PER_DEGREE;
+  const cellLng = cellMeters / (METERS_PER_DEGREE * Math.max(0.01, Math.cos(meanLat * Math.PI / 180)));
+
+  const cellOf = (lat, lng) => [Math.floor(lat / cellLat), Math.floor(lng / cellLng)];
+  const cells = new Map();
+  let minRow = Infinity, maxRow = -Infinity, minCol = Infinity, maxCol = -Infinity;
+  for (const s of points) {
+    const [row, col] = cellOf(s.lat, s.lng);
+    const key = `${row}:${col}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(s);
+    minRow = Math.min(minRow, row); maxRow = Math.max(maxRow, row);
+    minCol = Math.min(minCol, col); maxCol = Math.max(maxCol, col);
+  }
+
+  function scanCell(row, col, origin, out, filter) {
+    for (const s of cells.get(`${row}:${col}`) || []) {
+      if (filter && !filter(s)) continue;
+      out.push({ item: s, distanceMeters: geolib.getDistance(origin, toPoint(s)) });
+    }
+  }
+
+  // Shortest ground distance spanned by one cell at this latitude (a cell is narrower away from meanLat)
+  function cellSpanMeters(lat) {
+    return Math.min(cellMeters, cellLng * METERS_PER_DEGREE * Math.cos(lat * Math.PI / 180));
+  }
+
+  return {
+    items: points,
+    size: points.length,
+
+    // Everything within radiusMeters of point, nearest first. filter(item) narrows the candidates.
+    withinRadius(point, radiusMeters, filter = null) {
+      const origin = toPoint(point);
+      if (!points.length) return [];
+      const span = Math.max(1, cellSpanMeters(Math.min(89, Math.abs(origin.latitude) + radiusMeters / METERS_PER_DEGREE)));
+      const reach = Math.ceil(radiusMeters / span);
+      const [row, col] = cellOf(origin.latitude, origin.longitude);
+      const out = [];
+      for (let r = Math.max(minRow, row - reach); r <= Math.min(maxRow, row + reach); r++) {
+        for (let c = Math.max(minCol, col - reach); c <= Math.min(maxCol, col + reach); c++) {
+          scanCell(r, c, origin, out, filter);
+        }
+      }
+      return out.filter(x => x.distanceMeters <= radiusMeters).sort((a, b) => a.distanceMeters - b.distanceMeters);
+    },
+
+    // The k items closest to point, nearest first; rings of cells are scanned outwards until no unseen
+    // cell can hold anything closer than the current k-th result.
+    nearest(point, k = 1, filter = null) {
+      const origin = toPoint(point);
+      if (!points.length || k < 1) return [];
+      const span = Math.max(1, cellSpanMeters(origin.latitude));
+      const [row, col] = cellOf(origin.latitude, origin.longitude);
+      const maxRing = Math.max(Math.abs(row - minRow), Math.abs(row - maxRow), Math.abs(col - minCol), Math.abs(col - maxCol));
+      const found = [];
+      for (let ring = 0; ring <= maxRing; ring++) {
+        for (let r = row - ring; r <= row + ring; r++) {
+          if (r < minRow || r > maxRow) continue;
+          const edgeRow = r === row - ring || r === row + ring;
+          for (let c = col - ring; c <= col + ring; c += edgeRow ? 1 : 2 * ring) {
+            if (c >= minCol && c <= maxCol) scanCell(r, c, origin, found, filter);
+          }
+        }
+        if (found.length >= k) {
+          found.sort((a, b) => a.distanceMeters - b.distanceMeters);
+          if (found[k - 1].distanceMeters <= ring * span) break;
+        }
+      }
+      return found.sort((a, b) => a.distanceMeters - b.distanceMeters).slice(0, k);
+    },
+  };
+}
@@ -0,0 +1,68 @@
+// Matching for the shared stop catalog: deciding whether a stop typed into a route (or left over from
+// the per-bus stop rows) is a catalog place that already exists, and finding near-duplicate places
+// for an admin to merge. Places are { id, name, aliases?, lat, lng }.
+
+import geolib from "geolib";
+import { createStopIndex } from "./spatial-index.js";
+
+export function normalizeStopName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function namesOf(place) {
+  return [place.name, ...(place.aliases || [])].map(normalizeStopName).filter(Boolean);
+}
+
+// "Benz Circle" and "Benz Circle Jn" are similar (all words of one are in the other); "Benz Road" is not
+function similarNames(a, b) {
+  const wordsA = new Set(a.split(" "));
+  const wordsB = new Set(b.split(" "));
+  const [small, large] = wordsA.size <= wordsB.size ? [wordsA, wordsB] : [wordsB, wordsA];
+  return [...small].every(w => large.has(w));
+}
+
+const distance = (a, b) => geolib.getDistance({ latitude: a.lat, longitude: a.lng }, { latitude: b.lat, longitude: b.lng });
+
+// The nearest place within radiusMeters whose name or an alias equals the stop's name, or null
+export function findStopPlace(places, stop, radiusMeters) {
+  const name = normalizeStopName(stop.name);
+  let best = null;
+  for (const place of places) {
+    if (!namesOf(place).includes(name)) continue;
+    const d = distance(place, stop);
+    if (d <= radiusMeters && (!best || d < best.d)) best = { place, d };
+  }
+  return best?.place || null;
+}
+
+// Groups of places that are probably the same stop: within radiusMeters of each other with similar
+// names, or within sameSpotMeters whatever they are called. Groups are connected (A~B, B~C puts A, B
+// and C together) and listed largest first; each lists its places by id.
+export function findDuplicateStopPlaces(places, { radiusMeters = 200, sameSpotMeters = 30 } = {}) {
+  const index = createStopIndex(places, { cellMeters: Math.max(radiusMeters, 50) });
+  const parent = new Map(places.map(p => [p.id, p.id]));
+  const root = id => (parent.get(id) === id ? id : root(parent.get(id)));
+
+  for (const place of index.items) {
+    const names = namesOf(place);
+    for (const { item: other, distanceMeters } of index.withinRadius(place, radiusMeters)) {
+      if (other.id <= place.id) continue;
+      const alike = distanceMeters <= sameSpotMeters || names.some(a => namesOf(other).some(b => similarNames(a, b)));
+      if (alike) parent.set(root(other.id), root(place.id));
+    }
+  }
+
+  const groups = new Map();
+  for (const place of places) {
+    const key = root(place.id);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(place);
+  }
+  return [...groups.values()]
+    .filter(group => group.length > 1)
+    .map(group => group.sort((a, b) => a.id - b.id))
+    .sort((a, b) => b.length - a.length || a[0].id - b[0].id);
+}
@@ -165,9 +165,10 @@ const prisma = new PrismaClient();
 async function main() {
   console.log("🌱 Seeding relational Bus & Stop data...");
 
-  // Clear existing data safely
+  // Clear existing data safely (route stops go with their bus; pre-catalog stops do not)
   await prisma.stop.deleteMany();
   await prisma.bus.deleteMany();
+  await prisma.stopPlace.deleteMany();
 
   // Sample buses
   const buses = [
@@ -176,7 +177,6 @@ async function main() {
       name: "Vijayawada City Express",
       location: "Benz Circle",
       capacity: 40,
-      currentOccupancy: 25,
       driverName: "Ravi Kumar",
       driverPhone: "9876543210",
       liveLocationUrl: "",
@@ -196,7 +196,6 @@ async function main() {
       name: "Guntur Route",
       location: "Guntur Bus Stand",
       capacity: 45,
-      currentOccupancy: 32,
       driverName: "Prasad Reddy",
       driverPhone: "9876501234",
       liveLocationUrl: "",
@@ -213,6 +212,14 @@ async function main() {
     },
   ];
 
+  // Each stop name is one catalog stop, shared by every route that calls there
+  const stopPlaceIds = new Map();
+  for (const stop of buses.flatMap(bus => bus.stops)) {
+    if (stopPlaceIds.has(stop.name)) continue;
+    const place = await prisma.stopPlace.create({ data: { name: stop.name, lat: stop.lat, lng: stop.lng } });
+    stopPlaceIds.set(stop.name, place.id);
+  }
+
   for (const bus of buses) {
     await prisma.bus.create({
       data: {
@@ -220,15 +227,12 @@ async function main() {
         name: bus.name,
         location: bus.location,
         capacity: bus.capacity,
-        currentOccupancy: bus.currentOccupancy,
         driverName: bus.driverName,
         driverPhone: bus.driverPhone,
         liveLocationUrl: bus.liveLocationUrl,
         stops: {
           create: bus.stops.map(stop => ({
-            name: stop.name,
-            lat: stop.lat,
-            lng: stop.lng,
+            stopPlaceId: stopPlaceIds.get(stop.name),
             period: stop.period,
             order: stop.order,
           })),
@@ -4,6 +4,16 @@ let buses = [];
 let busNumberToDisplay = new Map();
 const API_BASE = window.location.origin;
 
+// API stop -> client stop (coords kept as a "lat,lng" string like the rest of the page)
+function toClientStop(stop) {
+  return {
+    name: stop.name,
+    coords: `${stop.coords.lat},${stop.coords.lng}`,
+    arrivalTime: stop.arrivalTime,
+    departureTime: stop.departureTime
+  };
+}
+
 // Load bus data from database API
 async function loadBusesFromDatabase() {
   try {
@@ -24,18 +34,12 @@ async function loadBusesFromDatabase() {
           ...bus,
           morningRoute: {
             ...bus.morningRoute,
-            stops: bus.morningRoute.stops.map(stop => ({
-              name: stop.name,
-              coords: `${stop.coords.lat},${stop.coords.lng}`
-            })),
+            stops: bus.morningRoute.stops.map(toClientStop),
             style: { color: "#0072ff", weight: 5, opacity: 1, dashed: false }
           },
           eveningRoute: {
             ...bus.eveningRoute,
-            stops: bus.eveningRoute.stops.map(stop => ({
-              name: stop.name,
-              coords: `${stop.coords.lat},${stop.coords.lng}`
-            })),
+            stops: bus.eveningRoute.stops.map(toClientStop),
             style: { color: "#28a745", weight: 5, opacity: 1, dashed: false }
           }
         };
@@ -221,6 +225,7 @@ document.getElementById("busForm").addEventListener("submit", async function(e)
   e.preventDefault();
   const email = document.getElementById("email").value;
   const location = document.getElementById("location").value;
+  const period = document.getElementById("period").value;
 
   if (!email) {
     showNotification('Please enter your email address.', 'error');
@@ -242,19 +247,16 @@ document.getElementById("busForm").addEventListener("submit", async function(e)
       },
       body: JSON.stringify({
         email: email,
-        location: location
+        location: location,
+        period: period || undefined
       })
     });
 
     const data = await response.json();
 
     if (data.success) {
-      const numbers = (data.buses || []).map(b => {
-        const real = String(b.busNumber);
-        return busNumberToDisplay.get(real) || real;
-      });
       // Show availability panel without filtering the main bus list
-      renderAvailabilityPanel(data.available, numbers); 
+      renderAvailabilityPanel(data.available, data.buses || [], data.geocoded);
     } else {
       showNotification(data.message || 'Error checking bus availability', 'error');
     }
@@ -424,7 +426,7 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 });
 
-// Handle Apply form submit: validate, re-check availability, then redirect to payment placeholder
+// Handle Apply form submit: validate, quick client-side seat check, then submit to the server (which re-checks capacity)
 document.getElementById('applyForm')?.addEventListener('submit', async function(e) {
   e.preventDefault();
 
@@ -454,17 +456,136 @@ document.getElementById('applyForm')?.addEventListener('submit', async function(
     return;
   }
 
-  // Redirect to placeholder payment page with minimal query params
+  const submitBtn = this.querySelector('button[type="submit"]');
+  submitBtn.disabled = true;
+
+  try {
+    const response = await fetch(`${API_BASE}/api/applications`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, rollNumber: roll, email, phone, address, busNumber })
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      showNotification(data.message || 'Application submitted.', 'success');
+      this.reset();
+      populateApplyBusOptions();
+    } else {
+      showNotification(data.message || 'Could not submit application.', response.status === 409 ? 'warning' : 'error');
+      if (response.status === 409) loadBusesFromDatabase();
+    }
+  } catch (error) {
+    console.error('Error:', error);
+    showNotification('Unable to connect to server. Please try again.', 'error');
+  } finally {
+    submitBtn.disabled = false;
+  }
+});
+
+// Handle application status lookup by roll number + email
+// Trip planner
+function formatPlanLeg(leg) {
+  if (leg.mode === 'walk') {
+    return `🚶 Walk ${leg.distanceMeters} m (~${leg.minutes} min) to ${leg.to.name}`;
+  }
+  const displayNumber = busNumberToDisplay.get(String(leg.busNumber)) || String(leg.busNumber);
+  const at = leg.from.time ? ` at ${leg.from.time}` : '';
+  return `🚌 Bus ${displayNumber} from ${leg.from.name}${at} to ${leg.to.name} (${leg.stops} stop${leg.stops === 1 ? '' : 's'}, ~${leg.minutes} min)`;
+}
+
+document.getElementById('planForm')?.addEventListener('submit', async function(e) {
+  e.preventDefault();
+
   const params = new URLSearchParams({
-    name,
-    roll,
-    email,
-    phone,
-    address,
-    bus: busNumber
+    from: document.getElementById('planFrom').value.trim(),
+    to: document.getElementById('planTo').value.trim(),
   });
-  // Placeholder redirect target (to be replaced when payment page is added)
-  window.location.href = `payment.html?${params.toString()}`;
+  const period = document.getElementById('planPeriod').value;
+  if (period) params.set('period', period);
+
+  try {
+    const response = await fetch(`${API_BASE}/api/plan?${params.toString()}`);
+    const data = await response.json();
+
+    this.parentElement.querySelectorAll('.result-panel').forEach(p => p.remove());
+    if (!data.success) {
+      showNotification(data.message || 'Could not plan this trip.', 'warning');
+      return;
+    }
+
+    const trip = data.period === 'EVENING' ? 'evening' : 'morning';
+    if (data.itineraries.length === 0) {
+      const panel = document.createElement('div');
+      panel.className = 'result-panel result-warning';
+      panel.innerHTML = '<div class="result-title"></div><p class="result-line"></p>';
+      panel.querySelector('.result-title').textContent = 'No route found';
+      panel.querySelector('.result-line').textContent = `No ${trip} bus connects these places within walking distance.`;
+      this.insertAdjacentElement('afterend', panel);
+      return;
+    }
+
+    // Insert in reverse so the fastest option ends up first
+    data.itineraries.slice().reverse().forEach(it => {
+      const panel = document.createElement('div');
+      panel.className = 'result-panel result-success';
+      const title = document.createElement('div');
+      title.className = 'result-title';
+      title.textContent = `~${it.totalMinutes} min • ${it.type === 'direct' ? 'Direct' : '1 change'} • ${it.walkMeters} m walking (${trip})`;
+      panel.appendChild(title);
+      it.legs.forEach(leg => {
+        const line = document.createElement('p');
+        line.className = 'result-line';
+        line.textContent = formatPlanLeg(leg);
+        panel.appendChild(line);
+      });
+      this.insertAdjacentElement('afterend', panel);
+    });
+  } catch (error) {
+    console.error('Error:', error);
+    showNotification('Unable to connect to server. Please try again.', 'error');
+  }
+});
+
+document.getElementById('statusForm')?.addEventListener('submit', async function(e) {
+  e.preventDefault();
+
+  const roll = document.getElementById('statusRoll').value.trim();
+  const email = document.getElementById('statusEmail').value.trim();
+  if (!roll || !email) {
+    showNotification('Please enter your roll number and email.', 'error');
+    return;
+  }
+
+  try {
+    const params = new URLSearchParams({ rollNumber: roll, email });
+    const response = await fetch(`${API_BASE}/api/applications/status?${params.toString()}`);
+    const data = await response.json();
+
+    const existing = this.parentElement.querySelector('.result-panel');
+    if (existing) existing.remove();
+    if (!data.success) {
+      showNotification(data.message || 'No application found.', 'warning');
+      return;
+    }
+
+    const latest = data.applications[0];
+    const displayNumber = busNumberToDisplay.get(String(latest.busNumber)) || String(latest.busNumber);
+    const panel = document.createElement('div');
+    panel.className = `result-panel ${latest.status === 'REJECTED' ? 'result-warning' : 'result-success'}`;
+    const title = document.createElement('div');
+    title.className = 'result-title';
+    title.textContent = `Application ${latest.status.toLowerCase()}`;
+    const line = document.createElement('p');
+    line.className = 'result-line';
+    line.textContent = `Bus ${displayNumber} • Applied on ${new Date(latest.createdAt).toLocaleDateString()}`;
+    panel.appendChild(title);
+    panel.appendChild(line);
+    this.insertAdjacentElement('afterend', panel);
+  } catch (error) {
+    console.error('Error:', error);
+    showNotification('Unable to connect to server. Please try again.', 'error');
+  }
 });
 
 // Notification function
@@ -539,8 +660,36 @@ function showNotification(message, type = 'info') {
   });
 }
 
+// Human-readable ETA for one matched bus, e.g. "arrives in ~7 min at Benz Circle"
+function formatEta(eta) {
+  if (!eta) return '';
+  if (eta.passed) return `already passed ${eta.stopName}`;
+  const when = eta.minutes <= 0 ? 'due now' : `arrives in ~${eta.minutes} min`;
+  const basis = eta.source === 'timetable' ? ` (scheduled ${eta.scheduledTime})` : '';
+  return `${when} at ${eta.stopName}${basis}`;
+}
+
+// Nearest stop for one matched bus, e.g. "Benz Circle, 420 m, morning pickup #2"
+function formatNearestStop(stop) {
+  if (!stop) return '';
+  const distance = stop.distanceMeters == null ? '' : stop.distanceMeters >= 1000
+    ? `, ${(stop.distanceMeters / 1000).toFixed(1)} km`
+    : `, ${stop.distanceMeters} m`;
+  const trip = stop.period === 'EVENING' ? 'evening drop' : 'morning pickup';
+  return `${stop.name}${distance}, ${trip} #${stop.order}`;
+}
+
+// Where a typed location was resolved to, so a wrong match is visible to the student
+function geocodedLine(geocoded) {
+  const line = document.createElement('p');
+  line.className = 'result-line';
+  line.textContent = `📍 Searched near: ${geocoded.label}`;
+  return line;
+}
+
 // Availability result panel below the form
-function renderAvailabilityPanel(isAvailable, numbers) {
+function renderAvailabilityPanel(isAvailable, results, geocoded) {
+  const numbers = results.map(b => busNumberToDisplay.get(String(b.busNumber)) || String(b.busNumber));
   // Remove existing panel
   const existing = document.querySelector('.result-panel');
   if (existing) existing.remove();
@@ -557,7 +706,24 @@ function renderAvailabilityPanel(isAvailable, numbers) {
     line.className = 'result-line';
     line.textContent = `Bus numbers: ${numbers.join(', ')}`;
     panel.appendChild(title);
+    if (geocoded) panel.appendChild(geocodedLine(geocoded));
     panel.appendChild(line);
+    results.forEach((b, i) => {
+      const nearest = formatNearestStop(b.nearestStop);
+      if (!nearest) return;
+      const stopLine = document.createElement('p');
+      stopLine.className = 'result-line';
+      stopLine.textContent = `🚏 Bus ${numbers[i]} — ${nearest}`;
+      panel.appendChild(stopLine);
+    });
+    results.forEach((b, i) => {
+      const eta = formatEta(b.eta);
+      if (!eta) return;
+      const etaLine = document.createElement('p');
+      etaLine.className = 'result-line';
+      etaLine.textContent = `🕐 Bus ${numbers[i]} — ${eta}`;
+      panel.appendChild(etaLine);
+    });
   } else {
     const title = document.createElement('div');
     title.className = 'result-title';
@@ -565,6 +731,7 @@ function renderAvailabilityPanel(isAvailable, numbers) {
     const line = document.createElement('p');
     line.className = 'result-line'; line.textContent = 'Right now bus is unavailable within 1.5km radius of your location.';
     panel.appendChild(title);
+    if (geocoded) panel.appendChild(geocodedLine(geocoded));
     panel.appendChild(line);
   }
 
@@ -613,6 +780,7 @@ async function showRouteOnMap(busNumber, mapElementId, type) {
     const waypoints = stops.slice(1, -1).map(s => ({ location: toLatLng(s.coords), stopover: true })).filter(w => !!w.location);
 
     const map = new google.maps.Map(el, { zoom: 12, center: origin });
+    attachLiveMarker(map);
     const directionsService = new google.maps.DirectionsService();
     const directionsRenderer = new google.maps.DirectionsRenderer({ map, suppressMarkers: false });
 
@@ -664,11 +832,14 @@ document.addEventListener("click", (e) => {
   }
 });
 
-// Show modal with bus data
-function showModal(busData) {
-  // Store current bus data
-  currentBusData = busData;
-  
+// Scheduled time suffix for a stop, e.g. " (🕐 07:45)"; empty when no timetable is set
+function formatStopTime(stop) {
+  const time = stop.arrivalTime || stop.departureTime;
+  return time ? ` (🕐 ${time})` : '';
+}
+
+// Fill the modal's text (titles, stop lists, occupancy, driver) from bus data
+function renderModalDetails(busData) {
   modalTitle.textContent = `${busData.name} - ${busData.location}`;
   
   // Update morning route
@@ -679,7 +850,7 @@ function showModal(busData) {
   
   // Create stops list for morning route
   const morningStopsList = busData.morningRoute.stops.map((stop, index) => 
-    `${index + 1}. ${stop.name}`
+    `${index + 1}. ${stop.name}${formatStopTime(stop)}`
   ).join('<br>');
   document.getElementById("morningRouteStops").innerHTML = 
     `<strong>Route Stops:</strong><br>${morningStopsList}`;
@@ -692,7 +863,7 @@ function showModal(busData) {
   
   // Create stops list for evening route
   const eveningStopsList = busData.eveningRoute.stops.map((stop, index) => 
-    `${index + 1}. ${stop.name}`
+    `${index + 1}. ${stop.name}${formatStopTime(stop)}`
   ).join('<br>');
   document.getElementById("eveningRouteStops").innerHTML = 
     `<strong>Route Stops:</strong><br>${eveningStopsList}`;
@@ -715,14 +886,23 @@ function showModal(busData) {
   // Populate Driver Details
   document.getElementById('driverName').textContent = `Name: ${busData.driverName || 'Not available'}`;
   document.getElementById('driverPhone').textContent = `Phone: ${busData.driverPhone || 'Not available'}`;
+}
 
-  // Populate Live Location
+// Show modal with bus data
+function showModal(busData) {
+  // Store current bus data
+  currentBusData = busData;
+  
+  renderModalDetails(busData);
+
+  // Populate Live Location (driver GPS first, pasted link as fallback)
   const liveLocationEl = document.getElementById('liveLocationLink');
   if (busData.liveLocationUrl) {
     liveLocationEl.innerHTML = `<a href="${busData.liveLocationUrl}" target="_blank" rel="noopener noreferrer">Click here to view live location</a>`;
   } else {
     liveLocationEl.textContent = 'Live location not available.';
   }
+  startLivePosition(busData.number);
 
 
   // Generate dynamic maps
@@ -746,6 +926,78 @@ function showModal(busData) {
 
 
 
+// Route maps currently shown in the modal, keyed by 'morning'/'evening', so live
+// updates can swap markers without re-requesting Directions
+let routeMaps = {};
+
+// Draw numbered stop markers (S = start, D = destination) with info windows; returns the markers
+function renderStopMarkers(map, stops) {
+  return stops.map((stop, index) => {
+    const [lat, lng] = stop.coords.split(',').map(Number);
+    const position = { lat, lng };
+    
+    // Different marker for start, waypoints, and end
+    let markerIcon = '';
+    let label = '';
+    let markerColor = '#0072ff';
+    
+    if (index === 0) {
+      // Start marker
+      markerIcon = '🚌';
+      label = 'S';
+      markerColor = '#28a745';
+    } else if (index === stops.length - 1) {
+      // End marker
+      markerIcon = '🏫';
+      label = 'D';
+      markerColor = '#dc3545';
+    } else {
+      // Waypoint marker
+      markerIcon = '📍';
+      label = (index).toString();
+      markerColor = '#ffc107';
+    }
+
+    const marker = new google.maps.Marker({
+      position,
+      map,
+      label: {
+        text: label,
+        color: 'white',
+        fontWeight: 'bold',
+        fontSize: '12px'
+      },
+      icon: {
+        path: google.maps.SymbolPath.CIRCLE,
+        scale: 8,
+        fillColor: markerColor,
+        fillOpacity: 1,
+        strokeColor: 'white',
+        strokeWeight: 2
+      },
+      title: stop.name
+    });
+
+    // Info window for each stop
+    const infoWindow = new google.maps.InfoWindow({
+      content: `
+        <div style="padding: 8px; font-family: Arial, sans-serif;">
+          <strong>${stop.name}</strong><br>
+          <small>Stop ${index + 1} of ${stops.length}</small><br>
+          ${stop.arrivalTime ? `<small>Arrives: ${stop.arrivalTime}</small><br>` : ''}
+          ${stop.departureTime ? `<small>Departs: ${stop.departureTime}</small><br>` : ''}
+          <small>Coordinates: ${stop.coords}</small>
+        </div>
+      `
+    });
+
+    marker.addListener('click', () => {
+      infoWindow.open(map, marker);
+    });
+    return marker;
+  });
+}
+
 // Generate dynamic route map
 async function generateRouteMap(routeType, routeData) {
   const mapContainer = document.querySelector(`#${routeType}Route .route-map`);
@@ -793,6 +1045,7 @@ async function generateRouteMap(routeType, routeData) {
       fullscreenControl: true,
       zoomControl: true,
     });
+    attachLiveMarker(map);
 
     if (coords.length > 0) {
       // Use Directions API to snap to roads and honor waypoints
@@ -838,67 +1091,7 @@ async function generateRouteMap(routeType, routeData) {
       
 
       // Create markers for each stop with custom icons and info windows
-      stops.forEach((stop, index) => {
-        const [lat, lng] = stop.coords.split(',').map(Number);
-        const position = { lat, lng };
-        
-        // Different marker for start, waypoints, and end
-        let markerIcon = '';
-        let label = '';
-        let markerColor = '#0072ff';
-        
-        if (index === 0) {
-          // Start marker
-          markerIcon = '🚌';
-          label = 'S';
-          markerColor = '#28a745';
-        } else if (index === stops.length - 1) {
-          // End marker
-          markerIcon = '🏫';
-          label = 'D';
-          markerColor = '#dc3545';
-        } else {
-          // Waypoint marker
-          markerIcon = '📍';
-          label = (index).toString();
-          markerColor = '#ffc107';
-        }
-
-        const marker = new google.maps.Marker({
-          position,
-          map,
-          label: {
-            text: label,
-            color: 'white',
-            fontWeight: 'bold',
-            fontSize: '12px'
-          },
-          icon: {
-            path: google.maps.SymbolPath.CIRCLE,
-            scale: 8,
-            fillColor: markerColor,
-            fillOpacity: 1,
-            strokeColor: 'white',
-            strokeWeight: 2
-          },
-          title: stop.name
-        });
-
-        // Info window for each stop
-        const infoWindow = new google.maps.InfoWindow({
-          content: `
-            <div style="padding: 8px; font-family: Arial, sans-serif;">
-              <strong>${stop.name}</strong><br>
-              <small>Stop ${index + 1} of ${stops.length}</small><br>
-              <small>Coordinates: ${stop.coords}</small>
-            </div>
-          `
-        });
-
-        marker.addListener('click', () => {
-          infoWindow.open(map, marker);
-        });
-      });
+      routeMaps[routeType] = { map, stopMarkers: renderStopMarkers(map, stops) };
     }
   } catch (err) {
     // On failure, show placeholder
@@ -907,8 +1100,145 @@ async function generateRouteMap(routeType, routeData) {
   }
 }
 
+// ---- Live updates for the open bus (SSE stream, polling fallback) ----
+const LIVE_POSITION_POLL_MS = 10000;
+let liveStream = null;
+let livePositionTimer = null;
+let livePosition = null;
+let liveMarkers = [];
+
+// Add a bus marker to a freshly created route map; it follows every position update
+function attachLiveMarker(map) {
+  const marker = new google.maps.Marker({
+    map,
+    title: 'Bus (live)',
+    zIndex: 1000,
+    visible: false,
+    icon: {
+      path: google.maps.SymbolPath.FORWARD_CLOSED_ARROW,
+      scale: 6,
+      fillColor: '#6f42c1',
+      fillOpacity: 1,
+      strokeColor: 'white',
+      strokeWeight: 2,
+      rotation: 0
+    }
+  });
+  liveMarkers.push(marker);
+  if (livePosition) moveLiveMarkers(livePosition);
+}
+
+function moveLiveMarkers(position) {
+  liveMarkers.forEach(marker => {
+    const icon = marker.getIcon();
+    marker.setPosition({ lat: position.lat, lng: position.lng });
+    marker.setIcon({ ...icon, rotation: position.heading || 0, fillOpacity: position.stale ? 0.4 : 1 });
+    marker.setVisible(true);
+  });
+}
+
+function renderLivePositionText(position) {
+  const el = document.getElementById('liveLocationLink');
+  if (!el) return;
+  const speed = typeof position.speed === 'number' ? ` • ${Math.round(position.speed)} km/h` : '';
+  const age = position.ageSeconds < 60 ? `${position.ageSeconds}s ago` : `${Math.round(position.ageSeconds / 60)} min ago`;
+  el.textContent = `${position.stale ? '⚠️ Last seen' : '🟢 Live'}: updated ${age}${speed}. See the route maps for the bus marker.`;
+}
+
+function applyLivePosition(position) {
+  livePosition = position;
+  renderLivePositionText(position);
+  moveLiveMarkers(position);
+}
+
+// Occupancy changed (seat assigned/released): refresh the modal and the Apply dropdown
+function applyOccupancyUpdate(update) {
+  const bus = buses.find(b => String(b.number) === update.busNumber);
+  if (bus) {
+    bus.capacity = update.capacity;
+    bus.currentOccupancy = update.currentOccupancy;
+    populateApplyBusOptions();
+  }
+  if (currentBusData && String(currentBusData.number) === update.busNumber) {
+    document.getElementById('busCapacity').textContent = `Bus Capacity: ${update.capacity || 'N/A'}`;
+    document.getElementById('currentOccupancy').textContent = `Current Occupancy: ${update.currentOccupancy || 0} Students`;
+  }
+}
+
+// Route edited by an admin: swap stop markers in place; the drawn road path is kept
+// until the modal is reopened, so no new Directions request is made
+function applyRouteUpdate(update) {
+  if (!currentBusData || String(currentBusData.number) !== update.busNumber) return;
+  if (update.deleted) {
+    showNotification('This bus was removed by the transport office.', 'warning');
+    closeModal();
+    loadBusesFromDatabase();
+    return;
+  }
+  const toRoute = (route, stops) => ({
+    ...route,
+    from: stops[0]?.name || 'N/A',
+    to: stops[stops.length - 1]?.name || 'N/A',
+    stops: stops.map(toClientStop)
+  });
+  Object.assign(currentBusData, {
+    name: update.name,
+    location: update.location,
+    capacity: update.capacity,
+    driverName: update.driverName,
+    driverPhone: update.driverPhone,
+    morningRoute: toRoute(currentBusData.morningRoute, update.morningStops),
+    eveningRoute: toRoute(currentBusData.eveningRoute, update.eveningStops)
+  });
+  renderModalDetails(currentBusData);
+  ['morning', 'evening'].forEach(routeType => {
+    const shown = routeMaps[routeType];
+    if (!shown) return;
+    shown.stopMarkers.forEach(marker => marker.setMap(null));
+    shown.stopMarkers = renderStopMarkers(shown.map, currentBusData[`${routeType}Route`].stops);
+  });
+}
+
+async function refreshLivePosition(busNumber) {
+  try {
+    const res = await fetch(`${API_BASE}/api/buses/${busNumber}/position`);
+    if (!res.ok) return; // no driver data yet; keep the fallback text
+    const data = await res.json();
+    if (data.success && data.position) applyLivePosition(data.position);
+  } catch (e) {
+    // transient network errors are ignored; next poll retries
+  }
+}
+
+function startLivePosition(busNumber) {
+  stopLivePosition();
+  refreshLivePosition(busNumber); // show the last known fix immediately
+
+  if (typeof EventSource === 'undefined') {
+    livePositionTimer = setInterval(() => refreshLivePosition(busNumber), LIVE_POSITION_POLL_MS);
+    return;
+  }
+  // EventSource reconnects on its own after network drops
+  liveStream = new EventSource(`${API_BASE}/api/stream?bus=${encodeURIComponent(busNumber)}`);
+  liveStream.addEventListener('position', e => applyLivePosition(JSON.parse(e.data).position));
+  liveStream.addEventListener('occupancy', e => applyOccupancyUpdate(JSON.parse(e.data)));
+  liveStream.addEventListener('route', e => applyRouteUpdate(JSON.parse(e.data)));
+}
+
+function stopLivePosition() {
+  if (liveStream) liveStream.close();
+  liveStream = null;
+  if (livePositionTimer) clearInterval(livePositionTimer);
+  livePositionTimer = null;
+  livePosition = null;
+  liveMarkers.forEach(marker => marker.setMap(null));
+  liveMarkers = [];
+  routeMaps = {};
+}
+
 // Close modal
 function closeModal() {
+  stopLivePosition();
   modal.style.display = "none";
   // Restore body scrolling
   document.body.style.overflow = 'auto';
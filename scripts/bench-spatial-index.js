@@ -0,0 +1,58 @@
+// Compares the stop grid index against the full geolib scan /api/check-availability used to do.
+// Synthetic stops are scattered around Vijayawada; results of both approaches are checked for equality.
+// Usage: node scripts/bench-spatial-index.js [stops=3000] [queries=300] [radiusMeters=1500]
+
+import geolib from "geolib";
+import { createStopIndex } from "../lib/spatial-index.js";
+
+const [stopCount = 3000, queryCount = 300, radiusMeters = 1500] = process.argv.slice(2).map(Number);
+const K = 5;
+
+// Deterministic pseudo-random numbers so runs are comparable
+let seed = 42;
+function rand() {
+  seed = (seed * 1103515245 + 12345) % 2 ** 31;
+  return seed / 2 ** 31;
+}
+
+const center = { lat: 16.5062, lng: 80.648 };
+const spread = 0.25; // ~ +/- 27 km
+const stops = Array.from({ length: stopCount }, (_, i) => ({
+  id: i + 1,
+  lat: center.lat + (rand() - 0.5) * spread,
+  lng: center.lng + (rand() - 0.5) * spread,
+}));
+const queries = Array.from({ length: queryCount }, () => ({
+  latitude: center.lat + (rand() - 0.5) * spread,
+  longitude: center.lng + (rand() - 0.5) * spread,
+}));
+
+function scanAll(q) {
+  return stops
+    .map(s => ({ item: s, distanceMeters: geolib.getDistance(q, { latitude: s.lat, longitude: s.lng }) }))
+    .sort((a, b) => a.distanceMeters - b.distanceMeters);
+}
+
+function time(label, fn, perQuery = true) {
+  const start = process.hrtime.bigint();
+  const out = fn();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  const rate = perQuery ? `${(ms / queryCount * 1000).toFixed(1).padStart(9)} µs/query` : "";
+  console.log(`${label.padEnd(24)} ${ms.toFixed(1).padStart(9)} ms total  ${rate}`);
+  return out;
+}
+
+// Ties at equal distance may come back in either order, so compare the distance sequences
+const sameResults = (a, b) => a.length === b.length && a.every((x, i) => x.distanceMeters === b[i].distanceMeters);
+
+console.log(`${stopCount} stops, ${queryCount} queries, radius ${radiusMeters} m, k=${K}\n`);
+
+const index = time("build index", () => createStopIndex(stops), false);
+const scanRadius = time("radius: full scan", () => queries.map(q => scanAll(q).filter(x => x.distanceMeters <= radiusMeters)));
+const gridRadius = time("radius: grid index", () => queries.map(q => index.withinRadius(q, radiusMeters)));
+const scanKnn = time("k-nearest: full scan", () => queries.map(q => scanAll(q).slice(0, K)));
+const gridKnn = time("k-nearest: grid index", () => queries.map(q => index.nearest(q, K)));
+
+const mismatches = queries.filter((_, i) => !sameResults(scanRadius[i], gridRadius[i]) || !sameResults(scanKnn[i], gridKnn[i])).length;
+console.log(`\n${mismatches === 0 ? "✅" : "❌"} ${mismatches} of ${queryCount} queries differ from the full scan`);
+process.exitCode = mismatches === 0 ? 0 : 1;
@@ -0,0 +1,65 @@
+// Checks a GTFS feed against the GTFS Schedule reference rules (lib/gtfs.js validateGtfsFeed).
+// Usage: node scripts/validate-gtfs.js [feed.zip | http://localhost:3000/api/gtfs.zip]
+// With no argument, validates a feed built from a small synthetic fleet, so the builder itself is checked
+// without a database or a running server.
+
+import fs from "fs/promises";
+import { buildGtfsFeed, validateGtfsFeed, unzipFeed, GTFS_FILES } from "../lib/gtfs.js";
+
+// Two buses with the gaps real timetables have: stops without times, a trip with no time at its end
+function sampleFeed() {
+  const stop = (stopPlaceId, name, lat, lng, period, order, arrivalTime = null, departureTime = null) =>
+    ({ stopPlaceId, name, lat, lng, period, order, arrivalTime, departureTime });
+  const buses = [
+    {
+      number: "101", name: "Vijayawada",
+      stops: [
+        stop(1, "Vijayawada Railway Station", 16.5062, 80.648, "MORNING", 1, null, "07:30"),
+        stop(2, "Benz Circle", 16.5171, 80.6305, "MORNING", 2),
+        stop(3, "V R Siddhartha Engineering College", 16.5286, 80.6393, "MORNING", 3, "08:15"),
+        stop(3, "V R Siddhartha Engineering College", 16.5286, 80.6393, "EVENING", 1, null, "16:30"),
+        stop(2, "Benz Circle", 16.5171, 80.6305, "EVENING", 2, "16:50", "16:52"),
+        stop(1, "Vijayawada Railway Station", 16.5062, 80.648, "EVENING", 3, "17:10"),
+      ],
+    },
+    {
+      number: "102", name: "Guntur, via \"Mangalagiri\"",
+      stops: [
+        stop(4, "Guntur Railway Station", 16.3008, 80.4428, "MORNING", 1, null, "06:50"),
+        stop(3, "V R Siddhartha Engineering College", 16.5286, 80.6393, "MORNING", 2),
+      ],
+    },
+  ];
+  const { files, skipped } = buildGtfsFeed({
+    agency: { name: "V R Siddhartha Engineering College", url: "https://example.edu", timezone: "Asia/Kolkata", phone: "+91 866 000 0000" },
+    buses,
+    service: { days: "1111110", startDate: "20260101", endDate: "20261231" },
+  });
+  return { files, skipped: skipped.map(s => `${s.tripId} (${s.reason})`) };
+}
+
+async function loadFeed(source) {
+  if (!source) return sampleFeed();
+  let zip;
+  let skipped = [];
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`${source} answered ${response.status}`);
+    zip = Buffer.from(await response.arrayBuffer());
+    skipped = (response.headers.get("x-gtfs-skipped-trips") || "").split(/, (?=\S+-(?:MORNING|EVENING) \()/).filter(Boolean);
+  } else {
+    zip = await fs.readFile(source);
+  }
+  return { files: unzipFeed(zip), skipped };
+}
+
+const source = process.argv[2];
+const { files, skipped } = await loadFeed(source);
+const { errors, warnings } = validateGtfsFeed(files);
+
+console.log(`${source || "sample feed"}: ${GTFS_FILES.filter(f => files[f] != null).join(", ")}\n`);
+for (const trip of skipped) console.log(`⏭️  left out: ${trip}`);
+for (const warning of warnings) console.log(`⚠️  ${warning}`);
+for (const error of errors) console.log(`❌ ${error}`);
+console.log(`\n${errors.length === 0 ? "✅" : "❌"} ${errors.length} errors, ${warnings.length} warnings`);
+process.exitCode = errors.length === 0 ? 0 : 1;
@@ -5,8 +5,25 @@ import { PrismaClient } from "@prisma/client";
 import geolib from "geolib";
 import crypto from "crypto";
 import jwt from "jsonwebtoken";
+import { rateLimit } from "express-rate-limit";
+import { checkSchema, validationResult } from "express-validator";
 import fs from "fs/promises"; // <-- ensure this import is at the top with other imports
 import bcrypt from "bcryptjs";
+import { currentPeriod, findArrivedStop, estimateLiveArrival, estimateScheduledArrival, nextSegmentAverage } from "./lib/eta.js";
+import { createGeocoder, gazetteerProvider, googleProvider } from "./lib/geocode.js";
+import { createStopIndex } from "./lib/spatial-index.js";
+import { planTrips } from "./lib/planner.js";
+import { normalizeStopName, findStopPlace, findDuplicateStopPlaces } from "./lib/stop-catalog.js";
+import { parseEffectiveDate, latestEffectiveByBus, versionStopLists, flatVersionStops } from "./lib/route-versions.js";
+import { fleetToCsv, fleetFromCsv, fleetFromJson, rowOfField, csvColumnOf } from "./lib/fleet-transfer.js";
+import { buildGtfsFeed, zipFeed } from "./lib/gtfs.js";
+import { ROLES, permissionsFor, hasPermission, canActOnBus, API_KEY_SCOPES } from "./lib/permissions.js";
+import { diffSnapshots } from "./lib/audit-diff.js";
+import { createOutbox, consoleTransport, fileTransport, smtpTransport } from "./lib/mail.js";
+import { createLoginThrottle } from "./lib/login-throttle.js";
+import { generateSecret, verifyTotp, otpauthUrl, generateRecoveryCodes, normalizeRecoveryCode } from "./lib/totp.js";
+import QRCode from "qrcode";
+import { validatorRules, buildOpenApiDocument } from "./lib/api-schema.js";
 
 dotenv.config();
 const app = express();
@@ -17,7 +34,13 @@ app.set('trust proxy', 1);
 
 const prisma = new PrismaClient();
 
+// Admin API under /api/admin (what the dashboard calls); most routes are also served at /admin/* for older
+// clients, sharing one handler. Mounted near the end, after the /admin/* routes.
+const apiAdmin = express.Router();
+
 app.use(cors());
+// Fleet imports carry a whole file in the body, so they get a larger limit than everything else
+app.use(['/api/admin/import', '/api/v1/admin/import'], express.json({ limit: process.env.IMPORT_MAX_SIZE || "5mb" }));
 app.use(express.json());
 
 // JSON parse error handler — return JSON error instead of HTML
@@ -31,6 +54,31 @@ app.use((err, req, res, next) => {
 
 app.use(express.static("public"));
 
+// ---------------- Rate limiting (per IP) ----------------
+// Sign-in, signup and password reset share a strict limit; public lookups that write AvailabilityLog or
+// call the geocoder get a looser one. A limit of 0 turns that limiter off. Per-account lockout is at login.
+function ipLimiter(limit, windowMs, message) {
+  return rateLimit({
+    windowMs,
+    limit,
+    skip: () => limit <= 0,
+    standardHeaders: "draft-7",
+    legacyHeaders: false,
+    message: { success: false, message },
+  });
+}
+
+const authLimiter = ipLimiter(
+  Number(process.env.AUTH_RATE_LIMIT ?? 20),
+  Number(process.env.AUTH_RATE_WINDOW_MINUTES || 15) * 60 * 1000,
+  "Too many attempts from this address, please try again later"
+);
+const publicLimiter = ipLimiter(
+  Number(process.env.PUBLIC_RATE_LIMIT ?? 60),
+  Number(process.env.PUBLIC_RATE_WINDOW_SECONDS || 60) * 1000,
+  "Too many requests, please slow down"
+);
+
 // Ensure Prisma connects at startup and disconnects gracefully on shutdown
 (async () => {
   try {
@@ -57,34 +105,433 @@ app.get("/api/health", (req, res) => {
   res.json({ success: true, message: "Bus Transport API running", environment: process.env.NODE_ENV || "development" });
 });
 
-// GET all routes
-app.get("/api/routes", async (req, res) => {
+// ---------------- Live event stream (Server-Sent Events) ----------------
+// One in-process hub. Clients subscribe with GET /api/stream?bus=1,2 (omit bus for all buses)
+// and receive `position`, `occupancy` and `route` events for those buses only.
+
+const streamClients = new Set();
+const STREAM_HEARTBEAT_MS = 25000;
+
+function publish(event, busNumber, data) {
+  const frame = `event: ${event}\ndata: ${JSON.stringify({ busNumber: String(busNumber), ...data })}\n\n`;
+  for (const client of streamClients) {
+    if (!client.buses || client.buses.has(String(busNumber))) client.res.write(frame);
+  }
+}
+
+app.get("/api/stream", (req, res) => {
+  const buses = req.query.bus ? new Set(String(req.query.bus).split(",").map(b => b.trim()).filter(Boolean)) : null;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // keep proxies from buffering the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: 5000\n\n`);
+
+  const client = { res, buses };
+  streamClients.add(client);
+  const heartbeat = setInterval(() => res.write(`: ping\n\n`), STREAM_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    streamClients.delete(client);
+  });
+});
+
+// ---------------- Seat reservation helpers ----------------
+// Occupancy is never stored: it is the number of SeatAssignment rows per bus + period.
+
+const PERIODS = ["MORNING", "EVENING"];
+
+// Returns Map busId -> { MORNING, EVENING, current } where current is the busier of the two trips
+async function getOccupancyMap(client = prisma, busIds = null) {
+  const rows = await client.seatAssignment.groupBy({
+    by: ["busId", "period"],
+    where: busIds ? { busId: { in: busIds } } : undefined,
+    _count: { _all: true },
+  });
+  const map = new Map();
+  for (const r of rows) {
+    const o = map.get(r.busId) || { MORNING: 0, EVENING: 0 };
+    o[r.period] = r._count._all;
+    map.set(r.busId, o);
+  }
+  for (const o of map.values()) o.current = Math.max(o.MORNING, o.EVENING);
+  return map;
+}
+
+function occupancyOf(map, busId) {
+  return map.get(busId) || { MORNING: 0, EVENING: 0, current: 0 };
+}
+
+// Push the fresh derived occupancy of a bus to stream subscribers (call after the write commits)
+async function publishOccupancy(bus) {
+  try {
+    const occ = occupancyOf(await getOccupancyMap(prisma, [bus.id]), bus.id);
+    publish("occupancy", bus.number, { capacity: bus.capacity, currentOccupancy: occ.current, occupancy: { morning: occ.MORNING, evening: occ.EVENING } });
+  } catch (e) {
+    console.warn("Occupancy publish failed:", e.message || e);
+  }
+}
+
+// Allocate one seat inside a transaction. The bus row is locked first so two
+// concurrent allocations cannot both read the same count and oversell the bus.
+async function allocateSeat(tx, bus, period, { rollNumber, studentName = "", applicationId = null, assignedBy = null }) {
+  await tx.$queryRaw`SELECT id FROM "Bus" WHERE id = ${bus.id} FOR UPDATE`;
+  const taken = await tx.seatAssignment.count({ where: { busId: bus.id, period } });
+  if (taken >= bus.capacity) {
+    const err = new Error(`Bus ${bus.number} is full for the ${period.toLowerCase()} trip`);
+    err.status = 409;
+    throw err;
+  }
+  try {
+    return await tx.seatAssignment.create({
+      data: { busId: bus.id, period, rollNumber: String(rollNumber).trim().toUpperCase(), studentName, applicationId, assignedBy },
+    });
+  } catch (e) {
+    if (e.code === "P2002") {
+      const err = new Error(`Student ${rollNumber} already has a ${period.toLowerCase()} seat`);
+      err.status = 400;
+      throw err;
+    }
+    throw e;
+  }
+}
+
+// ---------------- Stop schedule helpers ----------------
+// Scheduled times are stored as "HH:MM" strings (24h, college local time).
+
+const STOP_TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Returns the normalized time, null when blank, or undefined when malformed
+function normalizeStopTime(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const v = String(value).trim();
+  return STOP_TIME_RE.test(v) ? v : undefined;
+}
+
+// A stop typed into a route by name is the catalog stop of that name within this many metres
+const STOP_MATCH_RADIUS_M = Number(process.env.STOP_MATCH_RADIUS_M || 150);
+
+// Route stops are loaded with their catalog place and flattened to the shape the rest of the server uses:
+// { id, busId, stopPlaceId, name, lat, lng, period, order, arrivalTime, departureTime }
+const STOPS_WITH_PLACE = { stops: { include: { place: true } } };
+
+function flattenStop({ place, ...stop }) {
+  return { ...stop, name: place.name, lat: place.lat, lng: place.lng };
+}
+
+// A bus loaded with STOPS_WITH_PLACE, with flat stops (null stays null)
+function withFlatStops(bus) {
+  return bus && { ...bus, stops: (bus.stops || []).map(flattenStop) };
+}
+
+function serializeStop(s) {
+  return { stopPlaceId: s.stopPlaceId, name: s.name, coords: { lat: s.lat, lng: s.lng }, arrivalTime: s.arrivalTime, departureTime: s.departureTime };
+}
+
+// Push an edited route to stream subscribers; `bus` must include its stops (or be null when deleted)
+function publishRoute(busNumber, bus) {
+  if (!bus) return publish("route", busNumber, { deleted: true });
+  const byPeriod = period => (bus.stops || []).filter(s => s.period === period).sort((a,b)=>a.order-b.order).map(serializeStop);
+  publish("route", busNumber, {
+    name: bus.name, location: bus.location, capacity: bus.capacity,
+    driverName: bus.driverName, driverPhone: bus.driverPhone,
+    morningStops: byPeriod("MORNING"), eveningStops: byPeriod("EVENING"),
+  });
+}
+
+// ---------------- Request validation ----------------
+// Route inputs are declared as fields (see lib/api-schema.js) and checked with express-validator, which
+// also trims strings and converts numbers. The /api/v1 routes and their OpenAPI document use these too.
+
+// Failures answer 400 with the usual { success: false, message } plus one entry per bad field
+function validateInput(input = {}) {
+  const chains = Object.entries(input).flatMap(([location, fields]) =>
+    checkSchema(validatorRules(fields, { allRequired: location === "params" }), [location]));
+  return [...chains, (req, res, next) => {
+    const errors = validationResult(req).array({ onlyFirstError: true });
+    if (errors.length === 0) return next();
+    res.status(400).json({
+      success: false,
+      message: `${errors[0].path} ${errors[0].msg}`,
+      errors: errors.map(e => ({ field: e.path, location: e.location, message: e.msg })),
+    });
+  }];
+}
+
+const BUS_NUMBER_FIELD = { type: "string", maxLength: 20, description: "Bus number", example: "12" };
+const PERIOD_FIELD = { type: "string", enum: PERIODS, uppercase: true, description: "Trip (case-insensitive)" };
+const ID_PARAM = { id: { type: "integer", minimum: 1 } };
+// Blank, or HH:MM on the 24 h clock
+const STOP_TIME_FIELD = { type: "string", nullable: true, pattern: "^(([01]\\d|2[0-3]):[0-5]\\d)?$", patternMessage: "must be a time as HH:MM", example: "07:45" };
+const STOP_LIST_FIELD = {
+  type: "array",
+  maxItems: 100,
+  description: "Replaces the trip's stops, in order",
+  items: {
+    type: "object",
+    description: "A catalog stop by stopPlaceId, or name, lat and lng (matched by name to a catalog stop nearby, else added)",
+    properties: {
+      stopPlaceId: { type: "integer", minimum: 1, description: "Catalog stop; name, lat and lng are then ignored" },
+      name: { type: "string", maxLength: 120 },
+      lat: { type: "number", minimum: -90, maximum: 90 },
+      lng: { type: "number", minimum: -180, maximum: 180 },
+      arrivalTime: STOP_TIME_FIELD,
+      departureTime: STOP_TIME_FIELD,
+    },
+  },
+};
+// "YYYY-MM-DD" (the start of that day, college time) or an ISO 8601 time
+const EFFECTIVE_DATE_FIELD = {
+  type: "string", maxLength: 40, pattern: "^\\d{4}-\\d{2}-\\d{2}([T ][\\d:.]+(Z|[+-]\\d{2}:?\\d{2})?)?$",
+  patternMessage: "must be a date (YYYY-MM-DD) or an ISO 8601 time", example: "2026-12-01",
+};
+const AS_OF_QUERY = { asOf: { ...EFFECTIVE_DATE_FIELD, description: "Routes as scheduled at this date or time, including published versions not live yet (default: now)" } };
+const ROUTE_VERSION_FIELDS = {
+  name: { type: "string", maxLength: 100, example: "Odd semester 2026" },
+  effectiveFrom: { ...EFFECTIVE_DATE_FIELD, nullable: true, description: "When the version goes live once published" },
+  morningStops: STOP_LIST_FIELD,
+  eveningStops: STOP_LIST_FIELD,
+};
+// Fixes a driver app may send in one batch (it buffers them while offline)
+const POSITION_BATCH_MAX = 500;
+const POSITION_FIX_FIELDS = {
+  lat: { type: "number", minimum: -90, maximum: 90 },
+  lng: { type: "number", minimum: -180, maximum: 180 },
+  speed: { type: "number", nullable: true, minimum: 0, description: "Metres per second" },
+  heading: { type: "number", nullable: true, description: "Degrees clockwise from north" },
+  recordedAt: { type: "string", maxLength: 40, description: "ISO 8601 time of the fix (default: now)" },
+};
+const PLACE_FIELDS = {
+  name: { type: "string", required: true, maxLength: 120 },
+  aliases: { type: "array", maxItems: 50, items: { type: "string", maxLength: 120 }, description: "Other names people use for the place" },
+  lat: { type: "number", required: true, minimum: -90, maximum: 90 },
+  lng: { type: "number", required: true, minimum: -180, maximum: 180 },
+};
+
+const INPUT = {
+  busNumberParam: { params: { busNumber: BUS_NUMBER_FIELD } },
+  listRoutes: { query: AS_OF_QUERY },
+  getRoute: { params: { busNumber: BUS_NUMBER_FIELD }, query: AS_OF_QUERY },
+  numberParam: { params: { number: BUS_NUMBER_FIELD } },
+  idParam: { params: ID_PARAM },
+  checkAvailability: {
+    body: {
+      email: { type: "string", required: true, format: "email", maxLength: 254 },
+      location: { type: "string", required: true, maxLength: 200, description: 'A place name or "lat,lng"' },
+      period: PERIOD_FIELD,
+    },
+  },
+  planTrip: {
+    query: {
+      from: { type: "string", required: true, maxLength: 200, description: 'A place name or "lat,lng"' },
+      to: { type: "string", required: true, maxLength: 200, description: 'A place name or "lat,lng"' },
+      period: { ...PERIOD_FIELD, description: "Trip (default: the current one)" },
+    },
+  },
+  submitApplication: {
+    body: {
+      name: { type: "string", required: true, maxLength: 100 },
+      rollNumber: { type: "string", required: true, maxLength: 30 },
+      email: { type: "string", required: true, format: "email", maxLength: 254 },
+      phone: { type: "string", required: true, maxLength: 20 },
+      address: { type: "string", required: true, maxLength: 300 },
+      busNumber: { ...BUS_NUMBER_FIELD, required: true },
+    },
+  },
+  applicationStatus: {
+    query: {
+      rollNumber: { type: "string", required: true, maxLength: 30 },
+      email: { type: "string", required: true, format: "email", maxLength: 254 },
+    },
+  },
+  reportPosition: {
+    body: {
+      busNumber: { ...BUS_NUMBER_FIELD, description: "Required with an API key; a driver token already names its bus" },
+      ...POSITION_FIX_FIELDS,
+      fixes: {
+        type: "array", minItems: 1, maxItems: POSITION_BATCH_MAX, description: "A batch of fixes instead of a single one",
+        items: { type: "object", properties: { ...POSITION_FIX_FIELDS, lat: { ...POSITION_FIX_FIELDS.lat, required: true }, lng: { ...POSITION_FIX_FIELDS.lng, required: true } } },
+      },
+    },
+  },
+  createBus: {
+    body: {
+      number: { ...BUS_NUMBER_FIELD, required: true },
+      name: { type: "string", required: true, maxLength: 100 },
+      location: { type: "string", required: true, maxLength: 200 },
+      capacity: { type: "integer", minimum: 0, maximum: 500, description: "Seats (default 0)" },
+    },
+  },
+  updateBus: {
+    params: { number: BUS_NUMBER_FIELD },
+    body: {
+      name: { type: "string", minLength: 1, maxLength: 100 },
+      location: { type: "string", minLength: 1, maxLength: 200 },
+      capacity: { type: "integer", minimum: 0, maximum: 500 },
+      driverName: { type: "string", maxLength: 100 },
+      driverPhone: { type: "string", maxLength: 20 },
+      liveLocationUrl: { type: "string", maxLength: 500 },
+      morningStops: STOP_LIST_FIELD,
+      eveningStops: STOP_LIST_FIELD,
+    },
+  },
+  routeVersionParams: { params: { number: BUS_NUMBER_FIELD, ...ID_PARAM } },
+  createRouteVersion: { params: { number: BUS_NUMBER_FIELD }, body: ROUTE_VERSION_FIELDS },
+  updateRouteVersion: { params: { number: BUS_NUMBER_FIELD, ...ID_PARAM }, body: ROUTE_VERSION_FIELDS },
+  publishRouteVersion: {
+    params: { number: BUS_NUMBER_FIELD, ...ID_PARAM },
+    body: { effectiveFrom: { ...EFFECTIVE_DATE_FIELD, description: "Overrides the draft's effectiveFrom" } },
+  },
+  assignSeat: {
+    params: { number: BUS_NUMBER_FIELD },
+    body: {
+      rollNumber: { type: "string", required: true, maxLength: 30 },
+      studentName: { type: "string", maxLength: 100 },
+      period: { ...PERIOD_FIELD, description: "Trip to seat the student on (default: both)" },
+    },
+  },
+  exportFleet: {
+    query: { format: { type: "string", enum: ["json", "csv"], description: "Default json" } },
+  },
+  importFleet: {
+    body: {
+      csv: { type: "string", description: "The fleet as CSV, one row per stop (the columns GET /admin/export?format=csv writes)" },
+      buses: {
+        type: "array", maxItems: 1000, items: { type: "object" },
+        description: "The fleet as JSON instead: buses as in PUT /admin/buses/:number, each with its number",
+      },
+      mode: { type: "string", enum: ["create", "upsert"], description: "create (default) only adds buses; upsert also updates buses with the same number" },
+      dryRun: { type: "boolean", description: "Only check the file and report what would change" },
+    },
+  },
+  listApplications: {
+    query: { status: { type: "string", enum: ["PENDING", "APPROVED", "REJECTED", "ALL"], uppercase: true, description: "Default PENDING" } },
+  },
+  createPlace: { body: PLACE_FIELDS },
+  updatePlace: { params: ID_PARAM, body: PLACE_FIELDS },
+  listStopPlaces: { query: { q: { type: "string", maxLength: 120, description: "Part of the name, or an alias" } } },
+  createStopPlace: { body: PLACE_FIELDS },
+  updateStopPlace: { params: ID_PARAM, body: PLACE_FIELDS },
+  findDuplicateStopPlaces: {
+    query: { radius: { type: "integer", minimum: 10, maximum: 2000, description: "Metres between stops with similar names (default 200)" } },
+  },
+  mergeStopPlaces: {
+    body: {
+      keepId: { type: "integer", required: true, minimum: 1, description: "The catalog stop that stays" },
+      mergeIds: { type: "array", required: true, minItems: 1, maxItems: 50, items: { type: "integer", minimum: 1 }, description: "Catalog stops folded into it" },
+      name: { type: "string", maxLength: 120, description: "New name for the kept stop (default: its current name)" },
+      lat: { type: "number", minimum: -90, maximum: 90 },
+      lng: { type: "number", minimum: -180, maximum: 180 },
+    },
+  },
+  updateSettings: {
+    body: {
+      siteTitle: { type: "string", maxLength: 200 },
+      organizationName: { type: "string", maxLength: 200 },
+      mapOptions: { type: "object", properties: { zoom: { type: "integer", minimum: 1, maximum: 21 } } },
+      contact: {
+        type: "object",
+        properties: {
+          address: { type: "string", maxLength: 300 },
+          phone: { type: "string", maxLength: 30 },
+          email: { type: "string", maxLength: 254 },
+        },
+      },
+    },
+  },
+  createApiKey: {
+    body: {
+      name: { type: "string", required: true, maxLength: 100 },
+      scopes: { type: "array", required: true, minItems: 1, maxItems: 20, items: { type: "string", enum: Object.keys(API_KEY_SCOPES) } },
+      expiresInDays: { type: "integer", minimum: 1, maximum: 730, description: "Default 90" },
+    },
+  },
+  adminSignup: {
+    body: {
+      name: { type: "string", required: true, maxLength: 100 },
+      email: { type: "string", required: true, format: "email", maxLength: 254 },
+    },
+  },
+  listAuditEvents: {
+    query: {
+      entityType: { type: "string", maxLength: 50, example: "bus" },
+      entityId: { type: "string", maxLength: 100 },
+      actor: { type: "string", maxLength: 254, description: "Admin email" },
+      limit: { type: "integer", minimum: 1, maximum: 200, description: "Default 50" },
+      beforeId: { type: "integer", minimum: 1, description: "nextBeforeId from the previous page" },
+    },
+  },
+};
+
+// One bus in a fleet import, checked like the body of PUT /admin/buses/:number
+const IMPORT_BUS_FIELDS = { number: { ...BUS_NUMBER_FIELD, required: true }, ...INPUT.updateBus.body };
+
+// ---------------- Stop index ----------------
+// All stops (with their bus) in an in-memory grid so availability searches skip the DB and the full scan.
+// Built on first use and rebuilt after every admin route write; STOP_INDEX_CELL_M sets the grid size.
+let stopIndexPromise = null;
+
+function getStopIndex() {
+  if (!stopIndexPromise) {
+    stopIndexPromise = prisma.routeStop.findMany({ include: { bus: true, place: true } })
+      .then(stops => createStopIndex(stops.map(flattenStop), { cellMeters: Number(process.env.STOP_INDEX_CELL_M || 500) }))
+      .catch(e => {
+        stopIndexPromise = null; // retry on the next request instead of caching the failure
+        throw e;
+      });
+  }
+  return stopIndexPromise;
+}
+
+// Route writes may add catalog stops, which the gazetteer knows by name, so it is reloaded with the index
+function refreshStopIndex() {
+  stopIndexPromise = null;
+  getStopIndex().catch(e => console.warn("Stop index rebuild failed:", e.message || e));
+  gazetteer.refresh();
+}
+
+// GET all routes (as scheduled at ?asOf= when given)
+async function listRoutes(req, res) {
   try {
-    const buses = await prisma.bus.findMany({ include: { stops: true } });
+    const { asOf, error } = parseAsOf(req.query.asOf);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const buses = (await prisma.bus.findMany({ include: STOPS_WITH_PLACE })).map(withFlatStops);
     if (!buses || buses.length === 0) return res.status(404).json({ success: false, message: "No buses found" });
+    const occupancy = await getOccupancyMap();
+    const scheduled = await scheduledRoutesAt(asOf, buses.map(b => b.id));
 
     const routes = buses.map((bus) => {
+      const upcoming = scheduled.get(bus.id);
+      if (upcoming) bus = { ...bus, stops: upcoming.stops };
       const morningStops = (bus.stops || []).filter(s => s.period === "MORNING").sort((a,b)=>a.order-b.order);
       const eveningStops = (bus.stops || []).filter(s => s.period === "EVENING").sort((a,b)=>a.order-b.order);
+      const occ = occupancyOf(occupancy, bus.id);
       return {
         id: bus.id,
         number: bus.number,
         name: bus.name,
         location: bus.location,
         capacity: bus.capacity,
-        currentOccupancy: bus.currentOccupancy,
+        currentOccupancy: occ.current,
+        occupancy: { morning: occ.MORNING, evening: occ.EVENING },
         driverName: bus.driverName,
         driverPhone: bus.driverPhone,
         liveLocationUrl: bus.liveLocationUrl,
+        routeVersion: routeVersionSummary(upcoming?.version),
         morningRoute: {
           from: morningStops[0]?.name || "N/A",
           to: morningStops[morningStops.length - 1]?.name || "N/A",
-          stops: morningStops.map(s => ({ name: s.name, coords: { lat: s.lat, lng: s.lng } })),
+          stops: morningStops.map(serializeStop),
         },
         eveningRoute: {
           from: eveningStops[0]?.name || "N/A",
           to: eveningStops[eveningStops.length - 1]?.name || "N/A",
-          stops: eveningStops.map(s => ({ name: s.name, coords: { lat: s.lat, lng: s.lng } })),
+          stops: eveningStops.map(serializeStop),
         },
       };
     });
@@ -94,24 +541,31 @@ app.get("/api/routes", async (req, res) => {
     console.error("Error /api/routes:", err);
     res.status(500).json({ success: false, message: "Server error" });
   }
-});
+}
+app.get("/api/routes", validateInput(INPUT.listRoutes), listRoutes);
 
 // GET single route
-app.get("/api/routes/:busNumber", async (req, res) => {
+async function getRoute(req, res) {
   try {
     const { busNumber } = req.params;
-    const bus = await prisma.bus.findUnique({ where: { number: String(busNumber) }, include: { stops: true } });
+    const { asOf, error } = parseAsOf(req.query.asOf);
+    if (error) return res.status(400).json({ success: false, message: error });
+    let bus = withFlatStops(await prisma.bus.findUnique({ where: { number: String(busNumber) }, include: STOPS_WITH_PLACE }));
     if (!bus) return res.status(404).json({ success: false, message: "Bus not found" });
+    const upcoming = (await scheduledRoutesAt(asOf, [bus.id])).get(bus.id);
+    if (upcoming) bus = { ...bus, stops: upcoming.stops };
 
     const morningStops = (bus.stops || []).filter(s => s.period === "MORNING").sort((a,b)=>a.order-b.order);
     const eveningStops = (bus.stops || []).filter(s => s.period === "EVENING").sort((a,b)=>a.order-b.order);
+    const occ = occupancyOf(await getOccupancyMap(prisma, [bus.id]), bus.id);
 
     const transformed = {
       id: bus.id, number: bus.number, name: bus.name, location: bus.location,
-      capacity: bus.capacity, currentOccupancy: bus.currentOccupancy,
+      capacity: bus.capacity, currentOccupancy: occ.current, occupancy: { morning: occ.MORNING, evening: occ.EVENING },
       driverName: bus.driverName, driverPhone: bus.driverPhone, liveLocationUrl: bus.liveLocationUrl,
-      morningRoute: { from: morningStops[0]?.name || "N/A", to: morningStops[morningStops.length - 1]?.name || "N/A", stops: morningStops.map(s=>({ name: s.name, coords: { lat: s.lat, lng: s.lng } })) },
-      eveningRoute: { from: eveningStops[0]?.name || "N/A", to: eveningStops[eveningStops.length - 1]?.name || "N/A", stops: eveningStops.map(s=>({ name: s.name, coords: { lat: s.lat, lng: s.lng } })) },
+      routeVersion: routeVersionSummary(upcoming?.version),
+      morningRoute: { from: morningStops[0]?.name || "N/A", to: morningStops[morningStops.length - 1]?.name || "N/A", stops: morningStops.map(serializeStop) },
+      eveningRoute: { from: eveningStops[0]?.name || "N/A", to: eveningStops[eveningStops.length - 1]?.name || "N/A", stops: eveningStops.map(serializeStop) },
     };
 
     res.json({ success: true, bus: transformed });
@@ -119,14 +573,87 @@ app.get("/api/routes/:busNumber", async (req, res) => {
     console.error("Error /api/routes/:busNumber:", err);
     res.status(500).json({ success: false, message: "Server error" });
   }
+}
+app.get("/api/routes/:busNumber", validateInput(INPUT.getRoute), getRoute);
+
+// GET per-bus timetable (scheduled arrival/departure at each stop, both trips)
+async function getRouteTimetable(req, res) {
+  try {
+    const { busNumber } = req.params;
+    const { asOf, error } = parseAsOf(req.query.asOf);
+    if (error) return res.status(400).json({ success: false, message: error });
+    let bus = withFlatStops(await prisma.bus.findUnique({ where: { number: String(busNumber) }, include: STOPS_WITH_PLACE }));
+    if (!bus) return res.status(404).json({ success: false, message: "Bus not found" });
+    const upcoming = (await scheduledRoutesAt(asOf, [bus.id])).get(bus.id);
+    if (upcoming) bus = { ...bus, stops: upcoming.stops };
+
+    const toRow = s => ({ order: s.order, name: s.name, arrivalTime: s.arrivalTime, departureTime: s.departureTime });
+    const byPeriod = period => (bus.stops || []).filter(s => s.period === period).sort((a,b)=>a.order-b.order).map(toRow);
+
+    res.json({
+      success: true,
+      timetable: { busNumber: bus.number, name: bus.name, routeVersion: routeVersionSummary(upcoming?.version), morning: byPeriod("MORNING"), evening: byPeriod("EVENING") },
+    });
+  } catch (err) {
+    console.error("Error /api/routes/:busNumber/timetable:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+app.get("/api/routes/:busNumber/timetable", validateInput(INPUT.getRoute), getRouteTimetable);
+
+// ---------------- Geocoding ----------------
+// Free-text locations are resolved to coordinates so they go through the same radius search as GPS input.
+// GEOCODE_PROVIDERS picks the providers and their order (default: offline gazetteer first, then Google).
+const geocodeCacheStore = {
+  async get(query) {
+    return prisma.geocodeCache.findUnique({ where: { query } });
+  },
+  async set(query, { lat, lng, label }) {
+    await prisma.geocodeCache.upsert({
+      where: { query },
+      update: { lat, lng, label, fetchedAt: new Date() },
+      create: { query, lat, lng, label },
+    });
+  },
+};
+
+// Places and catalog stops, loaded on the first lookup; refreshed by refreshStopIndex() and place writes
+const gazetteer = gazetteerProvider(async () => {
+  const select = { name: true, aliases: true, lat: true, lng: true };
+  const [stopPlaces, places] = await Promise.all([prisma.stopPlace.findMany({ select }), prisma.place.findMany({ select })]);
+  return [...places, ...stopPlaces];
 });
 
+const geocodeProviders = {
+  gazetteer: () => gazetteer,
+  google: () => googleProvider({
+    apiKey: process.env.GOOGLE_MAPS_API_KEY,
+    region: process.env.GEOCODE_REGION,
+    country: process.env.GEOCODE_COUNTRY,
+    cache: geocodeCacheStore,
+    cacheTtlMs: Number(process.env.GEOCODE_CACHE_DAYS || 30) * 24 * 3600 * 1000,
+  }),
+};
+
+const geocoder = createGeocoder(
+  (process.env.GEOCODE_PROVIDERS || "gazetteer,google")
+    .split(",")
+    .map(name => name.trim())
+    .filter(name => {
+      if (geocodeProviders[name]) return true;
+      if (name) console.warn(`Unknown geocode provider "${name}" ignored`);
+      return false;
+    })
+    .map(name => geocodeProviders[name]())
+);
 
 // POST check-availability
-app.post("/api/check-availability", async (req, res) => {
+async function checkAvailability(req, res) {
   try {
     const { email, location } = req.body || {};
     if (!email || !location) return res.status(400).json({ success: false, message: "Missing email or location" });
+    const period = req.body.period ? String(req.body.period).toUpperCase() : null;
+    if (period && !PERIODS.includes(period)) return res.status(400).json({ success: false, message: "Invalid period (use MORNING or EVENING)" });
 
     const radiusKm = Number(process.env.SEARCH_RADIUS_KM || 1.5);
     const radiusMeters = radiusKm * 1000;
@@ -137,25 +664,52 @@ app.post("/api/check-availability", async (req, res) => {
       if (!isNaN(lat) && !isNaN(lng)) userCoords = { latitude: lat, longitude: lng };
     }
 
-    const stops = await prisma.stop.findMany({ include: { bus: true } });
+    let geocoded = null;
+    if (!userCoords) {
+      geocoded = await geocoder.geocode(String(location));
+      if (geocoded) userCoords = { latitude: geocoded.lat, longitude: geocoded.lng };
+    }
+
+    const stopIndex = await getStopIndex();
+    const inPeriod = period ? s => s.period === period : null;
+    // busNumber -> { bus, stop, distanceMeters }, keeping each bus's closest stop
     const matched = new Map();
 
     if (userCoords) {
-      for (const s of stops) {
-        const stopCoords = { latitude: s.lat, longitude: s.lng };
-        const d = geolib.getDistance(userCoords, stopCoords);
-        if (d <= radiusMeters) matched.set(String(s.bus.number), { bus: s.bus, distanceMeters: d });
+      // Results come nearest first, so the first stop seen for a bus is its closest
+      for (const { item: s, distanceMeters } of stopIndex.withinRadius(userCoords, radiusMeters, inPeriod)) {
+        if (!matched.has(String(s.bus.number))) matched.set(String(s.bus.number), { bus: s.bus, stop: s, distanceMeters });
       }
     } else {
+      // Could not geocode: fall back to matching the text itself.
+      // A stop-name hit beats a bus-location hit; otherwise the earliest stop of the trip
       const q = String(location).toLowerCase();
-      for (const s of stops) {
-        if ((s.name && s.name.toLowerCase().includes(q)) || (s.bus?.location && s.bus.location.toLowerCase().includes(q))) {
-          matched.set(String(s.bus.number), { bus: s.bus, distanceMeters: null });
+      for (const s of stopIndex.items) {
+        if (inPeriod && !inPeriod(s)) continue;
+        const nameHit = Boolean(s.name && s.name.toLowerCase().includes(q));
+        if (!nameHit && !(s.bus?.location && s.bus.location.toLowerCase().includes(q))) continue;
+        const prev = matched.get(String(s.bus.number));
+        if (!prev || (nameHit && !prev.nameHit) || (nameHit === prev.nameHit && s.order < prev.stop.order)) {
+          matched.set(String(s.bus.number), { bus: s.bus, stop: s, distanceMeters: null, nameHit });
         }
       }
     }
 
-    const buses = Array.from(matched.values()).map(x => ({ busNumber: x.bus.number, distanceMeters: x.distanceMeters, capacity: x.bus.capacity, currentOccupancy: x.bus.currentOccupancy }));
+    const occupancy = await getOccupancyMap(prisma, Array.from(matched.values()).map(x => x.bus.id));
+    const etas = await estimateBusEtas(Array.from(matched.values()), userCoords, period || currentPeriod()).catch((e) => {
+      console.warn("ETA estimation failed:", e.message || e);
+      return new Map();
+    });
+    const buses = Array.from(matched.values())
+      .sort((a, b) => (a.distanceMeters ?? Infinity) - (b.distanceMeters ?? Infinity))
+      .map(x => ({
+        busNumber: x.bus.number,
+        distanceMeters: x.distanceMeters,
+        nearestStop: { id: x.stop.id, stopPlaceId: x.stop.stopPlaceId, name: x.stop.name, period: x.stop.period, order: x.stop.order, distanceMeters: x.distanceMeters },
+        capacity: x.bus.capacity,
+        currentOccupancy: occupancyOf(occupancy, x.bus.id).current,
+        eta: etas.get(x.bus.id) || null,
+      }));
     const available = buses.some(b => Number(b.capacity || 0) > Number(b.currentOccupancy || 0));
 
     // log if model exists
@@ -165,16 +719,137 @@ app.post("/api/check-availability", async (req, res) => {
       }
     } catch (_) { /* non fatal */ }
 
-    res.json({ success: true, available, buses });
+    res.json({ success: true, available, buses, geocoded });
   } catch (err) {
     console.error("Error /api/check-availability:", err);
     res.status(500).json({ success: false, message: "Server error" });
   }
-});
+}
+app.post("/api/check-availability", publicLimiter, validateInput(INPUT.checkAvailability), checkAvailability);
+
+// "lat,lng" or a place name (geocoded) -> { lat, lng, label } or null
+async function resolvePlace(text) {
+  const value = String(text || "").trim();
+  if (!value) return null;
+  const [lat, lng] = value.split(",").map(s => Number(s.trim()));
+  if (value.split(",").length === 2 && Number.isFinite(lat) && Number.isFinite(lng)) return { lat, lng, label: value };
+  const hit = await geocoder.geocode(value);
+  return hit ? { lat: hit.lat, lng: hit.lng, label: hit.label } : null;
+}
+
+// GET trip plan: direct and one-transfer itineraries between two places, with walking legs
+async function planTrip(req, res) {
+  try {
+    const { from: fromText, to: toText } = req.query;
+    if (!fromText || !toText) return res.status(400).json({ success: false, message: "Missing from or to" });
+    const period = req.query.period ? String(req.query.period).toUpperCase() : currentPeriod();
+    if (!PERIODS.includes(period)) return res.status(400).json({ success: false, message: "Invalid period (use MORNING or EVENING)" });
+
+    const [from, to] = await Promise.all([resolvePlace(fromText), resolvePlace(toText)]);
+    if (!from) return res.status(400).json({ success: false, message: `Could not find "${fromText}"` });
+    if (!to) return res.status(400).json({ success: false, message: `Could not find "${toText}"` });
+
+    const itineraries = planTrips(await getStopIndex(), from, to, {
+      period,
+      maxWalkMeters: Number(process.env.PLAN_MAX_WALK_M || Number(process.env.SEARCH_RADIUS_KM || 1.5) * 1000),
+      transferMeters: Number(process.env.PLAN_TRANSFER_RADIUS_M || 150),
+      busSpeedKmh: Number(process.env.ETA_DEFAULT_SPEED_KMH || 25),
+    });
+    res.json({ success: true, period, from, to, itineraries });
+  } catch (err) {
+    console.error("Error /api/plan:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+app.get("/api/plan", publicLimiter, validateInput(INPUT.planTrip), planTrip);
+
+// ---------------- Student bus-pass applications ----------------
+
+// POST submit an application (capacity is re-checked here, never trust the client)
+async function submitApplication(req, res) {
+  try {
+    const { name, rollNumber, email, phone, address, busNumber } = req.body || {};
+    if (!name || !rollNumber || !email || !phone || !address || !busNumber) {
+      return res.status(400).json({ success: false, message: "Missing required fields" });
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({ success: false, message: "Invalid email format" });
+    }
+
+    const bus = await prisma.bus.findUnique({ where: { number: String(busNumber) } });
+    if (!bus) return res.status(404).json({ success: false, message: "Bus not found" });
+    const occ = occupancyOf(await getOccupancyMap(prisma, [bus.id]), bus.id);
+    if (!(bus.capacity > 0 && occ.current < bus.capacity)) {
+      return res.status(409).json({ success: false, message: "Sorry, this bus is currently full. Please choose another." });
+    }
+
+    const roll = String(rollNumber).trim().toUpperCase();
+    const existing = await prisma.application.findFirst({
+      where: { rollNumber: roll, status: { in: ["PENDING", "APPROVED"] } },
+    });
+    if (existing) {
+      return res.status(400).json({ success: false, message: "An application for this roll number is already pending or approved" });
+    }
+
+    const application = await prisma.application.create({
+      data: {
+        name: String(name).trim(),
+        rollNumber: roll,
+        activeRollNumber: roll,
+        email: String(email).trim().toLowerCase(),
+        phone: String(phone).trim(),
+        address: String(address).trim(),
+        busId: bus.id,
+      },
+    });
+
+    res.json({ success: true, message: "Application submitted. Check back for approval status.", application: { id: application.id, status: application.status, busNumber: bus.number } });
+  } catch (err) {
+    // activeRollNumber is unique: of two submissions racing past the check above only one is stored
+    if (err.code === 'P2002') return res.status(400).json({ success: false, message: "An application for this roll number is already pending or approved" });
+    console.error("POST /api/applications error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+app.post("/api/applications", publicLimiter, validateInput(INPUT.submitApplication), submitApplication);
+
+// GET application status lookup (roll number + email must both match)
+async function getApplicationStatus(req, res) {
+  try {
+    const { rollNumber, email } = req.query || {};
+    if (!rollNumber || !email) return res.status(400).json({ success: false, message: "Missing roll number or email" });
+
+    const applications = await prisma.application.findMany({
+      where: { rollNumber: String(rollNumber).trim().toUpperCase(), email: String(email).trim().toLowerCase() },
+      include: { bus: true },
+      orderBy: { createdAt: "desc" },
+    });
+    if (applications.length === 0) return res.status(404).json({ success: false, message: "No application found" });
+
+    res.json({
+      success: true,
+      applications: applications.map(a => ({
+        id: a.id,
+        busNumber: a.bus?.number,
+        busName: a.bus?.name,
+        status: a.status,
+        createdAt: a.createdAt,
+        decidedAt: a.decidedAt,
+      })),
+    });
+  } catch (err) {
+    console.error("GET /api/applications/status error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+app.get("/api/applications/status", publicLimiter, validateInput(INPUT.applicationStatus), getApplicationStatus);
 
 // ---------------- Site settings persistence & config endpoint ----------------
 
 const SETTINGS_FILE = "./settings.json";
+// Where signup requests used to be kept; only read once to import into AdminRequest
 const PENDING_ADMINS_FILE = "./pending_admins.json";
 
 async function readSettingsFromFile() {
@@ -195,83 +870,125 @@ async function writeSettingsToFile(obj) {
   }
 }
 
-// GET public settings (used by user side)
-app.get("/api/settings", async (req, res) => {
-  try {
-    // prefer DB model if present
-    if (prisma.setting) {
-      // try common patterns
+const DEFAULT_SETTINGS = {
+  siteTitle: "BUS TRANSPORT DETAILS",
+  mapOptions: { zoom: 13 },
+  contact: { address: "VR Siddhartha Engineering College, Vijayawada" }
+};
+
+// Current settings: DB model if present, then the file, then defaults
+async function readCurrentSettings() {
+  if (prisma.setting) {
+    // try common patterns
+    try {
+      // attempt findUnique by id/key - adjust if your schema differs
+      const s = await prisma.setting.findFirst();
+      // if your model stores JSON in a "data" or "value" column, adapt accordingly
+      if (s) return s.data ?? s.value ?? s;
+    } catch (e) {
+      console.warn("Prisma setting read failed:", e.message || e);
+    }
+  }
+  return (await readSettingsFromFile()) || DEFAULT_SETTINGS;
+}
+
+// Persist settings to the DB model if present, otherwise to the file. Returns { settings, warning? }.
+async function saveSettings(newSettings) {
+  if (prisma.setting) {
+    try {
+      // adjust field names based on your Prisma schema
+      // attempt upsert by id = 1 (if integer PK) otherwise by key
       try {
-        // attempt findUnique by id/key - adjust if your schema differs
-        const s = await prisma.setting.findFirst();
-        if (s) {
-          // if your model stores JSON in a "data" or "value" column, adapt accordingly
-          return res.json({ success: true, settings: s.data ?? s.value ?? s });
-        }
-      } catch (e) {
-        console.warn("Prisma setting read failed:", e.message || e);
+        const upserted = await prisma.setting.upsert({
+          where: { id: 1 },
+          update: { data: newSettings },
+          create: { id: 1, data: newSettings },
+        });
+        return { settings: upserted.data ?? newSettings };
+      } catch (_) {
+        // fallback to key-based upsert
+        const upserted2 = await prisma.setting.upsert({
+          where: { key: "site" },
+          update: { data: newSettings },
+          create: { key: "site", data: newSettings },
+        });
+        return { settings: upserted2.data ?? newSettings };
       }
+    } catch (e) {
+      console.warn("Prisma upsert attempt failed:", e.message || e);
+      // fallthrough to file write
     }
+  }
 
-    // fallback to file
-    const fileSettings = await readSettingsFromFile();
-    if (fileSettings) return res.json({ success: true, settings: fileSettings });
+  // fallback: save to file (note: ephemeral on Railway)
+  await writeSettingsToFile(newSettings);
+  return { settings: newSettings, warning: "Saved to file (ephemeral). Use DB for persistent storage." };
+}
 
-    // final fallback: return a default settings object
-    return res.json({
-      success: true,
-      settings: {
-        siteTitle: "BUS TRANSPORT DETAILS",
-        mapOptions: { zoom: 13 },
-        contact: { address: "VR Siddhartha Engineering College, Vijayawada" }
-      }
-    });
+// GET public settings (used by user side)
+async function getSettings(req, res) {
+  try {
+    res.json({ success: true, settings: await readCurrentSettings() });
   } catch (err) {
     console.error("GET /api/settings error:", err);
     res.status(500).json({ success: false, message: "Server error" });
   }
-});
+}
+app.get("/api/settings", getSettings);
 
 // Admin: save settings (persist to DB if model exists, otherwise file)
-app.put("/api/admin/settings", requireAdmin, async (req, res) => {
+async function updateSettings(req, res) {
   try {
     const newSettings = req.body || {};
-    // try DB upsert if model exists
-    if (prisma.setting) {
-      try {
-        // adjust field names based on your Prisma schema
-        // attempt upsert by id = 1 (if integer PK) otherwise by key
-        // try both patterns safely
-        try {
-          const upserted = await prisma.setting.upsert({
-            where: { id: 1 },
-            update: { data: newSettings },
-            create: { id: 1, data: newSettings },
-          });
-          return res.json({ success: true, settings: upserted.data ?? newSettings });
-        } catch (_) {
-          // fallback to key-based upsert
-          const upserted2 = await prisma.setting.upsert({
-            where: { key: "site" },
-            update: { data: newSettings },
-            create: { key: "site", data: newSettings },
-          });
-          return res.json({ success: true, settings: upserted2.data ?? newSettings });
-        }
-      } catch (e) {
-        console.warn("Prisma upsert attempt failed:", e.message || e);
-        // fallthrough to file write
-      }
-    }
-
-    // fallback: save to file (note: ephemeral on Railway)
-    await writeSettingsToFile(newSettings);
-    return res.json({ success: true, settings: newSettings, warning: "Saved to file (ephemeral). Use DB for persistent storage." });
+    const before = await readCurrentSettings();
+    const saved = await saveSettings(newSettings);
+    await recordAudit(req, { action: 'settings.update', entityType: 'settings', entityId: 'site', before, after: saved.settings });
+    res.json({ success: true, ...saved });
   } catch (err) {
     console.error("PUT /api/admin/settings error:", err);
     res.status(500).json({ success: false, message: "Server error" });
   }
-});
+}
+app.put("/api/admin/settings", requirePermission('settings:manage'), updateSettings);
+
+// ---------------- GTFS feed ----------------
+// The live routes as a GTFS static feed for journey planners and other transit tools. Agency details
+// come from the site settings; GTFS_SERVICE_DAYS (Monday first) and GTFS_START_DATE / GTFS_END_DATE set
+// calendar.txt, by default Monday to Saturday for a year from today.
+function gtfsService(now = new Date()) {
+  const timeZone = process.env.TRANSIT_TIMEZONE || "Asia/Kolkata";
+  const today = new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(now);
+  const start = process.env.GTFS_START_DATE || today;
+  const end = process.env.GTFS_END_DATE || new Date(Date.parse(`${start}T00:00:00Z`) + 364 * 86400000).toISOString().slice(0, 10);
+  return { days: process.env.GTFS_SERVICE_DAYS || "1111110", startDate: start.replace(/-/g, ""), endDate: end.replace(/-/g, "") };
+}
+
+async function getGtfsFeed(req, res) {
+  try {
+    const [settings, buses] = await Promise.all([
+      readCurrentSettings(),
+      prisma.bus.findMany({ include: STOPS_WITH_PLACE, orderBy: { number: 'asc' } }),
+    ]);
+    const { files, skipped } = buildGtfsFeed({
+      agency: {
+        name: settings.organizationName || settings.siteTitle || DEFAULT_SETTINGS.siteTitle,
+        url: appUrl(req, "/"),
+        timezone: process.env.TRANSIT_TIMEZONE || "Asia/Kolkata",
+        phone: settings.contact?.phone,
+        email: settings.contact?.email,
+      },
+      buses: buses.map(withFlatStops),
+      service: gtfsService(),
+    });
+    // GTFS needs times at a trip's first and last stop; trips without them are left out and listed here
+    if (skipped.length) res.set('X-GTFS-Skipped-Trips', skipped.map(s => `${s.tripId} (${s.reason})`).join(', ').replace(/[^\x20-\x7e]/g, '?'));
+    res.attachment('gtfs.zip').type('application/zip').send(zipFeed(files));
+  } catch (err) {
+    console.error("GET /api/gtfs.zip error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+app.get("/api/gtfs.zip", getGtfsFeed);
 
 // Expose config for client (maps API key). This returns the Maps key (normal for client side).
 app.get("/config", (req, res) => {
@@ -294,604 +1011,2771 @@ app.get("/api/maps-key", (req, res) => {
   }
 });
 
+// ---------------- Email outbox ----------------
+// MAIL_TRANSPORT picks where mail goes: console (default), file (MAIL_FILE_DIR) or smtp
+
+const emailOutboxStore = {
+  create({ to, subject, text }) {
+    return prisma.emailOutbox.create({ data: { to, subject, text } });
+  },
+  due(now, limit) {
+    return prisma.emailOutbox.findMany({ where: { status: 'PENDING', nextAttemptAt: { lte: now } }, orderBy: { id: 'asc' }, take: limit });
+  },
+  async markSent(id) {
+    await prisma.emailOutbox.update({ where: { id }, data: { status: 'SENT', sentAt: new Date(), lastError: null } });
+  },
+  async markFailed(id, { attempts, error, nextAttemptAt, giveUp }) {
+    await prisma.emailOutbox.update({ where: { id }, data: { attempts, lastError: error, nextAttemptAt, status: giveUp ? 'FAILED' : 'PENDING' } });
+  },
+};
+
+const mailTransports = {
+  console: () => consoleTransport(),
+  file: () => fileTransport(process.env.MAIL_FILE_DIR || "./mail-outbox"),
+  smtp: () => smtpTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === "true",
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+  }),
+};
+
+const mailTransportName = process.env.MAIL_TRANSPORT || "console";
+if (!mailTransports[mailTransportName]) console.warn(`Unknown mail transport "${mailTransportName}", using console`);
+const outbox = createOutbox({
+  store: emailOutboxStore,
+  transport: (mailTransports[mailTransportName] || mailTransports.console)(),
+  from: process.env.MAIL_FROM || "Bus Transport <no-reply@localhost>",
+});
+// Retries and anything queued while a send was already in progress
+setInterval(() => outbox.flush().catch(e => console.warn("Outbox flush failed:", e.message || e)),
+  Number(process.env.MAIL_FLUSH_SECONDS || 60) * 1000).unref();
+
+// Emails are best effort: a mail problem never fails the request that queued it
+async function queueEmail(to, subject, lines) {
+  try {
+    await outbox.enqueue({ to, subject, text: lines.filter(line => line !== null).join("\n") });
+  } catch (e) {
+    console.warn(`Could not queue email to ${to}:`, e.message || e);
+  }
+}
+
+// Absolute link for emails; APP_BASE_URL wins over the host the request came in on
+function appUrl(req, pathname) {
+  const base = process.env.APP_BASE_URL || (req ? `${req.protocol}://${req.get("host")}` : "");
+  return base ? `${base.replace(/\/$/, "")}${pathname}` : null;
+}
+
 /* ---------------- Admin helpers & endpoints (must be BEFORE 404) ---------------- */
 
-// --- JWT-based admin tokens (replace in-memory sessions) ---
+// --- Admin sessions: short-lived JWT access tokens plus a rotating refresh token per AdminSession ---
 const JWT_SECRET = process.env.ADMIN_JWT_SECRET || process.env.ADMIN_PASSWORD || "dev_admin_secret";
-function createAdminToken(email, isSuperAdmin = false) {
-  // 2 hour expiry
-  return jwt.sign({ email, role: 'admin', isSuperAdmin }, JWT_SECRET, { expiresIn: "2h" });
+const ACCESS_TOKEN_TTL = process.env.ADMIN_ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.ADMIN_REFRESH_TOKEN_DAYS || 14);
+
+function createAdminToken(email, isSuperAdmin, sessionId) {
+  return jwt.sign({ email, role: 'admin', isSuperAdmin, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
 }
 function verifyAdminToken(token) {
   try {
-    return jwt.verify(token, JWT_SECRET); // returns payload { email, iat, exp }
+    const payload = jwt.verify(token, JWT_SECRET); // returns payload { email, iat, exp }
+    return payload.role === 'admin' ? payload : null; // driver tokens share the secret
   } catch (e) {
     return null;
   }
 }
 
-function requireAdmin(req, res, next) {
+// Refresh and password reset tokens are random, so a plain SHA-256 is enough to store them safely
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Starts a session and returns the tokens the client keeps
+async function startAdminSession(req, email, isSuperAdmin) {
+  const refreshToken = crypto.randomBytes(32).toString("base64url");
+  // Expired sessions of this admin are only kept until their next sign-in
+  await prisma.adminSession.deleteMany({ where: { email, expiresAt: { lt: new Date() } } });
+  const session = await prisma.adminSession.create({
+    data: {
+      email,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: refreshExpiry(),
+      userAgent: req.get("user-agent")?.slice(0, 200) || null,
+      ip: req.ip || null,
+    },
+  });
+  return { token: createAdminToken(email, isSuperAdmin, session.id), refreshToken };
+}
+
+// Swaps a refresh token for a new one. Returns the session, or null if the token is unknown, expired,
+// revoked or was already used; reuse of a rotated-out token revokes the whole session.
+async function rotateAdminSession(refreshToken) {
+  const hash = hashToken(refreshToken);
+  const session = await prisma.adminSession.findFirst({ where: { OR: [{ refreshTokenHash: hash }, { previousTokenHash: hash }] } });
+  if (!session || session.revokedAt || session.expiresAt < new Date()) return null;
+  if (session.previousTokenHash === hash) {
+    console.warn(`Refresh token reuse for ${session.email}; revoking session ${session.id}`);
+    await prisma.adminSession.update({ where: { id: session.id }, data: { revokedAt: new Date() } });
+    return null;
+  }
+
+  const next = crypto.randomBytes(32).toString("base64url");
+  // Conditional on the current hash so two refreshes racing with the same token cannot both win
+  const { count } = await prisma.adminSession.updateMany({
+    where: { id: session.id, refreshTokenHash: hash, revokedAt: null },
+    data: { refreshTokenHash: hashToken(next), previousTokenHash: hash, lastUsedAt: new Date(), expiresAt: refreshExpiry() },
+  });
+  return count ? { session, refreshToken: next } : null;
+}
+
+// Ends every session of an admin (logout everywhere, account removed or access reduced)
+async function revokeAdminSessions(email) {
+  const { count } = await prisma.adminSession.updateMany({ where: { email, revokedAt: null }, data: { revokedAt: new Date() } });
+  return count;
+}
+
+// --- Admin passwords ---
+// The env main admin signs in with MAIN_ADMIN_PASSWORD until they set their own password, which is then
+// stored (hashed) in an Admin row like everyone else's and takes over from the env value.
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 30);
+
+function isMainAdmin(email) {
+  return Boolean(process.env.MAIN_ADMIN_EMAIL && email === process.env.MAIN_ADMIN_EMAIL);
+}
+
+async function checkAdminPassword(email, password) {
+  const admin = await prisma.admin.findUnique({ where: { email } });
+  if (admin) return bcrypt.compare(String(password), admin.password);
+  return isMainAdmin(email) && Boolean(process.env.MAIN_ADMIN_PASSWORD) && password === process.env.MAIN_ADMIN_PASSWORD;
+}
+
+async function setAdminPassword(email, password) {
+  const hash = await bcrypt.hash(String(password), 10);
+  if (isMainAdmin(email)) {
+    await prisma.admin.upsert({
+      where: { email },
+      update: { password: hash },
+      create: { email, password: hash, role: 'SUPERADMIN', isSuperAdmin: true },
+    });
+  } else {
+    await prisma.admin.update({ where: { email }, data: { password: hash } });
+  }
+}
+
+// --- Driver tokens: one per bus, re-issuing bumps driverTokenVersion and revokes the old one ---
+function createDriverToken(bus) {
+  return jwt.sign({ role: 'driver', busNumber: bus.number, v: bus.driverTokenVersion }, JWT_SECRET, { expiresIn: process.env.DRIVER_TOKEN_TTL || "30d" });
+}
+
+async function requireDriver(req, res, next) {
   const auth = req.headers.authorization || "";
-  const token = auth.startsWith("Bearer ") ? auth.slice(7) : (req.query.token || null);
+  const token = auth.startsWith("Bearer ") ? auth.slice(7) : null;
   if (!token) return res.status(401).json({ success: false, message: "Missing token" });
-  const payload = verifyAdminToken(token); // This is the decoded JWT payload
-  if (!payload) return res.status(401).json({ success: false, message: "Invalid or expired token" });
-  req.adminEmail = payload.email;
-  req.isSuperAdmin = payload.isSuperAdmin || false;
+  let payload = null;
+  try { payload = jwt.verify(token, JWT_SECRET); } catch (_) {}
+  if (!payload || payload.role !== 'driver') return res.status(401).json({ success: false, message: "Invalid or expired token" });
+
+  const bus = await prisma.bus.findUnique({ where: { number: String(payload.busNumber) } }).catch(() => null);
+  if (!bus || bus.driverTokenVersion !== payload.v) return res.status(401).json({ success: false, message: "Token revoked" });
+  req.driverBus = bus;
   next();
 }
 
-async function requireSuperAdmin(req, res, next) {
+// Role and bus assignment are read from the DB on every request so changes apply immediately.
+// The env main admin is always a superadmin with access to every bus.
+async function loadAdminAccess(email) {
+  const ENV_EMAIL = process.env.MAIN_ADMIN_EMAIL;
+  if (ENV_EMAIL && email === ENV_EMAIL) return { id: null, email, role: 'SUPERADMIN', allBuses: true, busIds: new Set() };
+  const admin = await prisma.admin.findUnique({ where: { email }, include: { buses: true } });
+  if (!admin || !admin.isActive) return null;
+  return {
+    id: admin.id,
+    email: admin.email,
+    role: admin.isSuperAdmin ? 'SUPERADMIN' : admin.role,
+    allBuses: admin.allBuses,
+    busIds: new Set(admin.buses.map(b => b.busId)),
+  };
+}
+
+// Tokens are only accepted from the Authorization header; query strings end up in access logs
+async function requireAdmin(req, res, next) {
   const auth = req.headers.authorization || "";
-  const token = auth.startsWith("Bearer ") ? auth.slice(7) : (req.query.token || null);
+  const token = auth.startsWith("Bearer ") ? auth.slice(7) : null;
   if (!token) return res.status(401).json({ success: false, message: "Missing token" });
-  const payload = verifyAdminToken(token);
+  const payload = verifyAdminToken(token); // This is the decoded JWT payload
   if (!payload) return res.status(401).json({ success: false, message: "Invalid or expired token" });
-  
-  // Check if main admin from env
-  const ENV_EMAIL = process.env.MAIN_ADMIN_EMAIL;
-  if (ENV_EMAIL && payload.email === ENV_EMAIL) {
-    req.adminEmail = payload.email;
-    req.isSuperAdmin = true;
-    return next();
-  }
-  
-  // Check if superadmin in DB
   try {
-    const admin = await prisma.admin?.findUnique({ where: { email: payload.email } });
-    if (!admin || !admin.isSuperAdmin) {
-      return res.status(403).json({ success: false, message: "Superadmin access required" });
+    const session = payload.sid ? await prisma.adminSession.findUnique({ where: { id: payload.sid } }) : null;
+    if (!session || session.revokedAt || session.email !== payload.email) {
+      return res.status(401).json({ success: false, message: "Session ended, please sign in again" });
     }
-    req.adminEmail = payload.email;
-    req.isSuperAdmin = true;
+    const admin = await loadAdminAccess(payload.email);
+    if (!admin) return res.status(401).json({ success: false, message: "Admin account is disabled or no longer exists" });
+    req.sessionId = session.id;
+    req.admin = admin;
+    req.adminEmail = admin.email;
+    req.isSuperAdmin = admin.role === 'SUPERADMIN';
     next();
   } catch (e) {
-    return res.status(500).json({ success: false, message: "Server error" });
+    console.error("Admin lookup failed:", e);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 }
 
-// Update POST /admin/login to return JWT (keep existing credential checks)
-app.post("/admin/login", async (req, res) => {
-  try {
-    const { email, password } = req.body || {};
-    if (!email || !password) return res.status(400).json({ success: false, message: "Missing credentials" });
-
-    const ENV_EMAIL = process.env.MAIN_ADMIN_EMAIL;
-    const ENV_PASS = process.env.MAIN_ADMIN_PASSWORD;
-    if (ENV_EMAIL && email === ENV_EMAIL) {
-      if (password !== ENV_PASS) return res.status(401).json({ success: false, message: "Invalid password" });
-      const token = createAdminToken(email, true); // Main admin is always superadmin
-      return res.json({ success: true, token, admin: { email, isSuperAdmin: true } });
+// Middleware chain: authenticate, then check `permission`. busOf(req) resolves the bus id the request
+// acts on so bus-scoped permissions are checked against the admin's assigned buses.
+function requirePermission(permission, busOf = null) {
+  return [requireAdmin, async (req, res, next) => {
+    try {
+      if (!hasPermission(req.admin.role, permission)) {
+        return res.status(403).json({ success: false, message: "You do not have permission to do this" });
+      }
+      const busId = busOf ? await busOf(req) : null;
+      if (!canActOnBus(req.admin, permission, busId)) {
+        return res.status(403).json({ success: false, message: "You are not assigned to this bus" });
+      }
+      next();
+    } catch (e) {
+      console.error("Permission check failed:", e);
+      res.status(500).json({ success: false, message: "Server error" });
     }
+  }];
+}
+
+// --- API keys for machine integrations (college ERP, driver tablets), sent as X-API-Key ---
+// Only a hash is stored; the key itself is shown once when it is created.
+const API_KEY_PREFIX = "btk_";
+
+function generateApiKey() {
+  return API_KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+}
+
+function serializeApiKey(key) {
+  const { keyHash, ...rest } = key;
+  return { ...rest, expired: key.expiresAt <= new Date() };
+}
 
-    // Check DB admin
+function requireApiKey(scope) {
+  return async (req, res, next) => {
+    const given = req.headers["x-api-key"];
+    if (!given) return res.status(401).json({ success: false, message: "Missing API key" });
     try {
-      const admin = await prisma.admin?.findUnique({ where: { email } });
-      if (!admin) return res.status(401).json({ success: false, message: "Admin not found" });
-      
-      // Compare hashed password
-      const passwordMatch = await bcrypt.compare(password, admin.password);
-      if (!passwordMatch) return res.status(401).json({ success: false, message: "Invalid password" });
-      
-      const token = createAdminToken(email, admin.isSuperAdmin || false);
-      return res.json({ success: true, token, admin: { email, isSuperAdmin: admin.isSuperAdmin || false } });
+      const key = await prisma.apiKey.findUnique({ where: { keyHash: hashToken(given) } });
+      if (!key || key.revokedAt || key.expiresAt <= new Date()) {
+        return res.status(401).json({ success: false, message: "Invalid, expired or revoked API key" });
+      }
+      if (!key.scopes.includes(scope)) {
+        return res.status(403).json({ success: false, message: `This API key does not have the ${scope} scope` });
+      }
+      // At most one write a minute per key; last-used is for spotting stale keys, not an access log
+      if (!key.lastUsedAt || Date.now() - key.lastUsedAt.getTime() > 60 * 1000) {
+        prisma.apiKey.update({ where: { id: key.id }, data: { lastUsedAt: new Date(), lastUsedIp: req.ip || null } })
+          .catch(e => console.warn("API key last-used update failed:", e.message || e));
+      }
+      req.apiKey = key;
+      next();
     } catch (e) {
-      console.warn("Prisma admin lookup failed:", e.message || e);
-      return res.status(500).json({ success: false, message: "Server error" });
+      console.error("API key lookup failed:", e);
+      res.status(500).json({ success: false, message: "Server error" });
     }
-  } catch (err) {
-    console.error("Admin login error:", err);
-    res.status(500).json({ success: false, message: "Server error" });
-  }
+  };
+}
+
+// Accept an API key with `scope` in place of a route's usual auth (a middleware or a chain such as
+// requirePermission's). The X-API-Key header picks which one applies.
+function orApiKey(scope, fallback) {
+  const chain = [fallback].flat();
+  const keyAuth = requireApiKey(scope);
+  return (req, res, next) => {
+    if (req.headers["x-api-key"]) return keyAuth(req, res, next);
+    const run = i => (i < chain.length ? chain[i](req, res, err => (err ? next(err) : run(i + 1))) : next());
+    run(0);
+  };
+}
+
+async function busOfNumberParam(req) {
+  const bus = await prisma.bus.findUnique({ where: { number: String(req.params.number) }, select: { id: true } });
+  return bus?.id ?? null;
+}
+async function busOfSeatParam(req) {
+  const seat = await prisma.seatAssignment.findUnique({ where: { id: Number(req.params.id) }, select: { busId: true } });
+  return seat?.busId ?? null;
+}
+async function busOfApplicationParam(req) {
+  const application = await prisma.application.findUnique({ where: { id: Number(req.params.id) }, select: { busId: true } });
+  return application?.busId ?? null;
+}
+
+// Capacity and driver details are fleet data: route editors may send them back unchanged but not edit them
+function changesFleetFields(bus, payload) {
+  if (payload.capacity !== undefined && Number(payload.capacity) !== bus.capacity) return true;
+  return ["driverName", "driverPhone", "liveLocationUrl"].some(f => payload[f] !== undefined && (payload[f] || "") !== (bus[f] || ""));
+}
+
+// What the dashboard needs to know about the signed-in admin
+async function describeAdmin(admin) {
+  const buses = admin.allBuses ? [] : await prisma.bus.findMany({ where: { id: { in: [...admin.busIds] } }, select: { number: true } });
+  return {
+    email: admin.email,
+    role: admin.role,
+    isSuperAdmin: admin.role === 'SUPERADMIN',
+    permissions: permissionsFor(admin.role),
+    allBuses: admin.allBuses,
+    busNumbers: buses.map(b => b.number),
+    twoFactorEnabled: Boolean((await prisma.adminTwoFactor.findUnique({ where: { email: admin.email } }))?.enabledAt),
+    twoFactorRequired: TOTP_REQUIRED_ROLES.has(admin.role),
+  };
+}
+
+// --- Per-account lockout after repeated failed sign-ins ---
+const loginThrottle = createLoginThrottle({
+  store: {
+    get: email => prisma.loginThrottle.findUnique({ where: { email } }),
+    async set(email, state) {
+      await prisma.loginThrottle.upsert({ where: { email }, update: state, create: { email, ...state } });
+    },
+    async clear(email) {
+      await prisma.loginThrottle.deleteMany({ where: { email } });
+    },
+  },
+  threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 5),
+  windowMs: Number(process.env.LOGIN_LOCKOUT_WINDOW_MINUTES || 15) * 60 * 1000,
+  lockMs: Number(process.env.LOGIN_LOCKOUT_MINUTES || 15) * 60 * 1000,
 });
 
+// Counts the failure and sends the 401 (or 429 once the account locks)
+async function rejectLogin(req, res, email, message) {
+  const { failures, justLocked, lockedUntil } = await loginThrottle.fail(email);
+  if (!justLocked) return res.status(401).json({ success: false, message });
+  await prisma.loginLockout.create({ data: { email: String(email).trim().toLowerCase(), ip: req.ip || null, failures, lockedUntil } });
+  console.warn(`Admin sign-in locked for ${email} after ${failures} failures (last from ${req.ip})`);
+  const minutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+  res.set("Retry-After", String(Math.ceil((lockedUntil - Date.now()) / 1000)));
+  return res.status(429).json({ success: false, message: `Too many failed sign-ins. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.` });
+}
+
+// Last sign-in shown on the Admins tab; the env main admin only has a row once they set a password
+async function recordLogin(req, email) {
+  await prisma.admin.updateMany({ where: { email }, data: { lastLoginAt: new Date(), lastLoginIp: req.ip || null } });
+}
+
+// --- Two-factor authentication (TOTP) ---
+// With 2FA on, a correct password only earns a short-lived challenge token; the session is issued once
+// a code (or recovery code) is verified. Roles in TOTP_REQUIRED_ROLES must enroll before their first session.
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Bus Transport Admin";
+const TOTP_REQUIRED_ROLES = new Set((process.env.TOTP_REQUIRED_ROLES || "").split(",").map(r => r.trim().toUpperCase()).filter(Boolean));
+
+function createLoginChallenge(email, purpose) {
+  return jwt.sign({ role: 'admin-2fa', email, purpose }, JWT_SECRET, { expiresIn: "5m" });
+}
+function verifyLoginChallenge(token, purpose) {
+  try {
+    const payload = jwt.verify(String(token || ""), JWT_SECRET);
+    return payload.role === 'admin-2fa' && payload.purpose === purpose ? payload : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function newRecoveryCodes() {
+  const codes = generateRecoveryCodes();
+  return { codes, hashes: codes.map(c => hashToken(normalizeRecoveryCode(c))) };
+}
+
+// Checks { code } or { recoveryCode } against an enrolled admin; returns 'totp', 'recovery' or null.
+// A TOTP step can only be used once and a recovery code is removed when used.
+async function checkSecondFactor(tf, { code, recoveryCode } = {}) {
+  if (code) {
+    const step = verifyTotp(tf.secret, code);
+    if (step === null) return null;
+    const { count } = await prisma.adminTwoFactor.updateMany({
+      where: { email: tf.email, OR: [{ lastUsedStep: null }, { lastUsedStep: { lt: step } }] },
+      data: { lastUsedStep: step },
+    });
+    return count ? 'totp' : null;
+  }
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    if (!tf.recoveryCodeHashes.includes(hash)) return null;
+    await prisma.adminTwoFactor.update({ where: { email: tf.email }, data: { recoveryCodeHashes: tf.recoveryCodeHashes.filter(h => h !== hash) } });
+    return 'recovery';
+  }
+  return null;
+}
+
+// Session tokens for a fully signed-in admin
+async function loginPayload(req, email, role) {
+  await loginThrottle.succeed(email);
+  const tokens = await startAdminSession(req, email, role === 'SUPERADMIN');
+  await recordLogin(req, email);
+  return { ...tokens, admin: { email, isSuperAdmin: role === 'SUPERADMIN', role } };
+}
+
+// After the password checks out: finish signing in, or ask for the second factor or for enrollment.
+// The failure count is only reset once the whole sign-in succeeds, so codes can't be guessed by
+// re-entering the password between attempts.
+async function finishLogin(req, res, email, role) {
+  const tf = await prisma.adminTwoFactor.findUnique({ where: { email } });
+  if (tf?.enabledAt) {
+    return res.json({ success: true, twoFactorRequired: true, challengeToken: createLoginChallenge(email, 'verify') });
+  }
+  if (TOTP_REQUIRED_ROLES.has(role)) {
+    return res.json({ success: true, twoFactorSetupRequired: true, challengeToken: createLoginChallenge(email, 'enroll') });
+  }
+  res.json({ success: true, ...(await loginPayload(req, email, role)) });
+}
+
+// Update POST /admin/login to return JWT (keep existing credential checks)
+async function loginAdmin(req, res) {
+  try {
+    const { password } = req.body || {};
+    // Admin emails are stored lowercased, as signup stores them
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    if (!email || !password) return res.status(400).json({ success: false, message: "Missing credentials" });
+
+    const lock = await loginThrottle.check(email);
+    if (lock.locked) {
+      res.set("Retry-After", String(lock.retryAfterSeconds));
+      return res.status(429).json({ success: false, message: "Too many failed sign-ins. Please try again later." });
+    }
+
+    const ENV_EMAIL = process.env.MAIN_ADMIN_EMAIL;
+    if (ENV_EMAIL && email === ENV_EMAIL.toLowerCase()) {
+      if (!(await checkAdminPassword(ENV_EMAIL, password))) return rejectLogin(req, res, email, "Invalid password");
+      return finishLogin(req, res, ENV_EMAIL, 'SUPERADMIN'); // Main admin is always superadmin
+    }
+
+    // Check DB admin (accounts from before lowercasing may still be stored in mixed case)
+    try {
+      const admin = await prisma.admin?.findFirst({ where: { email: { equals: email, mode: 'insensitive' } } });
+      if (!admin) return rejectLogin(req, res, email, "Admin not found");
+      
+      // Compare hashed password
+      const passwordMatch = await bcrypt.compare(password, admin.password);
+      if (!passwordMatch) return rejectLogin(req, res, email, "Invalid password");
+      if (!admin.isActive) return res.status(403).json({ success: false, message: "This admin account has been disabled" });
+      
+      return finishLogin(req, res, admin.email, admin.isSuperAdmin ? 'SUPERADMIN' : admin.role);
+    } catch (e) {
+      console.warn("Prisma admin lookup failed:", e.message || e);
+      return res.status(500).json({ success: false, message: "Server error" });
+    }
+  } catch (err) {
+    console.error("Admin login error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+app.post("/admin/login", authLimiter, loginAdmin);
+
+// Body: { refreshToken }. Returns a new access token and the refresh token that replaces the one sent.
+async function refreshAdminSession(req, res) {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) return res.status(400).json({ success: false, message: "Missing refresh token" });
+    const rotated = await rotateAdminSession(refreshToken);
+    if (!rotated) return res.status(401).json({ success: false, message: "Session ended, please sign in again" });
+
+    const admin = await loadAdminAccess(rotated.session.email);
+    if (!admin) {
+      await revokeAdminSessions(rotated.session.email);
+      return res.status(401).json({ success: false, message: "Admin account is disabled or no longer exists" });
+    }
+    const token = createAdminToken(admin.email, admin.role === 'SUPERADMIN', rotated.session.id);
+    res.json({ success: true, token, refreshToken: rotated.refreshToken });
+  } catch (e) {
+    console.error("POST /admin/refresh error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+
+async function logoutAdmin(req, res) {
+  try {
+    await prisma.adminSession.update({ where: { id: req.sessionId }, data: { revokedAt: new Date() } });
+    res.json({ success: true, message: "Signed out" });
+  } catch (e) {
+    console.error("POST /admin/logout error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+
+async function logoutAdminEverywhere(req, res) {
+  try {
+    const sessions = await revokeAdminSessions(req.adminEmail);
+    res.json({ success: true, sessions, message: `Signed out of ${sessions} session${sessions === 1 ? '' : 's'}` });
+  } catch (e) {
+    console.error("POST /admin/logout-all error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+
+// Body: { currentPassword, newPassword }. Other sessions are signed out; this one stays.
+async function changeAdminPassword(req, res) {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!currentPassword || !newPassword) return res.status(400).json({ success: false, message: "Current and new password required" });
+    if (String(newPassword).length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({ success: false, message: `New password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+    }
+    if (!(await checkAdminPassword(req.adminEmail, currentPassword))) {
+      return res.status(400).json({ success: false, message: "Current password is incorrect" });
+    }
+
+    await setAdminPassword(req.adminEmail, newPassword);
+    await prisma.adminSession.updateMany({
+      where: { email: req.adminEmail, revokedAt: null, id: { not: req.sessionId } },
+      data: { revokedAt: new Date() },
+    });
+    await recordAudit(req, { action: 'admin.passwordChange', entityType: 'admin', entityId: req.adminEmail });
+    await queueEmail(req.adminEmail, "Your admin password was changed", [
+      "The password for your bus transport admin account was just changed.",
+      "If this wasn't you, reset your password and contact the main admin.",
+    ]);
+    res.json({ success: true, message: "Password changed. Other sessions have been signed out." });
+  } catch (e) {
+    console.error("POST /admin/password/change error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+
+// Body: { email }. Always answers the same way so it can't be used to find out which emails are admins.
+async function requestPasswordReset(req, res) {
+  try {
+    // Admin emails are stored lowercased; the main admin keeps the spelling it is configured with
+    let email = String(req.body?.email || '').trim().toLowerCase();
+    if (email && email === String(process.env.MAIN_ADMIN_EMAIL || '').toLowerCase()) email = process.env.MAIN_ADMIN_EMAIL;
+    const known = email && (isMainAdmin(email) || await prisma.admin.findUnique({ where: { email }, select: { id: true } }));
+    if (known) {
+      const token = crypto.randomBytes(32).toString("base64url");
+      await prisma.$transaction([
+        // Only the newest link works
+        prisma.passwordResetToken.updateMany({ where: { email, usedAt: null }, data: { usedAt: new Date() } }),
+        prisma.passwordResetToken.create({
+          data: { email, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000) },
+        }),
+      ]);
+      // The token travels in the URL fragment, which browsers don't send to the server or in Referer headers
+      await queueEmail(email, "Reset your admin password", [
+        "Someone asked to reset the password for your bus transport admin account.",
+        `Open this link within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new password:`,
+        "",
+        `${appUrl(req, "/admin-reset.html")}#token=${token}`,
+        "",
+        "If you didn't ask for this, you can ignore this email.",
+      ]);
+    }
+    res.json({ success: true, message: "If that email belongs to an admin, a reset link is on its way." });
+  } catch (e) {
+    console.error("POST /admin/password/forgot error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+
+// Body: { token, newPassword }. Uses up the token and signs the admin out everywhere.
+async function resetAdminPassword(req, res) {
+  try {
+    const { token, newPassword } = req.body || {};
+    if (!token || !newPassword) return res.status(400).json({ success: false, message: "Token and new password required" });
+    if (String(newPassword).length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({ success: false, message: `New password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+    }
+
+    const reset = await prisma.passwordResetToken.findUnique({ where: { tokenHash: hashToken(token) } });
+    const invalid = { success: false, message: "This reset link is invalid or has expired" };
+    if (!reset || reset.usedAt || reset.expiresAt < new Date()) return res.status(400).json(invalid);
+    // Claim the token first so two submissions of the same link can't both go through
+    const { count } = await prisma.passwordResetToken.updateMany({ where: { id: reset.id, usedAt: null }, data: { usedAt: new Date() } });
+    if (!count) return res.status(400).json(invalid);
+
+    if (!isMainAdmin(reset.email) && !(await prisma.admin.findUnique({ where: { email: reset.email }, select: { id: true } }))) {
+      return res.status(400).json(invalid);
+    }
+    await setAdminPassword(reset.email, newPassword);
+    await revokeAdminSessions(reset.email);
+    await loginThrottle.succeed(reset.email);
+    req.adminEmail = reset.email;
+    await recordAudit(req, { action: 'admin.passwordReset', entityType: 'admin', entityId: reset.email });
+    res.json({ success: true, message: "Password updated. You can sign in with your new password." });
+  } catch (e) {
+    console.error("POST /admin/password/reset error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+
+// Body: { challengeToken, code } or { challengeToken, recoveryCode }
+async function verifyLoginSecondFactor(req, res) {
+  try {
+    const challenge = verifyLoginChallenge(req.body?.challengeToken, 'verify');
+    if (!challenge) return res.status(401).json({ success: false, message: "Sign-in expired, please start again" });
+    const lock = await loginThrottle.check(challenge.email);
+    if (lock.locked) {
+      res.set("Retry-After", String(lock.retryAfterSeconds));
+      return res.status(429).json({ success: false, message: "Too many failed sign-ins. Please try again later." });
+    }
+
+    const [tf, admin] = await Promise.all([
+      prisma.adminTwoFactor.findUnique({ where: { email: challenge.email } }),
+      loadAdminAccess(challenge.email),
+    ]);
+    if (!tf?.enabledAt || !admin) return res.status(401).json({ success: false, message: "Sign-in expired, please start again" });
+
+    const method = await checkSecondFactor(tf, req.body);
+    if (!method) return rejectLogin(req, res, challenge.email, "Invalid code");
+    if (method === 'recovery') {
+      await queueEmail(admin.email, "A 2FA recovery code was used", [
+        "A recovery code was just used to sign in to your bus transport admin account.",
+        `You have ${tf.recoveryCodeHashes.length - 1} recovery code(s) left. Generate new ones from the Account tab.`,
+        "If this wasn't you, reset your password and ask a superadmin to reset your two-factor authentication.",
+      ]);
+    }
+    res.json({ success: true, ...(await loginPayload(req, admin.email, admin.role)) });
+  } catch (e) {
+    console.error("POST /admin/login/2fa error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+
+// Enrollment works with a normal session, or during sign-in with the challenge from /admin/login
+async function requireEnrollmentActor(req, res, next) {
+  if (!req.body?.challengeToken) return requireAdmin(req, res, next);
+  const challenge = verifyLoginChallenge(req.body.challengeToken, 'enroll');
+  if (!challenge) return res.status(401).json({ success: false, message: "Sign-in expired, please start again" });
+  try {
+    const admin = await loadAdminAccess(challenge.email);
+    if (!admin) return res.status(401).json({ success: false, message: "Admin account is disabled or no longer exists" });
+    req.admin = admin;
+    req.adminEmail = admin.email;
+    req.enrollingAtLogin = true;
+    next();
+  } catch (e) {
+    console.error("Admin lookup failed:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+
+// Starts enrollment: a new secret to scan; it only takes effect once /2fa/enable confirms a code from it
+async function startTwoFactorSetup(req, res) {
+  try {
+    const email = req.adminEmail;
+    const tf = await prisma.adminTwoFactor.findUnique({ where: { email } });
+    if (tf?.enabledAt) return res.status(400).json({ success: false, message: "Two-factor authentication is already on; turn it off first to re-enroll" });
+
+    const secret = generateSecret();
+    await prisma.adminTwoFactor.upsert({ where: { email }, update: { pendingSecret: secret }, create: { email, pendingSecret: secret } });
+    const url = otpauthUrl({ issuer: TOTP_ISSUER, account: email, secret });
+    res.json({ success: true, secret, otpauthUrl: url, qrDataUrl: await QRCode.toDataURL(url) });
+  } catch (e) {
+    console.error("POST /admin/2fa/setup error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+
+// Body: { code }. Turns 2FA on and returns recovery codes (shown once). During sign-in it also signs in.
+async function enableTwoFactor(req, res) {
+  try {
+    const email = req.adminEmail;
+    const tf = await prisma.adminTwoFactor.findUnique({ where: { email } });
+    if (!tf?.pendingSecret) return res.status(400).json({ success: false, message: "Start two-factor setup first" });
+    const step = verifyTotp(tf.pendingSecret, req.body?.code);
+    if (step === null) return res.status(400).json({ success: false, message: "Invalid code; check your device's clock and try again" });
+
+    const { codes, hashes } = newRecoveryCodes();
+    await prisma.adminTwoFactor.update({
+      where: { email },
+      data: { secret: tf.pendingSecret, pendingSecret: null, enabledAt: new Date(), lastUsedStep: step, recoveryCodeHashes: hashes },
+    });
+    await recordAudit(req, { action: 'admin.2faEnable', entityType: 'admin', entityId: email });
+    const login = req.enrollingAtLogin ? await loginPayload(req, email, req.admin.role) : {};
+    res.json({ success: true, recoveryCodes: codes, ...login });
+  } catch (e) {
+    console.error("POST /admin/2fa/enable error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+
+// Body: { password, code | recoveryCode }
+async function disableTwoFactor(req, res) {
+  try {
+    if (TOTP_REQUIRED_ROLES.has(req.admin.role)) {
+      return res.status(403).json({ success: false, message: "Your role requires two-factor authentication" });
+    }
+    const tf = await prisma.adminTwoFactor.findUnique({ where: { email: req.adminEmail } });
+    if (!tf?.enabledAt) return res.status(400).json({ success: false, message: "Two-factor authentication is not on" });
+    if (!(await checkAdminPassword(req.adminEmail, req.body?.password || ""))) {
+      return res.status(400).json({ success: false, message: "Password is incorrect" });
+    }
+    if (!(await checkSecondFactor(tf, req.body))) return res.status(400).json({ success: false, message: "Invalid code" });
+
+    await prisma.adminTwoFactor.delete({ where: { email: req.adminEmail } });
+    await recordAudit(req, { action: 'admin.2faDisable', entityType: 'admin', entityId: req.adminEmail });
+    await queueEmail(req.adminEmail, "Two-factor authentication turned off", [
+      "Two-factor authentication was turned off for your bus transport admin account.",
+      "If this wasn't you, reset your password and turn it back on.",
+    ]);
+    res.json({ success: true, message: "Two-factor authentication turned off" });
+  } catch (e) {
+    console.error("POST /admin/2fa/disable error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+
+// Body: { code }. Replaces all recovery codes.
+async function regenerateRecoveryCodes(req, res) {
+  try {
+    const tf = await prisma.adminTwoFactor.findUnique({ where: { email: req.adminEmail } });
+    if (!tf?.enabledAt) return res.status(400).json({ success: false, message: "Two-factor authentication is not on" });
+    if ((await checkSecondFactor(tf, { code: req.body?.code })) !== 'totp') {
+      return res.status(400).json({ success: false, message: "Invalid code" });
+    }
+    const { codes, hashes } = newRecoveryCodes();
+    await prisma.adminTwoFactor.update({ where: { email: req.adminEmail }, data: { recoveryCodeHashes: hashes } });
+    await recordAudit(req, { action: 'admin.2faRecoveryCodes', entityType: 'admin', entityId: req.adminEmail });
+    res.json({ success: true, recoveryCodes: codes });
+  } catch (e) {
+    console.error("POST /admin/2fa/recovery-codes error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+
+app.post("/admin/login/2fa", authLimiter, verifyLoginSecondFactor);
+app.post("/admin/2fa/setup", authLimiter, requireEnrollmentActor, startTwoFactorSetup);
+app.post("/admin/2fa/enable", authLimiter, requireEnrollmentActor, enableTwoFactor);
+app.post("/admin/2fa/disable", requireAdmin, disableTwoFactor);
+app.post("/admin/2fa/recovery-codes", requireAdmin, regenerateRecoveryCodes);
+app.post("/admin/refresh", refreshAdminSession);
+app.post("/admin/logout", requireAdmin, logoutAdmin);
+app.post("/admin/logout-all", requireAdmin, logoutAdminEverywhere);
+app.post("/admin/password/change", requireAdmin, changeAdminPassword);
+app.post("/admin/password/forgot", authLimiter, requestPasswordReset);
+app.post("/admin/password/reset", authLimiter, resetAdminPassword);
+
 // Update GET /admin/me to verify JWT
-app.get("/admin/me", async (req, res) => {
-  const auth = req.headers.authorization || "";
-  const token = auth.startsWith("Bearer ") ? auth.slice(7) : (req.query.token || null);
-  if (!token) return res.status(401).json({ success: false, message: "Missing token" });
-  const payload = verifyAdminToken(token);
-  if (!payload) return res.status(401).json({ success: false, message: "Invalid or expired token" });
-  
-  // Check if main admin
-  const ENV_EMAIL = process.env.MAIN_ADMIN_EMAIL;
-  if (ENV_EMAIL && payload.email === ENV_EMAIL) {
-    return res.json({ success: true, admin: { email: payload.email, isSuperAdmin: true } });
+async function getCurrentAdmin(req, res) {
+  try {
+    res.json({ success: true, admin: await describeAdmin(req.admin) });
+  } catch (e) {
+    console.error("GET /admin/me error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+app.get("/admin/me", requireAdmin, getCurrentAdmin);
+apiAdmin.get('/me', requireAdmin, getCurrentAdmin);
+
+// ---------------- Driver GPS positions ----------------
+
+const POSITION_STALE_SECONDS = Number(process.env.POSITION_STALE_SECONDS || 120);
+
+// Returns cleaned fix data, or null if lat/lng are missing or out of range
+function parsePositionFix(fix) {
+  const lat = Number(fix?.lat);
+  const lng = Number(fix?.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  const speed = fix.speed === undefined || fix.speed === null ? null : Number(fix.speed);
+  const heading = fix.heading === undefined || fix.heading === null ? null : Number(fix.heading);
+  const recordedAt = fix.recordedAt ? new Date(fix.recordedAt) : new Date();
+  return {
+    lat, lng,
+    speed: Number.isFinite(speed) && speed >= 0 ? speed : null,
+    heading: Number.isFinite(heading) ? ((heading % 360) + 360) % 360 : null,
+    recordedAt: isNaN(recordedAt.getTime()) ? new Date() : recordedAt,
+  };
+}
+
+function serializePosition(p) {
+  const ageSeconds = Math.max(0, Math.round((Date.now() - p.recordedAt.getTime()) / 1000));
+  return { lat: p.lat, lng: p.lng, speed: p.speed, heading: p.heading, recordedAt: p.recordedAt, ageSeconds, stale: ageSeconds > POSITION_STALE_SECONDS };
+}
+
+// Last stop each bus was seen at: busId -> { period, order, at }. Used to time stop-to-stop
+// segments and to know how far along its route a bus is. Rebuilds itself after a restart.
+const lastStopVisit = new Map();
+// Longer gaps between consecutive stops are treated as a break in service, not travel time
+const SEGMENT_MAX_SECONDS = 60 * 60;
+
+async function recordStopVisit(bus, fix) {
+  const period = currentPeriod(fix.recordedAt);
+  const stops = (await prisma.routeStop.findMany({ where: { busId: bus.id, period }, include: { place: true }, orderBy: { order: 'asc' } })).map(flattenStop);
+  const arrived = findArrivedStop(stops, fix);
+  if (!arrived) return;
+
+  const last = lastStopVisit.get(bus.id);
+  if (last && last.period === period && last.order === arrived.order) return; // still at the same stop
+  lastStopVisit.set(bus.id, { period, order: arrived.order, at: fix.recordedAt });
+
+  if (!last || last.period !== period || arrived.order !== last.order + 1) return;
+  const elapsed = (fix.recordedAt - last.at) / 1000;
+  if (elapsed <= 0 || elapsed > SEGMENT_MAX_SECONDS) return;
+
+  const key = { busId_period_fromOrder: { busId: bus.id, period, fromOrder: last.order } };
+  const stat = await prisma.segmentTravelTime.findUnique({ where: key });
+  await prisma.segmentTravelTime.upsert({
+    where: key,
+    update: { avgSeconds: nextSegmentAverage(stat?.avgSeconds, stat?.samples, elapsed), samples: { increment: 1 } },
+    create: { busId: bus.id, period, fromOrder: last.order, avgSeconds: elapsed, samples: 1 },
+  });
+}
+
+// Segment history is keyed by stop order, so it is meaningless once a route's stops are replaced
+async function resetSegmentHistory(busId, db = prisma) {
+  lastStopVisit.delete(busId);
+  await db.segmentTravelTime.deleteMany({ where: { busId } });
+}
+
+// ETA for each matched bus to the student's stop on the trip of `period` (the one running now by default).
+// entries: [{ bus, stop }] from check-availability; live GPS first, timetable as fallback. A bus's GPS says
+// nothing about a trip it is not running yet, so the other period only gets the timetable.
+async function estimateBusEtas(entries, userCoords, period = currentPeriod()) {
+  const now = new Date();
+  const running = period === currentPeriod(now);
+  const busIds = entries.map(e => e.bus.id);
+  const [stops, positions, segments] = await Promise.all([
+    prisma.routeStop.findMany({ where: { busId: { in: busIds }, period }, include: { place: true }, orderBy: { order: 'asc' } }).then(rows => rows.map(flattenStop)),
+    prisma.busPosition.findMany({ where: { busId: { in: busIds } }, orderBy: { recordedAt: 'desc' }, distinct: ['busId'] }),
+    prisma.segmentTravelTime.findMany({ where: { busId: { in: busIds }, period } }),
+  ]);
+
+  const etas = new Map();
+  for (const { bus, stop: matchedStop } of entries) {
+    const route = stops.filter(s => s.busId === bus.id);
+    // The student's stop on this trip: the one the search matched, else nearest to them, else the catalog
+    // stop the text search hit
+    const target = route.find(s => s.id === matchedStop.id) || (userCoords
+      ? route.reduce((best, s) => {
+          const d = geolib.getDistance(userCoords, { latitude: s.lat, longitude: s.lng });
+          return !best || d < best.d ? { s, d } : best;
+        }, null)?.s
+      : route.find(s => s.stopPlaceId === matchedStop.stopPlaceId));
+    if (!target) continue;
+
+    let eta = null;
+    const position = running && positions.find(p => p.busId === bus.id);
+    if (position && !serializePosition(position).stale) {
+      const last = lastStopVisit.get(bus.id);
+      const visitIsCurrent = last && last.period === period && now - last.at < SEGMENT_MAX_SECONDS * 1000;
+      const live = estimateLiveArrival({
+        stops: route,
+        targetOrder: target.order,
+        position,
+        lastVisitedOrder: visitIsCurrent ? last.order : null,
+        segmentSeconds: new Map(segments.filter(x => x.busId === bus.id).map(x => [x.fromOrder, x.avgSeconds])),
+      });
+      if (live?.passed) eta = { source: "live", passed: true, minutes: null };
+      else if (live) eta = { source: "live", minutes: Math.max(1, Math.round(live.seconds / 60)) };
+    }
+    if (!eta) {
+      const scheduled = estimateScheduledArrival(target, now);
+      if (scheduled) eta = { source: "timetable", minutes: Math.round(scheduled.seconds / 60), scheduledTime: scheduled.scheduled };
+    }
+    if (eta) etas.set(bus.id, { ...eta, period, stopName: target.name, stopOrder: target.order });
+  }
+  return etas;
+}
+
+// A positions:write API key isn't tied to a bus, so the request names one
+async function busOfPositionKey(req, res, next) {
+  if (!req.apiKey) return next();
+  const bus = await prisma.bus.findUnique({ where: { number: String(req.body?.busNumber ?? "") } }).catch(() => null);
+  if (!bus) return res.status(400).json({ success: false, message: "busNumber must name an existing bus" });
+  req.driverBus = bus;
+  next();
+}
+
+// POST one fix ({ lat, lng, speed, heading, recordedAt }) or a batch ({ fixes: [...] }) for the token's bus
+// (or for busNumber when sent with an API key)
+async function reportBusPosition(req, res) {
+  try {
+    const body = req.body || {};
+    const raw = Array.isArray(body.fixes) ? body.fixes : [body];
+    if (raw.length > POSITION_BATCH_MAX) return res.status(400).json({ success: false, message: `At most ${POSITION_BATCH_MAX} fixes per request` });
+    const fixes = raw.map(parsePositionFix);
+    if (fixes.length === 0 || fixes.some(f => !f)) return res.status(400).json({ success: false, message: "Each fix needs a valid lat and lng" });
+
+    await prisma.busPosition.createMany({ data: fixes.map(f => ({ ...f, busId: req.driverBus.id })) });
+    const latest = fixes.reduce((a, b) => (b.recordedAt > a.recordedAt ? b : a));
+    publish("position", req.driverBus.number, { position: serializePosition(latest) });
+    for (const fix of [...fixes].sort((a, b) => a.recordedAt - b.recordedAt)) {
+      await recordStopVisit(req.driverBus, fix).catch((e) => console.warn("Stop visit tracking failed:", e.message || e));
+    }
+    res.json({ success: true, accepted: fixes.length });
+  } catch (e) {
+    console.error("POST /api/driver/position error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+app.post("/api/driver/position", orApiKey('positions:write', requireDriver), validateInput(INPUT.reportPosition), busOfPositionKey, reportBusPosition);
+
+// GET latest known position of a bus
+async function getBusPosition(req, res) {
+  try {
+    const bus = await prisma.bus.findUnique({ where: { number: String(req.params.number) } });
+    if (!bus) return res.status(404).json({ success: false, message: "Bus not found" });
+    const latest = await prisma.busPosition.findFirst({ where: { busId: bus.id }, orderBy: { recordedAt: 'desc' } });
+    if (!latest) return res.status(404).json({ success: false, message: "No position reported yet" });
+    res.json({ success: true, busNumber: bus.number, position: serializePosition(latest) });
+  } catch (e) {
+    console.error("GET /api/buses/:number/position error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+app.get("/api/buses/:number/position", getBusPosition);
+
+// --- Admin management endpoints (place BEFORE 404 catch-all) ---
+async function listLogs(req, res) {
+  try {
+    const logs = await prisma.availabilityLog.findMany({ orderBy: { createdAt: 'desc' } }).catch(()=>[]);
+    res.json({ success: true, logs });
+  } catch (e) {
+    console.error("GET /admin/logs error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+app.get('/admin/logs', orApiKey('logs:read', requirePermission('logs:read')), listLogs);
+apiAdmin.get('/logs', orApiKey('logs:read', requirePermission('logs:read')), listLogs);
+
+async function listBuses(req, res) {
+  try {
+    const buses = (await prisma.bus.findMany({ include: STOPS_WITH_PLACE })).map(withFlatStops);
+    const occupancy = await getOccupancyMap();
+    res.json({ success: true, buses: buses.map(b => ({ ...b, currentOccupancy: occupancyOf(occupancy, b.id).current })) });
+  } catch (e) {
+    console.error("GET /admin/buses error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+app.get('/admin/buses', orApiKey('routes:read', requirePermission('buses:read')), listBuses);
+apiAdmin.get('/buses', orApiKey('routes:read', requirePermission('buses:read')), listBuses);
+
+async function getBus(req, res) {
+  try {
+    const bus = withFlatStops(await prisma.bus.findUnique({ where: { number: String(req.params.number) }, include: STOPS_WITH_PLACE }));
+    if (!bus) return res.status(404).json({ success: false, message: "Bus not found" });
+    const occupancy = await getOccupancyMap();
+    res.set('ETag', busEtag(bus)).json({ success: true, bus: { ...bus, currentOccupancy: occupancyOf(occupancy, bus.id).current } });
+  } catch (e) {
+    console.error("GET /admin/buses/:number error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+app.get('/admin/buses/:number', orApiKey('routes:read', requirePermission('buses:read')), validateInput(INPUT.numberParam), getBus);
+apiAdmin.get('/buses/:number', orApiKey('routes:read', requirePermission('buses:read')), validateInput(INPUT.numberParam), getBus);
+
+// ---------------- Audit trail ----------------
+// Every admin mutation is recorded with the actor, request IP and before/after snapshots.
+// Audit writes never fail the request they describe.
+async function recordAudit(req, { action, entityType, entityId = null, before = null, after = null }) {
+  try {
+    const plain = v => (v == null ? undefined : JSON.parse(JSON.stringify(v)));
+    await prisma.auditEvent.create({
+      data: {
+        actor: req.adminEmail || "unknown",
+        action,
+        entityType,
+        entityId: entityId == null ? null : String(entityId),
+        before: plain(before),
+        after: plain(after),
+        diff: plain(diffSnapshots(plain(before) ?? null, plain(after) ?? null)),
+        ip: req.ip || null,
+      },
+    });
+  } catch (e) {
+    console.warn(`Audit write failed (${action}):`, e.message || e);
+  }
+}
+
+// A bus's route and fleet fields in the shape PUT /admin/buses/:number accepts, so a snapshot can be replayed
+function busSnapshot(bus) {
+  const byPeriod = period => (bus.stops || []).filter(s => s.period === period).sort((a, b) => a.order - b.order)
+    .map(s => ({ stopPlaceId: s.stopPlaceId, name: s.name, lat: s.lat, lng: s.lng, arrivalTime: s.arrivalTime, departureTime: s.departureTime }));
+  return {
+    number: bus.number, name: bus.name, location: bus.location, capacity: bus.capacity,
+    driverName: bus.driverName, driverPhone: bus.driverPhone, liveLocationUrl: bus.liveLocationUrl,
+    morningStops: byPeriod("MORNING"), eveningStops: byPeriod("EVENING"),
+  };
+}
+
+// Catalog stop ids for one trip's stops in a PUT payload or snapshot: the stop's stopPlaceId while that
+// place exists, else a catalog stop with the same name nearby, else a new catalog stop.
+// Throws with status 400 for a stop that gives neither. db is the transaction the route is saved in.
+async function resolveStopPlaces(field, stops, places, db = prisma) {
+  const ids = [];
+  for (const [i, s] of stops.entries()) {
+    let place = places.find(p => p.id === Number(s.stopPlaceId));
+    if (!place) {
+      if (!s.name || !Number.isFinite(Number(s.lat)) || !Number.isFinite(Number(s.lng))) {
+        const err = new Error(`${field}[${i}] needs an existing stopPlaceId, or a name, lat and lng`);
+        err.status = 400;
+        throw err;
+      }
+      const stop = { name: String(s.name).trim(), lat: Number(s.lat), lng: Number(s.lng) };
+      place = findStopPlace(places, stop, STOP_MATCH_RADIUS_M) || await db.stopPlace.create({ data: stop });
+      if (!places.includes(place)) places.push(place);
+    }
+    ids.push(place.id);
+  }
+  return ids;
+}
+
+// The ETag of a bus as PUT /admin/buses/:number compares it in If-Match
+const busEtag = bus => `"${bus.revision}"`;
+
+// The revision an If-Match header names: null for none or "*", undefined when it is not a bus ETag
+function parseIfMatch(header) {
+  const value = String(header || "").trim();
+  if (!value || value === "*") return null;
+  const match = /^(?:W\/)?"(\d+)"$/.exec(value);
+  return match ? Number(match[1]) : undefined;
+}
+
+// Apply a PUT payload (or a snapshot) to an existing bus; stop lists, when given, replace its stops. Runs
+// in one transaction, so a failure leaves the bus as it was. With expectedRevision, throws with status 409
+// unless the bus is still at that revision.
+async function saveBusRoute(busId, payload, { expectedRevision = null } = {}) {
+  return withFlatStops(await prisma.$transaction(tx => writeBusRoute(tx, busId, payload, expectedRevision)));
+}
+
+// saveBusRoute's writes, inside the caller's transaction tx; returns the bus with its (unflattened) stops
+async function writeBusRoute(tx, busId, payload, expectedRevision = null) {
+  const trips = [["MORNING", "morningStops"], ["EVENING", "eveningStops"]].filter(([, field]) => Array.isArray(payload[field]));
+  const { count } = await tx.bus.updateMany({
+    where: { id: busId, ...(expectedRevision != null && { revision: expectedRevision }) },
+    data: {
+      name: payload.name,
+      location: payload.location,
+      capacity: payload.capacity,
+      driverName: payload.driverName,
+      driverPhone: payload.driverPhone,
+      liveLocationUrl: payload.liveLocationUrl,
+      revision: { increment: 1 },
+    },
+  });
+  if (count === 0) {
+    const err = expectedRevision != null
+      ? new Error("Someone else changed this bus since you loaded it; reload it and try again")
+      : new Error("Bus not found");
+    err.status = expectedRevision != null ? 409 : 404;
+    throw err;
+  }
+
+  if (trips.length) {
+    const places = await tx.stopPlace.findMany();
+    const createData = [];
+    for (const [period, field] of trips) {
+      const placeIds = await resolveStopPlaces(field, payload[field], places, tx);
+      payload[field].forEach((s, i) => createData.push({ busId, stopPlaceId: placeIds[i], period, order: i + 1, arrivalTime: normalizeStopTime(s.arrivalTime), departureTime: normalizeStopTime(s.departureTime) }));
+    }
+    await tx.routeStop.deleteMany({ where: { busId } });
+    await resetSegmentHistory(busId, tx);
+    if (createData.length) await tx.routeStop.createMany({ data: createData });
+  }
+
+  return tx.bus.findUnique({ where: { id: busId }, include: STOPS_WITH_PLACE });
+}
+
+async function createBus(req, res) {
+  try {
+    const { number, name, location, capacity = 0 } = req.body;
+    // A new bus is not assigned to anyone yet, so only admins with access to all buses may add one
+    if (!req.admin.allBuses) return res.status(403).json({ success: false, message: "You can only manage your assigned buses" });
+    const bus = await prisma.bus.create({ data: { number, name, location, capacity } });
+    await recordAudit(req, { action: 'bus.create', entityType: 'bus', entityId: bus.number, after: busSnapshot(bus) });
+    res.json({ success: true, bus });
+  } catch (e) {
+    if (e.code === 'P2002') return res.status(400).json({ success: false, message: "A bus with this number already exists" });
+    console.error("POST /admin/buses error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+app.post('/admin/buses', requirePermission('buses:manage'), validateInput(INPUT.createBus), createBus);
+apiAdmin.post('/buses', requirePermission('buses:manage'), validateInput(INPUT.createBus), createBus);
+
+async function deleteBus(req, res) {
+  try {
+    const { number } = req.params;
+    const bus = withFlatStops(await prisma.bus.findUnique({ where: { number: String(number) }, include: STOPS_WITH_PLACE }));
+    if (!bus) return res.status(404).json({ success: false, message: "Bus not found" });
+    // Route stops go with the bus; the catalog stops stay
+    await prisma.bus.delete({ where: { id: bus.id } });
+    publishRoute(number, null);
+    refreshStopIndex();
+    await recordAudit(req, { action: 'bus.delete', entityType: 'bus', entityId: bus.number, before: busSnapshot(bus) });
+    res.json({ success: true });
+  } catch (e) {
+    console.error("DELETE /admin/buses/:number error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+app.delete('/admin/buses/:number', requirePermission('buses:manage', busOfNumberParam), deleteBus);
+apiAdmin.delete('/buses/:number', requirePermission('buses:manage', busOfNumberParam), deleteBus);
+
+async function updateBus(req, res) {
+  try {
+    const { number } = req.params;
+    const payload = req.body || {};
+
+    const current = withFlatStops(await prisma.bus.findUnique({ where: { number: String(number) }, include: STOPS_WITH_PLACE }));
+    if (!current) return res.status(404).json({ success: false, message: "Bus not found" });
+    if (changesFleetFields(current, payload) && !canActOnBus(req.admin, 'buses:manage', current.id)) {
+      return res.status(403).json({ success: false, message: "Only fleet managers can change capacity or driver details" });
+    }
+
+    // If-Match is optional; without it the last write wins, as before
+    const expectedRevision = parseIfMatch(req.get('If-Match'));
+    if (expectedRevision === undefined) return res.status(400).json({ success: false, message: 'If-Match must be the ETag of the bus, like "12"' });
+    const busWithStops = await saveBusRoute(current.id, payload, { expectedRevision });
+    publishRoute(busWithStops.number, busWithStops);
+    refreshStopIndex();
+    await recordAudit(req, { action: 'bus.update', entityType: 'bus', entityId: busWithStops.number, before: busSnapshot(current), after: busSnapshot(busWithStops) });
+    res.set('ETag', busEtag(busWithStops)).json({ success: true, bus: busWithStops });
+  } catch (e) {
+    if (e.status === 409) {
+      // Send the bus as it is now, so the editor can reload it or merge into it
+      const latest = withFlatStops(await prisma.bus.findUnique({ where: { number: String(req.params.number) }, include: STOPS_WITH_PLACE }).catch(() => null));
+      if (latest) res.set('ETag', busEtag(latest));
+      return res.status(409).json({ success: false, message: e.message, bus: latest });
+    }
+    if (e.status) return res.status(e.status).json({ success: false, message: e.message });
+    console.error("PUT /admin/buses/:number error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+app.put('/admin/buses/:number', requirePermission('routes:edit', busOfNumberParam), validateInput(INPUT.updateBus), updateBus);
+apiAdmin.put('/buses/:number', requirePermission('routes:edit', busOfNumberParam), validateInput(INPUT.updateBus), updateBus);
+
+// ---------------- Fleet import / export ----------------
+// Buses with their drivers, capacities and stops in bulk, as CSV or JSON (lib/fleet-transfer.js). Stops
+// are exported by name and position, not catalog id, so a file can be loaded into another installation.
+
+function exportedBus(bus) {
+  const { morningStops, eveningStops, ...fields } = busSnapshot(bus);
+  const strip = stops => stops.map(({ stopPlaceId, ...stop }) => stop);
+  return { ...fields, morningStops: strip(morningStops), eveningStops: strip(eveningStops) };
+}
+
+async function exportFleet(req, res) {
+  try {
+    const buses = (await prisma.bus.findMany({ include: STOPS_WITH_PLACE, orderBy: { number: 'asc' } })).map(withFlatStops).map(exportedBus);
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (req.query.format === 'csv') {
+      return res.attachment(`fleet-${stamp}.csv`).type('text/csv').send(fleetToCsv(buses));
+    }
+    res.attachment(`fleet-${stamp}.json`).json({ success: true, exportedAt: new Date(), buses });
+  } catch (e) {
+    console.error("GET /api/admin/export error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+apiAdmin.get('/export', orApiKey('routes:read', requirePermission('buses:read')), validateInput(INPUT.exportFleet), exportFleet);
+
+// Checks one imported bus against IMPORT_BUS_FIELDS, trimming and converting it in place the way
+// validateInput does a request body; returns [{ field, message }]
+async function checkImportedBus(bus) {
+  const check = { body: bus };
+  for (const chain of checkSchema(validatorRules(IMPORT_BUS_FIELDS), ["body"])) await chain.run(check);
+  return validationResult(check).array({ onlyFirstError: true }).map(e => ({ field: e.path, message: e.msg }));
+}
+
+// What importing `bus` over `current` (null for a new bus) changes: the fields, and each trip it replaces
+function importChanges(current, bus, placesById) {
+  if (!current) return ["new bus"];
+  const before = busSnapshot(current);
+  const stopKey = s => {
+    const place = placesById.get(Number(s.stopPlaceId));
+    const at = place && !s.name ? place : s;
+    return [String(at.name).trim(), Number(at.lat), Number(at.lng), normalizeStopTime(s.arrivalTime), normalizeStopTime(s.departureTime)].join("|");
+  };
+  return Object.keys(INPUT.updateBus.body).filter(field => {
+    if (bus[field] === undefined) return false;
+    if (!Array.isArray(bus[field])) return bus[field] !== before[field];
+    return bus[field].map(stopKey).join("\n") !== before[field].map(stopKey).join("\n");
+  });
+}
+
+// Body: { csv } or { buses }, plus mode and dryRun. Every bus is checked first and nothing is written
+// unless all of them pass; the buses are then saved in one transaction. Errors are
+// { row, busNumber, field, message }, row being the CSV line or the bus's position in the JSON list.
+async function importFleet(req, res) {
+  try {
+    const { csv, buses: list, mode = 'create', dryRun = false } = req.body;
+    if ((csv == null) === (list == null)) return res.status(400).json({ success: false, message: "Send the fleet as either csv or buses" });
+    const parsed = csv != null ? fleetFromCsv(csv) : fleetFromJson(list);
+    const errors = [...parsed.errors];
+    const fail = (entry, field, message) => errors.push({
+      row: rowOfField(entry, field), busNumber: entry.bus.number ?? null, field: csv != null ? csvColumnOf(field) : field, message,
+    });
+
+    const [existing, places] = await Promise.all([
+      prisma.bus.findMany({ include: STOPS_WITH_PLACE }).then(rows => new Map(rows.map(withFlatStops).map(b => [b.number, b]))),
+      prisma.stopPlace.findMany(),
+    ]);
+    const placesById = new Map(places.map(p => [p.id, p]));
+    const seen = new Set();
+    const plans = [];
+    for (const entry of parsed.buses) {
+      const problems = await checkImportedBus(entry.bus);
+      problems.forEach(p => fail(entry, p.field, p.message));
+      if (problems.length) continue;
+
+      const { bus } = entry;
+      const current = existing.get(bus.number) || null;
+      if (seen.has(bus.number)) { fail(entry, 'number', `Bus ${bus.number} is listed more than once`); continue; }
+      seen.add(bus.number);
+      if (current && mode !== 'upsert') { fail(entry, 'number', `Bus ${bus.number} already exists; import with mode upsert to update it`); continue; }
+      if (!current && (!bus.name || !bus.location)) { fail(entry, bus.name ? 'location' : 'name', "is required for a new bus"); continue; }
+      if (current ? !canActOnBus(req.admin, 'buses:manage', current.id) : !req.admin.allBuses) {
+        fail(entry, 'number', "You can only manage your assigned buses"); continue;
+      }
+      let stopsOk = true;
+      for (const field of ['morningStops', 'eveningStops']) {
+        (bus[field] || []).forEach((s, i) => {
+          if (placesById.has(Number(s.stopPlaceId)) || (s.name && Number.isFinite(s.lat) && Number.isFinite(s.lng))) return;
+          fail(entry, `${field}[${i}]`, "needs an existing stopPlaceId, or a name, lat and lng");
+          stopsOk = false;
+        });
+      }
+      if (!stopsOk) continue;
+
+      const changes = importChanges(current, bus, placesById);
+      plans.push({ bus, current, action: !current ? 'create' : changes.length ? 'update' : 'unchanged', changes });
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+    const summary = { create: 0, update: 0, unchanged: 0 };
+    plans.forEach(p => summary[p.action]++);
+    const report = plans.map(({ bus, action, changes }) => ({ number: bus.number, action, changes }));
+    if (dryRun) return res.json({ success: true, dryRun: true, mode, summary, buses: report, errors });
+    if (errors.length) {
+      return res.status(400).json({
+        success: false, message: `${errors.length} ${errors.length === 1 ? "error" : "errors"} in the file; nothing was imported`, errors,
+      });
+    }
+
+    // An import can hold the whole fleet, well past the default 5 s for an interactive transaction
+    const saved = await prisma.$transaction(async (tx) => {
+      const out = [];
+      for (const plan of plans.filter(p => p.action !== 'unchanged')) {
+        const { bus } = plan;
+        const id = plan.current?.id
+          ?? (await tx.bus.create({ data: { number: bus.number, name: bus.name, location: bus.location, capacity: bus.capacity ?? 0 } })).id;
+        out.push({ plan, bus: withFlatStops(await writeBusRoute(tx, id, bus)) });
+      }
+      return out;
+    }, { timeout: 60000 });
+
+    for (const { plan, bus } of saved) {
+      publishRoute(bus.number, bus);
+      await recordAudit(req, {
+        action: 'bus.import', entityType: 'bus', entityId: bus.number,
+        before: plan.current ? busSnapshot(plan.current) : null, after: busSnapshot(bus),
+      });
+    }
+    if (saved.length) refreshStopIndex();
+    res.json({ success: true, dryRun: false, mode, summary, buses: report, errors: [] });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ success: false, message: e.message });
+    console.error("POST /api/admin/import error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+apiAdmin.post('/import', requirePermission('buses:manage'), validateInput(INPUT.importFleet), importFleet);
+
+// ---------------- Route versions ----------------
+// Routes prepared ahead of time (next semester's, say). A draft can be edited freely; publishing it with an
+// effectiveFrom schedules it, and applyDueRouteVersions makes it the live route once that time passes.
+
+function serializeRouteVersion(v, placesById = new Map()) {
+  const flat = flatVersionStops(v, placesById);
+  const trip = period => flat.filter(s => s.period === period)
+    .map(s => ({ stopPlaceId: s.stopPlaceId, name: s.name, lat: s.lat, lng: s.lng, arrivalTime: s.arrivalTime, departureTime: s.departureTime }));
+  return {
+    id: v.id, busId: v.busId, name: v.name, status: v.status, effectiveFrom: v.effectiveFrom,
+    morningStops: trip("MORNING"), eveningStops: trip("EVENING"),
+    createdBy: v.createdBy, publishedBy: v.publishedBy, publishedAt: v.publishedAt, appliedAt: v.appliedAt,
+    createdAt: v.createdAt, updatedAt: v.updatedAt,
+  };
+}
+
+// Catalog stops the versions refer to, by id
+async function placesOfVersions(versions) {
+  const ids = versions.flatMap(v => [...(v.stops?.morningStops || []), ...(v.stops?.eveningStops || [])])
+    .map(s => s.stopPlaceId).filter(Boolean);
+  const places = ids.length ? await prisma.stopPlace.findMany({ where: { id: { in: [...new Set(ids)] } } }) : [];
+  return new Map(places.map(p => [p.id, p]));
+}
+
+// Stops each bus runs at `asOf` where that is a scheduled version rather than its live route:
+// busId -> { version, stops }. Empty without asOf or when asOf is not in the future.
+async function scheduledRoutesAt(asOf, busIds) {
+  const scheduled = new Map();
+  if (!asOf || asOf <= new Date()) return scheduled;
+  const versions = await prisma.routeVersion.findMany({
+    where: { busId: { in: busIds }, status: 'PUBLISHED', appliedAt: null, effectiveFrom: { lte: asOf } },
+  });
+  const latest = [...latestEffectiveByBus(versions, asOf).values()];
+  const placesById = await placesOfVersions(latest);
+  for (const version of latest) scheduled.set(version.busId, { version, stops: flatVersionStops(version, placesById) });
+  return scheduled;
+}
+
+function parseAsOf(value) {
+  if (value === undefined || value === "") return { asOf: null };
+  const asOf = parseEffectiveDate(value);
+  return asOf ? { asOf } : { error: "asOf must be a valid date" };
+}
+
+const routeVersionSummary = v => (v ? { id: v.id, name: v.name, effectiveFrom: v.effectiveFrom } : null);
+
+// Make due published versions live. Runs every ROUTE_VERSION_CHECK_SECONDS and straight after a publish.
+// Where several versions of one bus are due, only the latest is applied and the others are marked applied
+// with it. A version is claimed (appliedAt set) before it is applied, so two servers never both apply it.
+async function applyDueRouteVersions(now = new Date()) {
+  const due = await prisma.routeVersion.findMany({ where: { status: 'PUBLISHED', appliedAt: null, effectiveFrom: { lte: now } } });
+  const latest = latestEffectiveByBus(due, now);
+  for (const version of latest.values()) {
+    const claimed = await prisma.routeVersion.updateMany({ where: { id: version.id, appliedAt: null }, data: { appliedAt: now } });
+    if (!claimed.count) continue;
+    try {
+      const current = withFlatStops(await prisma.bus.findUnique({ where: { id: version.busId }, include: STOPS_WITH_PLACE }));
+      const bus = await saveBusRoute(version.busId, version.stops);
+      publishRoute(bus.number, bus);
+      refreshStopIndex();
+      await prisma.routeVersion.updateMany({
+        where: { busId: version.busId, status: 'PUBLISHED', appliedAt: null, id: { in: due.map(v => v.id) } },
+        data: { appliedAt: now },
+      });
+      await recordAudit({ adminEmail: version.publishedBy }, {
+        action: 'bus.routeVersion', entityType: 'bus', entityId: bus.number,
+        before: busSnapshot(current), after: { ...busSnapshot(bus), routeVersionId: version.id },
+      });
+      console.log(`🗓️ Route version ${version.id} is now live for bus ${bus.number}`);
+    } catch (e) {
+      // Release the claim so the next run tries again
+      await prisma.routeVersion.update({ where: { id: version.id }, data: { appliedAt: null } }).catch(() => {});
+      console.warn(`Route version ${version.id} could not be applied:`, e.message || e);
+    }
+  }
+}
+const runRouteVersionJob = () => applyDueRouteVersions().catch(e => console.warn("Route version check failed:", e.message || e));
+setInterval(runRouteVersionJob, Number(process.env.ROUTE_VERSION_CHECK_SECONDS || 60) * 1000).unref();
+runRouteVersionJob();
+
+async function findRouteVersion(req, res) {
+  const bus = await prisma.bus.findUnique({ where: { number: String(req.params.number) } });
+  const version = bus && await prisma.routeVersion.findFirst({ where: { id: req.params.id, busId: bus.id } });
+  if (!version) res.status(404).json({ success: false, message: "Route version not found" });
+  return version;
+}
+
+async function listRouteVersions(req, res) {
+  try {
+    const bus = await prisma.bus.findUnique({ where: { number: String(req.params.number) } });
+    if (!bus) return res.status(404).json({ success: false, message: "Bus not found" });
+    const versions = await prisma.routeVersion.findMany({ where: { busId: bus.id }, orderBy: { createdAt: 'desc' } });
+    const placesById = await placesOfVersions(versions);
+    res.json({ success: true, versions: versions.map(v => serializeRouteVersion(v, placesById)) });
+  } catch (e) {
+    console.error("GET /api/admin/buses/:number/route-versions error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+apiAdmin.get('/buses/:number/route-versions', requirePermission('buses:read'), validateInput(INPUT.numberParam), listRouteVersions);
+
+// Trips left out of the body start as a copy of the live route
+async function createRouteVersion(req, res) {
+  try {
+    const { name = "" } = req.body;
+    const effectiveFrom = req.body.effectiveFrom ? parseEffectiveDate(req.body.effectiveFrom) : null;
+    if (req.body.effectiveFrom && !effectiveFrom) return res.status(400).json({ success: false, message: "effectiveFrom must be a valid date" });
+    const bus = withFlatStops(await prisma.bus.findUnique({ where: { number: String(req.params.number) }, include: STOPS_WITH_PLACE }));
+    if (!bus) return res.status(404).json({ success: false, message: "Bus not found" });
+    const live = busSnapshot(bus);
+    const stops = versionStopLists({
+      morningStops: req.body.morningStops ?? live.morningStops,
+      eveningStops: req.body.eveningStops ?? live.eveningStops,
+    });
+    const version = await prisma.routeVersion.create({
+      data: { busId: bus.id, name, effectiveFrom, stops, createdBy: req.adminEmail },
+    });
+    await recordAudit(req, { action: 'routeVersion.create', entityType: 'routeVersion', entityId: version.id, after: { busNumber: bus.number, name, effectiveFrom: version.effectiveFrom, ...stops } });
+    res.json({ success: true, version: serializeRouteVersion(version, await placesOfVersions([version])) });
+  } catch (e) {
+    console.error("POST /api/admin/buses/:number/route-versions error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+apiAdmin.post('/buses/:number/route-versions', requirePermission('routes:edit', busOfNumberParam), validateInput(INPUT.createRouteVersion), createRouteVersion);
+
+async function updateRouteVersion(req, res) {
+  try {
+    const version = await findRouteVersion(req, res);
+    if (!version) return;
+    if (version.status !== 'DRAFT') return res.status(400).json({ success: false, message: "Only drafts can be edited; move it back to draft first" });
+    const { name, effectiveFrom, morningStops, eveningStops } = req.body;
+    const data = { name };
+    if (effectiveFrom !== undefined) {
+      data.effectiveFrom = effectiveFrom ? parseEffectiveDate(effectiveFrom) : null;
+      if (effectiveFrom && !data.effectiveFrom) return res.status(400).json({ success: false, message: "effectiveFrom must be a valid date" });
+    }
+    if (morningStops || eveningStops) {
+      data.stops = versionStopLists({ morningStops: morningStops ?? version.stops.morningStops, eveningStops: eveningStops ?? version.stops.eveningStops });
+    }
+    const updated = await prisma.routeVersion.update({ where: { id: version.id }, data });
+    await recordAudit(req, {
+      action: 'routeVersion.update', entityType: 'routeVersion', entityId: version.id,
+      before: { name: version.name, effectiveFrom: version.effectiveFrom, ...version.stops },
+      after: { name: updated.name, effectiveFrom: updated.effectiveFrom, ...updated.stops },
+    });
+    res.json({ success: true, version: serializeRouteVersion(updated, await placesOfVersions([updated])) });
+  } catch (e) {
+    console.error("PUT /api/admin/buses/:number/route-versions/:id error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+apiAdmin.put('/buses/:number/route-versions/:id', requirePermission('routes:edit', busOfNumberParam), validateInput(INPUT.updateRouteVersion), updateRouteVersion);
+
+// Schedules a draft. An effectiveFrom that has already passed makes it live straight away.
+async function publishRouteVersion(req, res) {
+  try {
+    const version = await findRouteVersion(req, res);
+    if (!version) return;
+    if (version.status !== 'DRAFT') return res.status(400).json({ success: false, message: "This version is already published" });
+    const effectiveFrom = req.body.effectiveFrom ? parseEffectiveDate(req.body.effectiveFrom) : version.effectiveFrom;
+    if (req.body.effectiveFrom && !effectiveFrom) return res.status(400).json({ success: false, message: "effectiveFrom must be a valid date" });
+    if (!effectiveFrom) return res.status(400).json({ success: false, message: "Set the date the route takes effect before publishing" });
+    const published = await prisma.routeVersion.update({
+      where: { id: version.id },
+      data: { status: 'PUBLISHED', effectiveFrom, publishedBy: req.adminEmail, publishedAt: new Date() },
+    });
+    await recordAudit(req, { action: 'routeVersion.publish', entityType: 'routeVersion', entityId: version.id, before: { status: version.status }, after: { status: published.status, effectiveFrom } });
+    if (effectiveFrom <= new Date()) await applyDueRouteVersions();
+    const current = await prisma.routeVersion.findUnique({ where: { id: version.id } });
+    res.json({
+      success: true, version: serializeRouteVersion(current, await placesOfVersions([current])),
+      message: current.appliedAt ? "Route version published and now live" : `Route version published; it goes live ${effectiveFrom.toISOString()}`,
+    });
+  } catch (e) {
+    console.error("POST /api/admin/buses/:number/route-versions/:id/publish error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+apiAdmin.post('/buses/:number/route-versions/:id/publish', requirePermission('routes:edit', busOfNumberParam), validateInput(INPUT.publishRouteVersion), publishRouteVersion);
+
+// Takes a scheduled version off the schedule so it can be edited again
+async function unpublishRouteVersion(req, res) {
+  try {
+    const version = await findRouteVersion(req, res);
+    if (!version) return;
+    const { count } = await prisma.routeVersion.updateMany({
+      where: { id: version.id, status: 'PUBLISHED', appliedAt: null },
+      data: { status: 'DRAFT', publishedBy: null, publishedAt: null },
+    });
+    if (!count) return res.status(400).json({ success: false, message: "Only published versions that are not live yet can go back to draft" });
+    await recordAudit(req, { action: 'routeVersion.unpublish', entityType: 'routeVersion', entityId: version.id, before: { status: 'PUBLISHED' }, after: { status: 'DRAFT' } });
+    const draft = await prisma.routeVersion.findUnique({ where: { id: version.id } });
+    res.json({ success: true, version: serializeRouteVersion(draft, await placesOfVersions([draft])) });
+  } catch (e) {
+    console.error("POST /api/admin/buses/:number/route-versions/:id/unpublish error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+apiAdmin.post('/buses/:number/route-versions/:id/unpublish', requirePermission('routes:edit', busOfNumberParam), validateInput(INPUT.routeVersionParams), unpublishRouteVersion);
+
+// Versions that went live are kept as history
+async function deleteRouteVersion(req, res) {
+  try {
+    const version = await findRouteVersion(req, res);
+    if (!version) return;
+    if (version.appliedAt) return res.status(400).json({ success: false, message: "This version has gone live and is kept as history" });
+    await prisma.routeVersion.delete({ where: { id: version.id } });
+    await recordAudit(req, { action: 'routeVersion.delete', entityType: 'routeVersion', entityId: version.id, before: { name: version.name, status: version.status, effectiveFrom: version.effectiveFrom, ...version.stops } });
+    res.json({ success: true, message: "Route version deleted" });
+  } catch (e) {
+    console.error("DELETE /api/admin/buses/:number/route-versions/:id error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+apiAdmin.delete('/buses/:number/route-versions/:id', requirePermission('routes:edit', busOfNumberParam), validateInput(INPUT.routeVersionParams), deleteRouteVersion);
+
+// ---------------- Admin signup requests ----------------
+// Stored in AdminRequest with the password already hashed; approval copies the hash into Admin.
+
+const ADMIN_REQUEST_FIELDS = { id: true, name: true, email: true, status: true, decidedBy: true, decidedAt: true, rejectionReason: true, createdAt: true };
+
+// Both return null on success or { status, message } for the route to send
+async function approveAdminRequest(email, decidedBy, role = 'VIEWER') {
+  const failed = await prisma.$transaction(async (tx) => {
+    const request = await tx.adminRequest.findFirst({ where: { email: { equals: email, mode: 'insensitive' }, status: 'PENDING' }, orderBy: { createdAt: 'desc' } });
+    if (!request) return { status: 404, message: "Request not found" };
+
+    const existingAdmin = await tx.admin.findFirst({ where: { email: { equals: email, mode: 'insensitive' } } });
+    if (existingAdmin) {
+      await tx.adminRequest.update({
+        where: { id: request.id },
+        data: { status: 'REJECTED', pendingEmail: null, decidedBy, decidedAt: new Date(), rejectionReason: "An admin with this email already exists" },
+      });
+      return { status: 400, message: "Admin with this email already exists" };
+    }
+
+    // New admins start with the role chosen on approval (viewer unless given)
+    await tx.admin.create({ data: { email, password: request.passwordHash, role, isSuperAdmin: role === 'SUPERADMIN' } });
+    await tx.adminRequest.update({ where: { id: request.id }, data: { status: 'APPROVED', pendingEmail: null, decidedBy, decidedAt: new Date() } });
+    return null;
+  });
+  if (!failed) {
+    const loginUrl = appUrl(null, "/admin.html");
+    await queueEmail(email, "Your admin access request was approved", [
+      `Your request for bus transport admin access was approved with the role ${role.replace('_', ' ').toLowerCase()}.`,
+      loginUrl ? `Sign in at ${loginUrl} with the password you chose when you applied.` : "Sign in with the password you chose when you applied.",
+    ]);
+  }
+  return failed;
+}
+
+async function rejectAdminRequest(email, decidedBy, reason) {
+  const rejectionReason = reason ? String(reason).slice(0, 500) : null;
+  const { count } = await prisma.adminRequest.updateMany({
+    where: { email: { equals: email, mode: 'insensitive' }, status: 'PENDING' },
+    data: { status: 'REJECTED', pendingEmail: null, decidedBy, decidedAt: new Date(), rejectionReason },
+  });
+  if (!count) return { status: 404, message: "Request not found" };
+  await queueEmail(email, "Your admin access request", [
+    "Your request for bus transport admin access was not approved.",
+    rejectionReason ? `Reason: ${rejectionReason}` : null,
+  ]);
+  return null;
+}
+
+function listAdminRequests(status) {
+  const s = String(status || 'PENDING').toUpperCase();
+  return prisma.adminRequest.findMany({
+    where: s === 'ALL' ? {} : { status: s },
+    select: ADMIN_REQUEST_FIELDS,
+    orderBy: { createdAt: 'desc' },
+  });
+}
+
+// One-off move of requests left in the old pending_admins.json (plain-text passwords) into the DB
+async function importLegacyAdminRequests() {
+  let legacy;
+  try {
+    legacy = JSON.parse(await fs.readFile(PENDING_ADMINS_FILE, "utf8"));
+  } catch (e) {
+    return; // nothing to import
+  }
+  try {
+    for (const r of Array.isArray(legacy) ? legacy : []) {
+      if (!r?.email || !r?.password) continue;
+      const email = String(r.email).trim().toLowerCase();
+      const pending = await prisma.adminRequest.findFirst({ where: { email: { equals: email, mode: 'insensitive' }, status: 'PENDING' } });
+      if (pending) continue;
+      await prisma.adminRequest.create({
+        data: { name: r.name || email, email, pendingEmail: email, passwordHash: await bcrypt.hash(r.password, 10), createdAt: r.createdAt ? new Date(r.createdAt) : undefined },
+      });
+    }
+    await fs.unlink(PENDING_ADMINS_FILE);
+    console.log(`✅ Imported ${legacy.length} admin request(s) from ${PENDING_ADMINS_FILE}`);
+  } catch (e) {
+    console.warn("Could not import legacy admin requests:", e.message || e);
+  }
+}
+importLegacyAdminRequests();
+
+// Admin signup request endpoint
+app.post('/admin/signup', authLimiter, validateInput(INPUT.adminSignup), async (req, res) => {
+  try {
+    const { name, password } = req.body;
+    const email = req.body.email.toLowerCase();
+    // Not in adminSignup: its string rules trim, and a password is kept exactly as typed
+    if (!password) return res.status(400).json({ success: false, message: "Missing required fields" });
+
+    // Check if admin already exists
+    const ENV_EMAIL = process.env.MAIN_ADMIN_EMAIL;
+    if (ENV_EMAIL && email === ENV_EMAIL.toLowerCase()) {
+      return res.status(400).json({ success: false, message: "This email is already registered as main admin" });
+    }
+
+    const existingAdmin = await prisma.admin.findFirst({ where: { email: { equals: email, mode: 'insensitive' } } });
+    if (existingAdmin) {
+      return res.status(400).json({ success: false, message: "Admin with this email already exists" });
+    }
+
+    // Check if request already exists (requests from before pendingEmail may differ in case)
+    const pending = await prisma.adminRequest.findFirst({ where: { email: { equals: email, mode: 'insensitive' }, status: 'PENDING' } });
+    if (pending) {
+      return res.status(400).json({ success: false, message: "Request already submitted. Please wait for approval." });
+    }
+
+    // pendingEmail is unique, so of two signups racing past the check above only one is stored
+    await prisma.adminRequest.create({
+      data: { name: String(name).trim(), email, pendingEmail: email, passwordHash: await bcrypt.hash(String(password), 10) }
+    });
+
+    res.json({ success: true, message: "Signup request submitted successfully. Please wait for admin approval." });
+  } catch (err) {
+    if (err.code === 'P2002') return res.status(400).json({ success: false, message: "Request already submitted. Please wait for approval." });
+    console.error("POST /admin/signup error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Admin request approvals (superadmin only); ?status=PENDING (default), APPROVED, REJECTED or ALL
+async function listSignupRequests(req, res) {
+  try {
+    const requests = await listAdminRequests(req.query.status);
+    res.json({ success: true, requests });
+  } catch (e) {
+    console.error("GET /admin/requests error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+app.get('/admin/requests', requirePermission('admins:manage'), listSignupRequests);
+apiAdmin.get('/requests', requirePermission('admins:manage'), listSignupRequests);
+
+async function approveSignupRequest(req, res) {
+  try {
+    const role = req.body?.role ? String(req.body.role).toUpperCase() : 'VIEWER';
+    if (!ROLES.includes(role)) return res.status(400).json({ success: false, message: "Invalid role" });
+    const email = decodeURIComponent(req.params.email).trim().toLowerCase();
+    const failed = await approveAdminRequest(email, req.adminEmail, role);
+    if (failed) return res.status(failed.status).json({ success: false, message: failed.message });
+    await recordAudit(req, { action: 'adminRequest.approve', entityType: 'adminRequest', entityId: email, before: { status: 'PENDING' }, after: { status: 'APPROVED', role } });
+    res.json({ success: true, message: "Admin approved and created successfully" });
+  } catch (e) {
+    console.error("POST approve error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+app.post('/admin/requests/:email/approve', requirePermission('admins:manage'), approveSignupRequest);
+apiAdmin.post('/requests/:email/approve', requirePermission('admins:manage'), approveSignupRequest);
+
+async function rejectSignupRequest(req, res) {
+  try {
+    const email = decodeURIComponent(req.params.email).trim().toLowerCase();
+    const failed = await rejectAdminRequest(email, req.adminEmail, req.body?.reason);
+    if (failed) return res.status(failed.status).json({ success: false, message: failed.message });
+    await recordAudit(req, { action: 'adminRequest.reject', entityType: 'adminRequest', entityId: email, before: { status: 'PENDING' }, after: { status: 'REJECTED', reason: req.body?.reason || null } });
+    res.json({ success: true, message: "Request rejected" });
+  } catch (e) {
+    console.error("POST reject error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+app.post('/admin/requests/:email/reject', requirePermission('admins:manage'), rejectSignupRequest);
+apiAdmin.post('/requests/:email/reject', requirePermission('admins:manage'), rejectSignupRequest);
+
+// session endpoints
+apiAdmin.post('/login', authLimiter, loginAdmin);
+apiAdmin.post('/login/2fa', authLimiter, verifyLoginSecondFactor);
+apiAdmin.post('/2fa/setup', authLimiter, requireEnrollmentActor, startTwoFactorSetup);
+apiAdmin.post('/2fa/enable', authLimiter, requireEnrollmentActor, enableTwoFactor);
+apiAdmin.post('/2fa/disable', requireAdmin, disableTwoFactor);
+apiAdmin.post('/2fa/recovery-codes', requireAdmin, regenerateRecoveryCodes);
+apiAdmin.post('/refresh', refreshAdminSession);
+apiAdmin.post('/logout', requireAdmin, logoutAdmin);
+apiAdmin.post('/logout-all', requireAdmin, logoutAdminEverywhere);
+apiAdmin.post('/password/change', requireAdmin, changeAdminPassword);
+apiAdmin.post('/password/forgot', authLimiter, requestPasswordReset);
+apiAdmin.post('/password/reset', authLimiter, resetAdminPassword);
+
+// ---- Admin accounts: roles, bus assignments, disabling and removal (superadmin only) ----
+function serializeAdminAccess(admin) {
+  return {
+    id: admin.id,
+    email: admin.email,
+    role: admin.isSuperAdmin ? 'SUPERADMIN' : admin.role,
+    allBuses: admin.allBuses,
+    busNumbers: admin.buses.map(b => b.bus.number),
+    isActive: admin.isActive,
+    isMainAdmin: isMainAdmin(admin.email),
+    lastLoginAt: admin.lastLoginAt,
+    lastLoginIp: admin.lastLoginIp,
+    createdAt: admin.createdAt,
+  };
+}
+
+// Without an env main admin, the last active superadmin must stay so someone can still manage admins
+async function wouldLeaveNoSuperadmin(adminId) {
+  if (process.env.MAIN_ADMIN_EMAIL) return false;
+  const others = await prisma.admin.count({ where: { id: { not: adminId }, isActive: true, OR: [{ isSuperAdmin: true }, { role: 'SUPERADMIN' }] } });
+  return others === 0;
+}
+
+// Shared checks for changing or removing another admin; returns { status, message } or null
+function adminChangeBlocked(req, target) {
+  if (!target) return { status: 404, message: "Admin not found" };
+  if (target.id === req.admin.id) return { status: 400, message: "You cannot change your own account here" };
+  if (isMainAdmin(target.email)) return { status: 400, message: "The main admin's access comes from the server configuration" };
+  return null;
+}
+
+apiAdmin.get('/admins', requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const [admins, enrolled] = await Promise.all([
+      prisma.admin.findMany({ include: { buses: { include: { bus: true } } }, orderBy: { email: 'asc' } }),
+      prisma.adminTwoFactor.findMany({ where: { enabledAt: { not: null } }, select: { email: true } }),
+    ]);
+    const withTwoFactor = new Set(enrolled.map(t => t.email));
+    res.json({
+      success: true,
+      roles: ROLES,
+      twoFactorRequiredRoles: [...TOTP_REQUIRED_ROLES],
+      admins: admins.map(a => ({ ...serializeAdminAccess(a), twoFactorEnabled: withTwoFactor.has(a.email) })),
+    });
+  } catch (e) {
+    console.error("GET /api/admin/admins error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Body (all optional): { role, isActive, allBuses, busNumbers: [] } — busNumbers replaces the assigned buses.
+// Disabling or reducing access signs the admin out everywhere.
+async function updateAdminAccount(req, res) {
+  try {
+    const id = Number(req.params.id);
+    const body = req.body || {};
+    const previous = await prisma.admin.findUnique({ where: { id }, include: { buses: { include: { bus: true } } } });
+    const blocked = adminChangeBlocked(req, previous);
+    if (blocked) return res.status(blocked.status).json({ success: false, message: blocked.message });
+
+    const before = serializeAdminAccess(previous);
+    const role = body.role === undefined ? before.role : String(body.role).toUpperCase();
+    if (!ROLES.includes(role)) return res.status(400).json({ success: false, message: "Invalid role" });
+    const isActive = body.isActive === undefined ? before.isActive : Boolean(body.isActive);
+    const allBuses = body.allBuses === undefined ? before.allBuses : Boolean(body.allBuses);
+    const busNumbers = body.busNumbers === undefined ? before.busNumbers : body.busNumbers;
+    if (!Array.isArray(busNumbers)) return res.status(400).json({ success: false, message: "busNumbers must be an array" });
+
+    const buses = await prisma.bus.findMany({ where: { number: { in: busNumbers.map(String) } }, select: { id: true, number: true } });
+    const unknown = busNumbers.map(String).filter(n => !buses.some(b => b.number === n));
+    if (unknown.length) return res.status(400).json({ success: false, message: `Unknown bus number(s): ${unknown.join(', ')}` });
+
+    if (before.role === 'SUPERADMIN' && before.isActive && (role !== 'SUPERADMIN' || !isActive) && await wouldLeaveNoSuperadmin(id)) {
+      return res.status(400).json({ success: false, message: "At least one active superadmin is required" });
+    }
+
+    const admin = await prisma.$transaction(async (tx) => {
+      await tx.admin.update({ where: { id }, data: { role, isSuperAdmin: role === 'SUPERADMIN', allBuses, isActive } });
+      await tx.adminBus.deleteMany({ where: { adminId: id } });
+      if (buses.length) await tx.adminBus.createMany({ data: buses.map(b => ({ adminId: id, busId: b.id })) });
+      return tx.admin.findUnique({ where: { id }, include: { buses: { include: { bus: true } } } });
+    });
+    const after = serializeAdminAccess(admin);
+    // Less access than before: make the admin sign in again rather than keep working on open sessions
+    const demoted = !after.isActive || ROLES.indexOf(after.role) < ROLES.indexOf(before.role) || (before.allBuses && !after.allBuses)
+      || (!after.allBuses && before.busNumbers.some(n => !after.busNumbers.includes(n)));
+    if (demoted) await revokeAdminSessions(admin.email);
+    await recordAudit(req, { action: 'admin.access', entityType: 'admin', entityId: admin.email, before, after });
+    res.json({ success: true, admin: after });
+  } catch (e) {
+    if (e.code === 'P2025') return res.status(404).json({ success: false, message: "Admin not found" });
+    console.error(`${req.method} /api/admin/admins/:id error:`, e);
+    res.status(500).json({ success: false, message: "Server error" });
   }
-  
-  // Check DB admin
+}
+
+apiAdmin.patch('/admins/:id', requirePermission('admins:manage'), validateInput(INPUT.idParam), updateAdminAccount);
+// Older dashboards send the full { role, allBuses, busNumbers } here
+apiAdmin.put('/admins/:id/access', requirePermission('admins:manage'), validateInput(INPUT.idParam), updateAdminAccount);
+
+apiAdmin.delete('/admins/:id', requirePermission('admins:manage'), validateInput(INPUT.idParam), async (req, res) => {
   try {
-    const admin = await prisma.admin?.findUnique({ where: { email: payload.email } });
-    if (admin) {
-      return res.json({ success: true, admin: { email: admin.email, isSuperAdmin: admin.isSuperAdmin || false } });
+    const id = Number(req.params.id);
+    const admin = await prisma.admin.findUnique({ where: { id }, include: { buses: { include: { bus: true } } } });
+    const blocked = adminChangeBlocked(req, admin);
+    if (blocked) return res.status(blocked.status).json({ success: false, message: blocked.message });
+    if ((admin.isSuperAdmin || admin.role === 'SUPERADMIN') && admin.isActive && await wouldLeaveNoSuperadmin(id)) {
+      return res.status(400).json({ success: false, message: "At least one active superadmin is required" });
     }
+
+    // Bus assignments cascade with the admin
+    await prisma.admin.delete({ where: { id } });
+    await revokeAdminSessions(admin.email);
+    await recordAudit(req, { action: 'admin.delete', entityType: 'admin', entityId: admin.email, before: serializeAdminAccess(admin) });
+    res.json({ success: true, message: `${admin.email} removed` });
   } catch (e) {
-    console.warn("Prisma admin lookup failed:", e.message || e);
+    if (e.code === 'P2025') return res.status(404).json({ success: false, message: "Admin not found" });
+    console.error("DELETE /api/admin/admins/:id error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
   }
-  
-  res.json({ success: true, admin: { email: payload.email, isSuperAdmin: payload.isSuperAdmin || false } });
 });
 
-// --- Admin management endpoints (place BEFORE 404 catch-all) ---
-app.get('/admin/logs', requireAdmin, async (req, res) => {
+// For an admin who lost their authenticator and recovery codes; they re-enroll at next sign-in if required
+apiAdmin.post('/admins/:id/2fa/reset', requirePermission('admins:manage'), validateInput(INPUT.idParam), async (req, res) => {
   try {
-    const logs = await prisma.availabilityLog.findMany({ orderBy: { createdAt: 'desc' } }).catch(()=>[]);
-    res.json({ success: true, logs });
+    const admin = await prisma.admin.findUnique({ where: { id: Number(req.params.id) } });
+    const blocked = adminChangeBlocked(req, admin);
+    if (blocked) return res.status(blocked.status).json({ success: false, message: blocked.message });
+
+    const { count } = await prisma.adminTwoFactor.deleteMany({ where: { email: admin.email } });
+    if (!count) return res.status(400).json({ success: false, message: "This admin has not set up two-factor authentication" });
+    await revokeAdminSessions(admin.email);
+    await recordAudit(req, { action: 'admin.2faReset', entityType: 'admin', entityId: admin.email });
+    await queueEmail(admin.email, "Your two-factor authentication was reset", [
+      `${req.adminEmail} reset two-factor authentication on your bus transport admin account.`,
+      "Sign in again to set it up on your new device.",
+    ]);
+    res.json({ success: true, message: `Two-factor authentication reset for ${admin.email}` });
   } catch (e) {
-    console.error("GET /admin/logs error:", e);
+    console.error("POST /api/admin/admins/:id/2fa/reset error:", e);
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-app.get('/admin/buses', requireAdmin, async (req, res) => {
+// Sign-in lockouts: recent lock events and accounts locked right now
+apiAdmin.get('/lockouts', requirePermission('admins:manage'), async (req, res) => {
   try {
-    const buses = await prisma.bus.findMany({ include: { stops: true } });
-    res.json({ success: true, buses });
+    const [events, locked] = await Promise.all([
+      prisma.loginLockout.findMany({ orderBy: { createdAt: 'desc' }, take: Math.min(Number(req.query.limit) || 50, 200) }),
+      prisma.loginThrottle.findMany({ where: { lockedUntil: { gt: new Date() } }, orderBy: { lockedUntil: 'asc' } }),
+    ]);
+    res.json({ success: true, events, locked: locked.map(l => ({ email: l.email, lockedUntil: l.lockedUntil })) });
   } catch (e) {
-    console.error("GET /admin/buses error:", e);
+    console.error("GET /api/admin/lockouts error:", e);
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-app.post('/admin/buses', requireAdmin, async (req, res) => {
+// Lift a lock early (e.g. after confirming with the admin that the failures were theirs)
+apiAdmin.post('/lockouts/:email/clear', requirePermission('admins:manage'), async (req, res) => {
   try {
-    const { number, name, location, capacity } = req.body || {};
-    if (!number) return res.status(400).json({ success: false, message: "Bus number required" });
-    const bus = await prisma.bus.create({
-      data: { number: String(number), name: name || null, location: location || null, capacity: Number(capacity) || 0 }
+    const email = decodeURIComponent(req.params.email).trim().toLowerCase();
+    await loginThrottle.succeed(email);
+    await prisma.loginLockout.updateMany({
+      where: { email, clearedAt: null, lockedUntil: { gt: new Date() } },
+      data: { clearedBy: req.adminEmail, clearedAt: new Date() },
     });
-    res.json({ success: true, bus });
+    await recordAudit(req, { action: 'admin.unlock', entityType: 'admin', entityId: email });
+    res.json({ success: true, message: `${email} can sign in again` });
   } catch (e) {
-    console.error("POST /admin/buses error:", e);
+    console.error("POST /api/admin/lockouts/:email/clear error:", e);
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-app.delete('/admin/buses/:number', requireAdmin, async (req, res) => {
+// ---------------- API keys ----------------
+apiAdmin.get('/api-keys', requirePermission('apikeys:manage'), async (req, res) => {
   try {
-    const { number } = req.params;
-    await prisma.bus.delete({ where: { number: String(number) } });
-    res.json({ success: true });
+    const keys = await prisma.apiKey.findMany({ orderBy: { createdAt: 'desc' } });
+    res.json({ success: true, keys: keys.map(serializeApiKey), scopes: API_KEY_SCOPES });
   } catch (e) {
-    console.error("DELETE /admin/buses/:number error:", e);
+    console.error("GET /api/admin/api-keys error:", e);
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-app.put('/admin/buses/:number', requireAdmin, async (req, res) => {
+// { name, scopes, expiresInDays } -> the key, returned only in this response
+apiAdmin.post('/api-keys', requirePermission('apikeys:manage'), validateInput(INPUT.createApiKey), async (req, res) => {
   try {
-    const { number } = req.params;
-    const payload = req.body || {};
-
-    // update bus meta
-    const updatedBus = await prisma.bus.update({
-      where: { number: String(number) },
+    const { name, scopes, expiresInDays: days = 90 } = req.body;
+    const secret = generateApiKey();
+    const key = await prisma.apiKey.create({
       data: {
-        name: payload.name,
-        location: payload.location,
-        capacity: payload.capacity,
-        currentOccupancy: payload.currentOccupancy,
-        driverName: payload.driverName,
-        driverPhone: payload.driverPhone,
-        liveLocationUrl: payload.liveLocationUrl,
+        name,
+        prefix: secret.slice(0, API_KEY_PREFIX.length + 6),
+        keyHash: hashToken(secret),
+        scopes: [...new Set(scopes)],
+        expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+        createdBy: req.adminEmail,
       },
     });
-
-    // replace stops if provided
-    if (Array.isArray(payload.morningStops) || Array.isArray(payload.eveningStops)) {
-      await prisma.stop.deleteMany({ where: { busId: updatedBus.id } });
-
-      const createData = [];
-      if (Array.isArray(payload.morningStops)) {
-        payload.morningStops.forEach((s, i) => createData.push({ busId: updatedBus.id, name: s.name, lat: s.lat, lng: s.lng, period: "MORNING", order: i + 1 }));
-      }
-      if (Array.isArray(payload.eveningStops)) {
-        payload.eveningStops.forEach((s, i) => createData.push({ busId: updatedBus.id, name: s.name, lat: s.lat, lng: s.lng, period: "EVENING", order: i + 1 }));
-      }
-      if (createData.length) {
-        // createMany may not be supported depending on Prisma version/DB; fallback handled
-        try { await prisma.stop.createMany({ data: createData }); } catch { 
-          // fallback to individual creates
-          for (const d of createData) await prisma.stop.create({ data: d });
-        }
-      }
-    }
-
-    const busWithStops = await prisma.bus.findUnique({ where: { id: updatedBus.id }, include: { stops: true } });
-    res.json({ success: true, bus: busWithStops });
+    await recordAudit(req, { action: 'apiKey.create', entityType: 'apiKey', entityId: key.id, after: serializeApiKey(key) });
+    res.json({ success: true, key: serializeApiKey(key), secret });
   } catch (e) {
-    console.error("PUT /admin/buses/:number error:", e);
+    console.error("POST /api/admin/api-keys error:", e);
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-// Admin signup request endpoint
-app.post('/admin/signup', async (req, res) => {
+apiAdmin.post('/api-keys/:id/revoke', requirePermission('apikeys:manage'), validateInput(INPUT.idParam), async (req, res) => {
   try {
-    const { name, email, password } = req.body || {};
-    if (!name || !email || !password) {
-      return res.status(400).json({ success: false, message: "Missing required fields" });
-    }
-
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ success: false, message: "Invalid email format" });
-    }
+    const before = await prisma.apiKey.findUnique({ where: { id: Number(req.params.id) } });
+    if (!before) return res.status(404).json({ success: false, message: "API key not found" });
+    if (before.revokedAt) return res.status(400).json({ success: false, message: "API key already revoked" });
+    const key = await prisma.apiKey.update({ where: { id: before.id }, data: { revokedAt: new Date(), revokedBy: req.adminEmail } });
+    await recordAudit(req, { action: 'apiKey.revoke', entityType: 'apiKey', entityId: key.id, before: serializeApiKey(before), after: serializeApiKey(key) });
+    res.json({ success: true, message: `API key "${key.name}" revoked` });
+  } catch (e) {
+    console.error("POST /api/admin/api-keys/:id/revoke error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
 
-    // Check if admin already exists
-    const ENV_EMAIL = process.env.MAIN_ADMIN_EMAIL;
-    if (ENV_EMAIL && email === ENV_EMAIL) {
-      return res.status(400).json({ success: false, message: "This email is already registered as main admin" });
-    }
+// Issue a driver token for a bus (revokes any previously issued one)
+async function issueDriverToken(req, res) {
+  try {
+    const bus = await prisma.bus.update({
+      where: { number: String(req.params.number) },
+      data: { driverTokenVersion: { increment: 1 } },
+    });
+    await recordAudit(req, { action: 'bus.driverToken', entityType: 'bus', entityId: bus.number, after: { driverTokenVersion: bus.driverTokenVersion } });
+    res.json({ success: true, token: createDriverToken(bus) });
+  } catch (e) {
+    if (e.code === 'P2025') return res.status(404).json({ success: false, message: "Bus not found" });
+    console.error("POST /api/admin/buses/:number/driver-token error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+apiAdmin.post('/buses/:number/driver-token', requirePermission('drivers:manage', busOfNumberParam), issueDriverToken);
 
-    try {
-      const existingAdmin = await prisma.admin?.findUnique({ where: { email } });
-      if (existingAdmin) {
-        return res.status(400).json({ success: false, message: "Admin with this email already exists" });
-      }
-    } catch (e) {
-      // Continue if DB check fails
-    }
+// Seat assignments (the only way occupancy changes)
+async function listSeats(req, res) {
+  try {
+    const bus = await prisma.bus.findUnique({ where: { number: String(req.params.number) } });
+    if (!bus) return res.status(404).json({ success: false, message: "Bus not found" });
+    const seats = await prisma.seatAssignment.findMany({ where: { busId: bus.id }, orderBy: [{ period: 'asc' }, { createdAt: 'asc' }] });
+    const occ = occupancyOf(await getOccupancyMap(prisma, [bus.id]), bus.id);
+    res.json({ success: true, capacity: bus.capacity, occupancy: { morning: occ.MORNING, evening: occ.EVENING }, seats });
+  } catch (e) {
+    console.error("GET /api/admin/buses/:number/seats error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+apiAdmin.get('/buses/:number/seats', requirePermission('applications:read'), listSeats);
 
-    // Read existing requests
-    let requests = [];
-    try {
-      const content = await fs.readFile(PENDING_ADMINS_FILE, "utf8");
-      requests = JSON.parse(content);
-    } catch (e) {
-      // File doesn't exist or is invalid, start with empty array
-      requests = [];
-    }
+async function assignSeat(req, res) {
+  try {
+    const { rollNumber, studentName, period } = req.body || {};
+    if (!rollNumber) return res.status(400).json({ success: false, message: "Roll number required" });
+    const periods = period ? [String(period).toUpperCase()] : PERIODS;
+    if (!periods.every(p => PERIODS.includes(p))) return res.status(400).json({ success: false, message: "Invalid period" });
 
-    // Check if request already exists
-    if (requests.some(r => r.email === email)) {
-      return res.status(400).json({ success: false, message: "Request already submitted. Please wait for approval." });
-    }
+    const bus = await prisma.bus.findUnique({ where: { number: String(req.params.number) } });
+    if (!bus) return res.status(404).json({ success: false, message: "Bus not found" });
 
-    // Add new request
-    requests.push({
-      name,
-      email,
-      password, // Store plain password temporarily (will be hashed on approval)
-      createdAt: new Date().toISOString()
+    const seats = await prisma.$transaction(async (tx) => {
+      const created = [];
+      for (const p of periods) {
+        created.push(await allocateSeat(tx, bus, p, { rollNumber, studentName: studentName || "", assignedBy: req.adminEmail }));
+      }
+      return created;
     });
-
-    // Save to file
-    await fs.writeFile(PENDING_ADMINS_FILE, JSON.stringify(requests, null, 2), "utf8");
-
-    res.json({ success: true, message: "Signup request submitted successfully. Please wait for admin approval." });
-  } catch (err) {
-    console.error("POST /admin/signup error:", err);
+    publishOccupancy(bus);
+    await recordAudit(req, { action: 'seat.assign', entityType: 'bus', entityId: bus.number, after: { seats } });
+    res.json({ success: true, seats });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ success: false, message: e.message });
+    console.error("POST /api/admin/buses/:number/seats error:", e);
     res.status(500).json({ success: false, message: "Server error" });
   }
-});
+}
+apiAdmin.post('/buses/:number/seats', requirePermission('seats:manage', busOfNumberParam), assignSeat);
 
-// Admin request approvals (superadmin only)
-app.get('/admin/requests', requireSuperAdmin, async (req, res) => {
+async function releaseSeat(req, res) {
   try {
-    let requests = [];
-    try {
-      const content = await fs.readFile(PENDING_ADMINS_FILE, "utf8");
-      requests = JSON.parse(content);
-    } catch (e) {
-      // File doesn't exist, return empty array
-      requests = [];
-    }
-    res.json({ success: true, requests });
+    const id = Number(req.params.id);
+    const seat = await prisma.seatAssignment.findUnique({ where: { id } });
+    if (!seat) return res.status(404).json({ success: false, message: "Seat assignment not found" });
+    await prisma.seatAssignment.delete({ where: { id } });
+    const bus = await prisma.bus.findUnique({ where: { id: seat.busId } });
+    if (bus) publishOccupancy(bus);
+    await recordAudit(req, { action: 'seat.release', entityType: 'bus', entityId: bus?.number ?? null, before: { seat } });
+    res.json({ success: true });
   } catch (e) {
-    console.error("GET /admin/requests error:", e);
+    console.error("DELETE /api/admin/seats/:id error:", e);
     res.status(500).json({ success: false, message: "Server error" });
   }
-});
+}
+apiAdmin.delete('/seats/:id', validateInput(INPUT.idParam), requirePermission('seats:manage', busOfSeatParam), releaseSeat);
 
-app.post('/admin/requests/:email/approve', requireSuperAdmin, async (req, res) => {
+// Student application queue
+async function listApplications(req, res) {
   try {
-    const email = decodeURIComponent(req.params.email);
-    
-    // Read requests from file
-    let requests = [];
-    try {
-      const content = await fs.readFile(PENDING_ADMINS_FILE, "utf8");
-      requests = JSON.parse(content);
-    } catch (e) {
-      return res.status(404).json({ success: false, message: "No pending requests found" });
-    }
-
-    // Find the request
-    const request = requests.find(r => r.email === email);
-    if (!request) {
-      return res.status(404).json({ success: false, message: "Request not found" });
-    }
+    const status = String(req.query.status || 'PENDING').toUpperCase();
+    const where = status === 'ALL' ? {} : { status };
+    const applications = await prisma.application.findMany({ where, include: { bus: true }, orderBy: { createdAt: 'desc' } });
+    res.json({ success: true, applications });
+  } catch (e) {
+    console.error("GET /api/admin/applications error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+apiAdmin.get('/applications', requirePermission('applications:read'), listApplications);
 
-    // Check if admin already exists
-    try {
-      const existingAdmin = await prisma.admin?.findUnique({ where: { email } });
-      if (existingAdmin) {
-        // Remove request even if admin exists
-        requests = requests.filter(r => r.email !== email);
-        await fs.writeFile(PENDING_ADMINS_FILE, JSON.stringify(requests, null, 2), "utf8");
-        return res.status(400).json({ success: false, message: "Admin with this email already exists" });
+async function approveApplication(req, res) {
+  try {
+    const id = Number(req.params.id);
+    const result = await prisma.$transaction(async (tx) => {
+      const application = await tx.application.findUnique({ where: { id }, include: { bus: true } });
+      if (!application) return { status: 404, message: "Application not found" };
+      if (application.status !== 'PENDING') return { status: 400, message: `Application already ${application.status.toLowerCase()}` };
+
+      // A bus pass covers both trips; if either is full the whole approval rolls back
+      for (const period of PERIODS) {
+        await allocateSeat(tx, application.bus, period, {
+          rollNumber: application.rollNumber, studentName: application.name, applicationId: application.id, assignedBy: req.adminEmail,
+        });
       }
-    } catch (e) {
-      console.warn("Error checking existing admin:", e);
-    }
+      await tx.application.update({ where: { id }, data: { status: 'APPROVED', decidedBy: req.adminEmail, decidedAt: new Date() } });
+      return { bus: application.bus };
+    });
+    if (result.status) return res.status(result.status).json({ success: false, message: result.message });
 
-    // Hash password
-    const passwordHash = await bcrypt.hash(request.password, 10);
+    publishOccupancy(result.bus);
+    await recordAudit(req, { action: 'application.approve', entityType: 'application', entityId: id, before: { status: 'PENDING' }, after: { status: 'APPROVED' } });
+    res.json({ success: true, message: "Application approved" });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ success: false, message: e.message });
+    console.error("POST /api/admin/applications/:id/approve error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+apiAdmin.post('/applications/:id/approve', validateInput(INPUT.idParam), requirePermission('applications:manage', busOfApplicationParam), approveApplication);
 
-    // Create admin in database
-    try {
-      await prisma.admin.create({
-        data: {
-          email: request.email,
-          password: passwordHash,
-          isSuperAdmin: false // New admins are not superadmin by default
-        }
-      });
-    } catch (e) {
-      console.error("Error creating admin:", e);
-      return res.status(500).json({ success: false, message: "Failed to create admin account" });
+async function rejectApplication(req, res) {
+  try {
+    const id = Number(req.params.id);
+    const application = await prisma.application.findUnique({ where: { id } });
+    if (!application) return res.status(404).json({ success: false, message: "Application not found" });
+    if (application.status !== 'PENDING') {
+      return res.status(400).json({ success: false, message: `Application already ${application.status.toLowerCase()}` });
     }
 
-    // Remove request from file
-    requests = requests.filter(r => r.email !== email);
-    await fs.writeFile(PENDING_ADMINS_FILE, JSON.stringify(requests, null, 2), "utf8");
+    await prisma.application.update({ where: { id }, data: { status: 'REJECTED', activeRollNumber: null, decidedBy: req.adminEmail, decidedAt: new Date() } });
+    await recordAudit(req, { action: 'application.reject', entityType: 'application', entityId: id, before: { status: 'PENDING' }, after: { status: 'REJECTED' } });
+    res.json({ success: true, message: "Application rejected" });
+  } catch (e) {
+    console.error("POST /api/admin/applications/:id/reject error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+apiAdmin.post('/applications/:id/reject', validateInput(INPUT.idParam), requirePermission('applications:manage', busOfApplicationParam), rejectApplication);
+
+// ---- Gazetteer places (landmarks the offline geocoder should know besides stop names) ----
+function parsePlaceInput(body = {}) {
+  const name = String(body.name || '').trim();
+  const lat = Number(body.lat);
+  const lng = Number(body.lng);
+  if (!name) return { error: "Place name is required" };
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+    return { error: "Valid lat and lng are required" };
+  }
+  const aliases = (Array.isArray(body.aliases) ? body.aliases : String(body.aliases || '').split(','))
+    .map(a => String(a).trim())
+    .filter(Boolean);
+  return { data: { name, aliases, lat, lng } };
+}
 
-    res.json({ success: true, message: "Admin approved and created successfully" });
+async function listPlaces(req, res) {
+  try {
+    const places = await prisma.place.findMany({ orderBy: { name: 'asc' } });
+    res.json({ success: true, places });
   } catch (e) {
-    console.error("POST approve error:", e);
+    console.error("GET /api/admin/places error:", e);
     res.status(500).json({ success: false, message: "Server error" });
   }
-});
+}
+apiAdmin.get('/places', requirePermission('buses:read'), listPlaces);
 
-app.post('/admin/requests/:email/reject', requireSuperAdmin, async (req, res) => {
+async function createPlace(req, res) {
   try {
-    const email = decodeURIComponent(req.params.email);
-    
-    // Read requests from file
-    let requests = [];
-    try {
-      const content = await fs.readFile(PENDING_ADMINS_FILE, "utf8");
-      requests = JSON.parse(content);
-    } catch (e) {
-      return res.status(404).json({ success: false, message: "No pending requests found" });
-    }
+    const { data, error } = parsePlaceInput(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const place = await prisma.place.create({ data });
+    gazetteer.refresh();
+    await recordAudit(req, { action: 'place.create', entityType: 'place', entityId: place.id, after: data });
+    res.json({ success: true, place });
+  } catch (e) {
+    if (e.code === 'P2002') return res.status(400).json({ success: false, message: "A place with this name already exists" });
+    console.error("POST /api/admin/places error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+apiAdmin.post('/places', requirePermission('places:manage'), validateInput(INPUT.createPlace), createPlace);
 
-    // Remove request
-    requests = requests.filter(r => r.email !== email);
-    await fs.writeFile(PENDING_ADMINS_FILE, JSON.stringify(requests, null, 2), "utf8");
+async function updatePlace(req, res) {
+  try {
+    const { data, error } = parsePlaceInput(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const previous = await prisma.place.findUnique({ where: { id: Number(req.params.id) } });
+    const place = await prisma.place.update({ where: { id: Number(req.params.id) }, data });
+    gazetteer.refresh();
+    await recordAudit(req, {
+      action: 'place.update', entityType: 'place', entityId: place.id,
+      before: { name: previous.name, aliases: previous.aliases, lat: previous.lat, lng: previous.lng }, after: data,
+    });
+    res.json({ success: true, place });
+  } catch (e) {
+    if (e.code === 'P2025') return res.status(404).json({ success: false, message: "Place not found" });
+    if (e.code === 'P2002') return res.status(400).json({ success: false, message: "A place with this name already exists" });
+    console.error("PUT /api/admin/places/:id error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+apiAdmin.put('/places/:id', requirePermission('places:manage'), validateInput(INPUT.updatePlace), updatePlace);
 
-    res.json({ success: true, message: "Request rejected" });
+async function deletePlace(req, res) {
+  try {
+    const place = await prisma.place.delete({ where: { id: Number(req.params.id) } });
+    gazetteer.refresh();
+    await recordAudit(req, { action: 'place.delete', entityType: 'place', entityId: place.id, before: { name: place.name, aliases: place.aliases, lat: place.lat, lng: place.lng } });
+    res.json({ success: true, message: "Place deleted" });
   } catch (e) {
-    console.error("POST reject error:", e);
+    if (e.code === 'P2025') return res.status(404).json({ success: false, message: "Place not found" });
+    console.error("DELETE /api/admin/places/:id error:", e);
     res.status(500).json({ success: false, message: "Server error" });
   }
-});
+}
+apiAdmin.delete('/places/:id', requirePermission('places:manage'), validateInput(INPUT.idParam), deletePlace);
+
+// ---- Stop catalog (canonical stops that routes call at) ----
+function serializeStopPlace(p) {
+  return {
+    id: p.id, name: p.name, aliases: p.aliases, lat: p.lat, lng: p.lng,
+    routeStopCount: p.routeStops?.length ?? 0,
+    buses: [...new Set((p.routeStops || []).map(rs => rs.bus.number))],
+  };
+}
 
-// --- Duplicate admin API under /api/admin so frontend and deployed routes both work ---
-// NOTE: Do NOT re-import express here (it's already imported at the top of this file).
-// Remove any line like: import express from "express";
+const STOP_PLACE_USAGE = { routeStops: { select: { bus: { select: { number: true } } } } };
 
-const apiAdmin = express.Router();
+// Stream subscribers and the stop index pick up a renamed, moved or merged stop on every route through it
+async function publishRoutesThrough(stopPlaceId) {
+  const buses = await prisma.bus.findMany({ where: { stops: { some: { stopPlaceId } } }, include: STOPS_WITH_PLACE });
+  for (const bus of buses.map(withFlatStops)) publishRoute(bus.number, bus);
+  refreshStopIndex();
+}
 
-// me endpoint
-apiAdmin.get('/me', async (req, res) => {
-  const auth = req.headers.authorization || "";
-  const token = auth.startsWith("Bearer ") ? auth.slice(7) : (req.query.token || null);
-  if (!token) return res.status(401).json({ success: false, message: "Missing token" });
-  const payload = verifyAdminToken(token);
-  if (!payload) return res.status(401).json({ success: false, message: "Invalid or expired token" });
-  
-  // Check if main admin
-  const ENV_EMAIL = process.env.MAIN_ADMIN_EMAIL;
-  if (ENV_EMAIL && payload.email === ENV_EMAIL) {
-    return res.json({ success: true, admin: { email: payload.email, isSuperAdmin: true } });
-  }
-  
-  // Check DB admin
+async function listStopPlaces(req, res) {
   try {
-    const admin = await prisma.admin?.findUnique({ where: { email: payload.email } });
-    if (admin) {
-      return res.json({ success: true, admin: { email: admin.email, isSuperAdmin: admin.isSuperAdmin || false } });
-    }
+    const q = req.query.q;
+    const where = q ? { OR: [{ name: { contains: q, mode: 'insensitive' } }, { aliases: { has: q } }] } : {};
+    const places = await prisma.stopPlace.findMany({ where, include: STOP_PLACE_USAGE, orderBy: { name: 'asc' } });
+    res.json({ success: true, stopPlaces: places.map(serializeStopPlace) });
   } catch (e) {
-    console.warn("Prisma admin lookup failed:", e.message || e);
+    console.error("GET /api/admin/stop-places error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
   }
-  
-  res.json({ success: true, admin: { email: payload.email, isSuperAdmin: payload.isSuperAdmin || false } });
-});
+}
+apiAdmin.get('/stop-places', requirePermission('buses:read'), validateInput(INPUT.listStopPlaces), listStopPlaces);
 
-apiAdmin.get('/logs', requireAdmin, async (req, res) => {
+async function createStopPlace(req, res) {
   try {
-    const logs = await prisma.availabilityLog.findMany({ orderBy: { createdAt: 'desc' } }).catch(()=>[]);
-    res.json({ success: true, logs });
+    const { name, aliases = [], lat, lng } = req.body;
+    const place = await prisma.stopPlace.create({ data: { name, aliases, lat, lng } });
+    gazetteer.refresh();
+    await recordAudit(req, { action: 'stopPlace.create', entityType: 'stopPlace', entityId: place.id, after: { name, aliases, lat, lng } });
+    res.json({ success: true, stopPlace: serializeStopPlace(place) });
   } catch (e) {
-    console.error("GET /api/admin/logs error:", e);
+    console.error("POST /api/admin/stop-places error:", e);
     res.status(500).json({ success: false, message: "Server error" });
   }
-});
+}
+apiAdmin.post('/stop-places', requirePermission('places:manage'), validateInput(INPUT.createStopPlace), createStopPlace);
 
-apiAdmin.get('/buses', requireAdmin, async (req, res) => {
+// Renaming or moving a catalog stop changes it on every route that calls there
+async function updateStopPlace(req, res) {
   try {
-    const buses = await prisma.bus.findMany({ include: { stops: true } });
-    res.json({ success: true, buses });
+    const { name, aliases = [], lat, lng } = req.body;
+    const previous = await prisma.stopPlace.findUnique({ where: { id: req.params.id } });
+    if (!previous) return res.status(404).json({ success: false, message: "Stop not found" });
+    const place = await prisma.stopPlace.update({ where: { id: previous.id }, data: { name, aliases, lat, lng }, include: STOP_PLACE_USAGE });
+    await publishRoutesThrough(place.id);
+    await recordAudit(req, {
+      action: 'stopPlace.update', entityType: 'stopPlace', entityId: place.id,
+      before: { name: previous.name, aliases: previous.aliases, lat: previous.lat, lng: previous.lng }, after: { name, aliases, lat, lng },
+    });
+    res.json({ success: true, stopPlace: serializeStopPlace(place) });
   } catch (e) {
-    console.error("GET /api/admin/buses error:", e);
+    console.error("PUT /api/admin/stop-places/:id error:", e);
     res.status(500).json({ success: false, message: "Server error" });
   }
-});
+}
+apiAdmin.put('/stop-places/:id', requirePermission('places:manage'), validateInput(INPUT.updateStopPlace), updateStopPlace);
 
-apiAdmin.post('/buses', requireAdmin, async (req, res) => {
+async function deleteStopPlace(req, res) {
   try {
-    const { number, name, location, capacity } = req.body || {};
-    if (!number) return res.status(400).json({ success: false, message: "Bus number required" });
-    const bus = await prisma.bus.create({
-      data: { number: String(number), name: name || null, location: location || null, capacity: Number(capacity) || 0 }
-    });
-    res.json({ success: true, bus });
+    const place = await prisma.stopPlace.findUnique({ where: { id: req.params.id }, include: STOP_PLACE_USAGE });
+    if (!place) return res.status(404).json({ success: false, message: "Stop not found" });
+    if (place.routeStops.length) {
+      return res.status(400).json({ success: false, message: `This stop is on ${place.routeStops.length} route stop(s); take it off those routes or merge it into another stop first` });
+    }
+    await prisma.stopPlace.delete({ where: { id: place.id } });
+    gazetteer.refresh();
+    await recordAudit(req, { action: 'stopPlace.delete', entityType: 'stopPlace', entityId: place.id, before: { name: place.name, aliases: place.aliases, lat: place.lat, lng: place.lng } });
+    res.json({ success: true, message: "Stop deleted" });
   } catch (e) {
-    console.error("POST /api/admin/buses error:", e);
+    console.error("DELETE /api/admin/stop-places/:id error:", e);
     res.status(500).json({ success: false, message: "Server error" });
   }
-});
+}
+apiAdmin.delete('/stop-places/:id', requirePermission('places:manage'), validateInput(INPUT.idParam), deleteStopPlace);
 
-apiAdmin.delete('/buses/:number', requireAdmin, async (req, res) => {
+// Groups of catalog stops that look like the same place (similar names close together, or anything at
+// the same spot), for the merge tool
+async function listDuplicateStopPlaces(req, res) {
   try {
-    const { number } = req.params;
-    await prisma.bus.delete({ where: { number: String(number) } });
-    res.json({ success: true });
+    const places = await prisma.stopPlace.findMany({ include: STOP_PLACE_USAGE });
+    const groups = findDuplicateStopPlaces(places, { radiusMeters: req.query.radius ?? 200 });
+    res.json({ success: true, groups: groups.map(group => ({ stopPlaces: group.map(serializeStopPlace) })) });
   } catch (e) {
-    console.error("DELETE /api/admin/buses/:number error:", e);
+    console.error("GET /api/admin/stop-places/duplicates error:", e);
     res.status(500).json({ success: false, message: "Server error" });
   }
-});
+}
+apiAdmin.get('/stop-places/duplicates', requirePermission('places:manage'), validateInput(INPUT.findDuplicateStopPlaces), listDuplicateStopPlaces);
 
-apiAdmin.put('/buses/:number', requireAdmin, async (req, res) => {
+// Fold mergeIds into keepId: their route stops move to it, their names become its aliases, and they are
+// deleted. name/lat/lng optionally correct the kept stop at the same time.
+async function mergeStopPlaces(req, res) {
   try {
-    const { number } = req.params;
-    const payload = req.body || {};
-    const updatedBus = await prisma.bus.update({
-      where: { number: String(number) },
-      data: {
-        name: payload.name, // This should be payload.name, not payload.name
-        location: payload.location,
-        capacity: payload.capacity,
-        currentOccupancy: payload.currentOccupancy,
-        driverName: payload.driverName,
-        driverPhone: payload.driverPhone,
-        liveLocationUrl: payload.liveLocationUrl,
-      },
+    const { keepId, name, lat, lng } = req.body;
+    const mergeIds = [...new Set(req.body.mergeIds)].filter(id => id !== keepId);
+    if (!mergeIds.length) return res.status(400).json({ success: false, message: "Pick at least one other stop to merge" });
+    const places = await prisma.stopPlace.findMany({ where: { id: { in: [keepId, ...mergeIds] } } });
+    const keep = places.find(p => p.id === keepId);
+    if (!keep || places.length !== mergeIds.length + 1) return res.status(404).json({ success: false, message: "Stop not found" });
+    const merged = places.filter(p => p.id !== keepId);
+
+    const finalName = name || keep.name;
+    const aliases = new Map();
+    for (const alias of [keep.name, ...keep.aliases, ...merged.flatMap(p => [p.name, ...p.aliases])]) {
+      const key = normalizeStopName(alias);
+      if (key && key !== normalizeStopName(finalName) && !aliases.has(key)) aliases.set(key, alias);
+    }
+    const data = { name: finalName, aliases: [...aliases.values()], lat: lat ?? keep.lat, lng: lng ?? keep.lng };
+    const [moved, place] = await prisma.$transaction([
+      prisma.routeStop.updateMany({ where: { stopPlaceId: { in: mergeIds } }, data: { stopPlaceId: keepId } }),
+      prisma.stopPlace.update({ where: { id: keepId }, data, include: STOP_PLACE_USAGE }),
+      prisma.stopPlace.deleteMany({ where: { id: { in: mergeIds } } }),
+    ]);
+    await publishRoutesThrough(keepId);
+    const snapshot = p => ({ id: p.id, name: p.name, aliases: p.aliases, lat: p.lat, lng: p.lng });
+    await recordAudit(req, {
+      action: 'stopPlace.merge', entityType: 'stopPlace', entityId: keepId,
+      before: { kept: snapshot(keep), merged: merged.map(snapshot) }, after: { kept: snapshot(place), movedRouteStops: moved.count },
     });
+    res.json({ success: true, stopPlace: serializeStopPlace(place), movedRouteStops: moved.count, message: `Merged ${merged.length} stop(s) into ${place.name}` });
+  } catch (e) {
+    console.error("POST /api/admin/stop-places/merge error:", e);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+apiAdmin.post('/stop-places/merge', requirePermission('places:manage'), validateInput(INPUT.mergeStopPlaces), mergeStopPlaces);
 
-    if (Array.isArray(payload.morningStops) || Array.isArray(payload.eveningStops)) {
-      await prisma.stop.deleteMany({ where: { busId: updatedBus.id } });
-      const createData = [];
-      if (Array.isArray(payload.morningStops)) {
-        payload.morningStops.forEach((s, i) => createData.push({ busId: updatedBus.id, name: s.name, lat: s.lat, lng: s.lng, period: "MORNING", order: i + 1 }));
-      }
-      if (Array.isArray(payload.eveningStops)) {
-        payload.eveningStops.forEach((s, i) => createData.push({ busId: updatedBus.id, name: s.name, lat: s.lat, lng: s.lng, period: "EVENING", order: i + 1 }));
-      }
-      if (createData.length) {
-        try { await prisma.stop.createMany({ data: createData }); } catch { for (const d of createData) await prisma.stop.create({ data: d }); }
+// One-off move of the per-bus Stop rows into the catalog. Rows with the same name within
+// STOP_MATCH_RADIUS_M share one catalog stop; near misses are left for the merge tool.
+async function importLegacyStops() {
+  try {
+    const legacy = await prisma.stop.findMany({ orderBy: { id: 'asc' } });
+    if (!legacy.length) return;
+    await prisma.$transaction(async (tx) => {
+      const places = await tx.stopPlace.findMany();
+      for (const s of legacy) {
+        let place = findStopPlace(places, s, STOP_MATCH_RADIUS_M);
+        if (!place) {
+          place = await tx.stopPlace.create({ data: { name: s.name, lat: s.lat, lng: s.lng } });
+          places.push(place);
+        }
+        await tx.routeStop.create({
+          data: { busId: s.busId, stopPlaceId: place.id, period: s.period, order: s.order, arrivalTime: s.arrivalTime, departureTime: s.departureTime },
+        });
       }
-    }
+      await tx.stop.deleteMany({ where: { id: { in: legacy.map(s => s.id) } } });
+    }, { timeout: 120000 });
+    refreshStopIndex();
+    console.log(`✅ Moved ${legacy.length} stop(s) into the shared stop catalog`);
+  } catch (e) {
+    console.warn("Could not import legacy stops:", e.message || e);
+  }
+}
+importLegacyStops();
 
-    const busWithStops = await prisma.bus.findUnique({ where: { id: updatedBus.id }, include: { stops: true } });
-    res.json({ success: true, bus: busWithStops });
+// One-off move of the occupancy counts buses had before seat assignments. A bus with no seats yet gets
+// that many placeholder seats on each trip (roll numbers LEGACY-<bus>-<n>, released like any other seat),
+// and its count is zeroed in the same transaction so the move happens once.
+async function importLegacyOccupancy() {
+  try {
+    const buses = await prisma.bus.findMany({ where: { legacyOccupancy: { gt: 0 } } });
+    if (!buses.length) return;
+    const moved = await prisma.$transaction(async (tx) => {
+      const moved = [];
+      for (const bus of buses) {
+        if (!(await tx.seatAssignment.count({ where: { busId: bus.id } }))) {
+          const data = PERIODS.flatMap(period => Array.from({ length: bus.legacyOccupancy }, (_, i) => ({
+            busId: bus.id, period, rollNumber: `LEGACY-${bus.number}-${i + 1}`, studentName: "Seat taken before seat tracking", assignedBy: "migration",
+          })));
+          await tx.seatAssignment.createMany({ data, skipDuplicates: true });
+          moved.push(bus);
+        }
+        await tx.bus.update({ where: { id: bus.id }, data: { legacyOccupancy: 0 } });
+      }
+      return moved;
+    }, { timeout: 120000 });
+    for (const bus of moved) await publishOccupancy(bus);
+    console.log(`✅ Moved the occupancy of ${moved.length} bus(es) into seat assignments`);
   } catch (e) {
-    console.error("PUT /api/admin/buses/:number error:", e);
-    res.status(500).json({ success: false, message: "Server error" });
+    console.warn("Could not import legacy occupancy:", e.message || e);
   }
-});
+}
+importLegacyOccupancy();
 
-// settings save endpoint (if frontend calls it)
-apiAdmin.put('/settings', requireAdmin, async (req, res) => {
-  // keep minimal: accept settings & respond success
+// Try a query against the configured providers without running an availability search
+apiAdmin.get('/geocode', requirePermission('places:manage'), async (req, res) => {
   try {
-    // optionally persist to DB if you have a settings model
-    res.json({ success: true, settings: req.body || {} });
+    const q = String(req.query.q || '').trim();
+    if (!q) return res.status(400).json({ success: false, message: "Missing q" });
+    const result = await geocoder.geocode(q);
+    res.json({ success: true, result });
   } catch (e) {
-    console.error("PUT /api/admin/settings error:", e);
+    console.error("GET /api/admin/geocode error:", e);
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-// Admin request endpoints under /api/admin
-apiAdmin.get('/requests', requireSuperAdmin, async (req, res) => {
+// ---- Audit trail ----
+// Query: entityType, entityId, actor, limit (<= 200), beforeId for the next page
+async function listAuditEvents(req, res) {
   try {
-    let requests = [];
-    try {
-      const content = await fs.readFile(PENDING_ADMINS_FILE, "utf8");
-      requests = JSON.parse(content);
-    } catch (e) {
-      requests = [];
-    }
-    res.json({ success: true, requests });
+    const { entityType, entityId, actor } = req.query;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const where = {};
+    if (entityType) where.entityType = String(entityType);
+    if (entityId) where.entityId = String(entityId);
+    if (actor) where.actor = String(actor);
+    if (req.query.beforeId) where.id = { lt: Number(req.query.beforeId) };
+    const events = await prisma.auditEvent.findMany({ where, orderBy: { id: 'desc' }, take: limit });
+    res.json({ success: true, events, nextBeforeId: events.length === limit ? events[events.length - 1].id : null });
   } catch (e) {
-    console.error("GET /api/admin/requests error:", e);
+    console.error("GET /api/admin/audit error:", e);
     res.status(500).json({ success: false, message: "Server error" });
   }
-});
+}
+apiAdmin.get('/audit', requirePermission('audit:read'), listAuditEvents);
 
-apiAdmin.post('/requests/:email/approve', requireSuperAdmin, async (req, res) => {
+// Put a bus back the way it was before (or, with { to: 'after' }, right after) an audited change.
+// A deleted bus is re-created, which needs the same access as adding a bus.
+apiAdmin.post('/audit/:id/restore', validateInput(INPUT.idParam), requirePermission('routes:edit'), async (req, res) => {
   try {
-    const email = decodeURIComponent(req.params.email);
-    
-    let requests = [];
-    try {
-      const content = await fs.readFile(PENDING_ADMINS_FILE, "utf8");
-      requests = JSON.parse(content);
-    } catch (e) {
-      return res.status(404).json({ success: false, message: "No pending requests found" });
-    }
-
-    const request = requests.find(r => r.email === email);
-    if (!request) {
-      return res.status(404).json({ success: false, message: "Request not found" });
+    const event = await prisma.auditEvent.findUnique({ where: { id: Number(req.params.id) } });
+    if (!event) return res.status(404).json({ success: false, message: "Audit event not found" });
+    if (event.entityType !== 'bus' || !event.action.startsWith('bus.')) {
+      return res.status(400).json({ success: false, message: "Only bus route changes can be restored" });
     }
-
-    try {
-      const existingAdmin = await prisma.admin?.findUnique({ where: { email } });
-      if (existingAdmin) {
-        requests = requests.filter(r => r.email !== email);
-        await fs.writeFile(PENDING_ADMINS_FILE, JSON.stringify(requests, null, 2), "utf8");
-        return res.status(400).json({ success: false, message: "Admin with this email already exists" });
+    const snapshot = req.body?.to === 'after' ? event.after : event.before;
+    if (!snapshot?.number) return res.status(400).json({ success: false, message: "The bus did not exist at that point; delete it instead" });
+
+    const current = withFlatStops(await prisma.bus.findUnique({ where: { number: snapshot.number }, include: STOPS_WITH_PLACE }));
+    let bus;
+    if (current) {
+      if (!canActOnBus(req.admin, 'routes:edit', current.id)) {
+        return res.status(403).json({ success: false, message: "You can only manage your assigned buses" });
       }
-    } catch (e) {
-      console.warn("Error checking existing admin:", e);
-    }
-
-    const passwordHash = await bcrypt.hash(request.password, 10);
-
-    try {
-      await prisma.admin.create({
-        data: {
-          email: request.email,
-          password: passwordHash,
-          isSuperAdmin: false
-        }
-      });
-    } catch (e) {
-      console.error("Error creating admin:", e);
-      return res.status(500).json({ success: false, message: "Failed to create admin account" });
+      if (changesFleetFields(current, snapshot) && !canActOnBus(req.admin, 'buses:manage', current.id)) {
+        return res.status(403).json({ success: false, message: "Only fleet managers can change capacity or driver details" });
+      }
+      bus = await saveBusRoute(current.id, snapshot);
+    } else {
+      if (!hasPermission(req.admin.role, 'buses:manage') || !req.admin.allBuses) {
+        return res.status(403).json({ success: false, message: "Only fleet managers with access to all buses can re-create a deleted bus" });
+      }
+      // The bus and its stops come back together or not at all
+      bus = withFlatStops(await prisma.$transaction(async (tx) => {
+        const created = await tx.bus.create({
+          data: {
+            number: snapshot.number, name: snapshot.name || snapshot.number, location: snapshot.location || "",
+            capacity: Number(snapshot.capacity) || 0,
+            driverName: snapshot.driverName || "", driverPhone: snapshot.driverPhone || "", liveLocationUrl: snapshot.liveLocationUrl || "",
+          },
+        });
+        return writeBusRoute(tx, created.id, snapshot);
+      }));
     }
 
-    requests = requests.filter(r => r.email !== email);
-    await fs.writeFile(PENDING_ADMINS_FILE, JSON.stringify(requests, null, 2), "utf8");
-
-    res.json({ success: true, message: "Admin approved and created successfully" });
+    publishRoute(bus.number, bus);
+    refreshStopIndex();
+    await recordAudit(req, {
+      action: 'bus.restore', entityType: 'bus', entityId: bus.number,
+      before: current ? busSnapshot(current) : null, after: { ...busSnapshot(bus), restoredFrom: event.id },
+    });
+    res.json({ success: true, bus, message: `Bus ${bus.number} restored` });
   } catch (e) {
-    console.error("POST /api/admin/requests/:email/approve error:", e);
+    if (e.status) return res.status(e.status).json({ success: false, message: e.message });
+    console.error("POST /api/admin/audit/:id/restore error:", e);
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-apiAdmin.post('/requests/:email/reject', requireSuperAdmin, async (req, res) => {
-  try {
-    const email = decodeURIComponent(req.params.email);
-    
-    let requests = [];
-    try {
-      const content = await fs.readFile(PENDING_ADMINS_FILE, "utf8");
-      requests = JSON.parse(content);
-    } catch (e) {
-      return res.status(404).json({ success: false, message: "No pending requests found" });
-    }
+// ---------------- API v1 ----------------
+// The API for integrations. Every route validates its params, query and body against INPUT, errors
+// always look like { success: false, message, errors? }, and GET /api/v1/openapi.json is generated from
+// the same declarations. /api/admin (and the older /admin) stay as the dashboard's API.
+const apiV1 = express.Router();
+const v1Routes = [];
+
+const ADMIN_ONLY = [{ adminToken: [] }];
+const adminOrKey = scope => [{ adminToken: [] }, { apiKey: [scope] }];
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const ok = properties => ({ type: "object", required: ["success"], properties: { success: { type: "boolean", const: true }, ...properties } });
+
+// route: { method, path, tag, summary, security, auth (middleware), input, response, errors }.
+// The handler's name becomes the operationId, which client generators use as the method name.
+function v1Route(route, handler) {
+  v1Routes.push({ ...route, operationId: handler.name });
+  // Path params are checked before auth, whose bus lookups (busOf*) read them; query and body after it
+  const { params, ...rest } = route.input || {};
+  apiV1[route.method](route.path, ...(params ? validateInput({ params }) : []), ...[route.auth || []].flat(), ...validateInput(rest), handler);
+}
 
-    requests = requests.filter(r => r.email !== email);
-    await fs.writeFile(PENDING_ADMINS_FILE, JSON.stringify(requests, null, 2), "utf8");
+v1Route({
+  method: 'get', path: '/routes', tag: 'Routes', summary: 'All buses with their morning and evening routes',
+  input: INPUT.listRoutes, response: ok({ routes: { type: "array", items: ref("Route") } }),
+}, listRoutes);
+v1Route({
+  method: 'get', path: '/routes/:busNumber', tag: 'Routes', summary: "One bus's routes",
+  input: INPUT.getRoute, response: ok({ bus: ref("Route") }),
+}, getRoute);
+v1Route({
+  method: 'get', path: '/routes/:busNumber/timetable', tag: 'Routes', summary: 'Scheduled arrival and departure at each stop',
+  input: INPUT.getRoute, response: ok({ timetable: ref("Timetable") }),
+}, getRouteTimetable);
+v1Route({
+  method: 'get', path: '/buses/:number/position', tag: 'Live tracking', summary: 'Latest reported position of a bus',
+  input: INPUT.numberParam, response: ok({ busNumber: { type: "string" }, position: ref("Position") }),
+}, getBusPosition);
+v1Route({
+  method: 'post', path: '/check-availability', tag: 'Students', summary: 'Buses with a stop near a location, with seats and arrival estimates',
+  auth: publicLimiter, input: INPUT.checkAvailability, errors: { 429: "Too many requests from this address" },
+}, checkAvailability);
+v1Route({
+  method: 'get', path: '/plan', tag: 'Students', summary: 'Direct and one-transfer trips between two places',
+  auth: publicLimiter, input: INPUT.planTrip, errors: { 429: "Too many requests from this address" },
+}, planTrip);
+v1Route({
+  method: 'post', path: '/applications', tag: 'Students', summary: 'Apply for a bus pass',
+  auth: publicLimiter, input: INPUT.submitApplication,
+  errors: { 404: "Bus not found", 409: "The bus is full", 429: "Too many requests from this address" },
+}, submitApplication);
+v1Route({
+  method: 'get', path: '/applications/status', tag: 'Students', summary: 'Bus pass applications for a roll number and email',
+  auth: publicLimiter, input: INPUT.applicationStatus, errors: { 404: "No application found", 429: "Too many requests from this address" },
+}, getApplicationStatus);
+v1Route({
+  method: 'get', path: '/settings', tag: 'Site', summary: 'Public site settings (title, organisation, contact)',
+  response: ok({ settings: { type: "object" } }),
+}, getSettings);
+v1Route({
+  method: 'post', path: '/driver/position', tag: 'Live tracking', summary: 'Report one GPS fix, or a batch in fixes',
+  security: [{ driverToken: [] }, { apiKey: ["positions:write"] }],
+  auth: [orApiKey('positions:write', requireDriver), busOfPositionKey], input: INPUT.reportPosition,
+  response: ok({ accepted: { type: "integer" } }),
+}, reportBusPosition);
+
+v1Route({
+  method: 'get', path: '/admin/logs', tag: 'Admin', summary: 'Availability check log, newest first',
+  security: adminOrKey("logs:read"), auth: orApiKey('logs:read', requirePermission('logs:read')),
+}, listLogs);
+v1Route({
+  method: 'get', path: '/admin/buses', tag: 'Admin', summary: 'Buses with their stops and occupancy',
+  security: adminOrKey("routes:read"), auth: orApiKey('routes:read', requirePermission('buses:read')),
+  response: ok({ buses: { type: "array", items: ref("Bus") } }),
+}, listBuses);
+v1Route({
+  method: 'get', path: '/admin/buses/:number', tag: 'Admin', summary: 'One bus with its stops and occupancy (ETag header: its revision)',
+  security: adminOrKey("routes:read"), auth: orApiKey('routes:read', requirePermission('buses:read')), input: INPUT.numberParam,
+  response: ok({ bus: ref("Bus") }),
+}, getBus);
+v1Route({
+  method: 'post', path: '/admin/buses', tag: 'Admin', summary: 'Add a bus',
+  security: ADMIN_ONLY, auth: requirePermission('buses:manage'), input: INPUT.createBus,
+  response: ok({ bus: ref("Bus") }),
+}, createBus);
+v1Route({
+  method: 'put', path: '/admin/buses/:number', tag: 'Admin', summary: "Update a bus's details and replace its stops",
+  description: 'Send the ETag from GET /admin/buses/:number (or the bus\'s revision, quoted) as If-Match to refuse the update when someone else has changed the bus since; the 409 response carries the bus as it is now.',
+  security: ADMIN_ONLY, auth: requirePermission('routes:edit', busOfNumberParam), input: INPUT.updateBus,
+  response: ok({ bus: ref("Bus") }), errors: { 409: "The bus changed since the If-Match revision" },
+}, updateBus);
+v1Route({
+  method: 'delete', path: '/admin/buses/:number', tag: 'Admin', summary: 'Delete a bus and its stops',
+  security: ADMIN_ONLY, auth: requirePermission('buses:manage', busOfNumberParam), input: INPUT.numberParam,
+}, deleteBus);
+v1Route({
+  method: 'post', path: '/admin/buses/:number/driver-token', tag: 'Admin', summary: "Issue a driver token (revokes the bus's previous one)",
+  security: ADMIN_ONLY, auth: requirePermission('drivers:manage', busOfNumberParam), input: INPUT.numberParam,
+  response: ok({ token: { type: "string" } }),
+}, issueDriverToken);
+v1Route({
+  method: 'get', path: '/admin/buses/:number/route-versions', tag: 'Admin', summary: "A bus's route versions, newest first",
+  security: ADMIN_ONLY, auth: requirePermission('buses:read'), input: INPUT.numberParam, response: ok({ versions: { type: "array", items: ref("RouteVersion") } }),
+}, listRouteVersions);
+v1Route({
+  method: 'post', path: '/admin/buses/:number/route-versions', tag: 'Admin', summary: 'Start a draft route (trips left out copy the live route)',
+  security: ADMIN_ONLY, auth: requirePermission('routes:edit', busOfNumberParam), input: INPUT.createRouteVersion, response: ok({ version: ref("RouteVersion") }),
+}, createRouteVersion);
+v1Route({
+  method: 'put', path: '/admin/buses/:number/route-versions/:id', tag: 'Admin', summary: 'Edit a draft route',
+  security: ADMIN_ONLY, auth: requirePermission('routes:edit', busOfNumberParam), input: INPUT.updateRouteVersion, response: ok({ version: ref("RouteVersion") }),
+}, updateRouteVersion);
+v1Route({
+  method: 'post', path: '/admin/buses/:number/route-versions/:id/publish', tag: 'Admin', summary: 'Schedule a draft to go live at its effectiveFrom',
+  security: ADMIN_ONLY, auth: requirePermission('routes:edit', busOfNumberParam), input: INPUT.publishRouteVersion,
+  response: ok({ version: ref("RouteVersion"), message: { type: "string" } }),
+}, publishRouteVersion);
+v1Route({
+  method: 'post', path: '/admin/buses/:number/route-versions/:id/unpublish', tag: 'Admin', summary: 'Take a scheduled version back to draft',
+  security: ADMIN_ONLY, auth: requirePermission('routes:edit', busOfNumberParam), input: INPUT.routeVersionParams, response: ok({ version: ref("RouteVersion") }),
+}, unpublishRouteVersion);
+v1Route({
+  method: 'delete', path: '/admin/buses/:number/route-versions/:id', tag: 'Admin', summary: 'Delete a version that has not gone live',
+  security: ADMIN_ONLY, auth: requirePermission('routes:edit', busOfNumberParam), input: INPUT.routeVersionParams,
+}, deleteRouteVersion);
+v1Route({
+  method: 'get', path: '/admin/export', tag: 'Admin', summary: 'The whole fleet with drivers, capacities and stops; CSV with format=csv',
+  security: adminOrKey("routes:read"), auth: orApiKey('routes:read', requirePermission('buses:read')), input: INPUT.exportFleet,
+  response: ok({ exportedAt: { type: "string", format: "date-time" }, buses: { type: "array", items: ref("FleetBus") } }),
+}, exportFleet);
+v1Route({
+  method: 'post', path: '/admin/import', tag: 'Admin', summary: 'Add (or with mode upsert, also update) buses from a CSV or JSON export',
+  description: 'Nothing is written unless every bus in the file passes; with dryRun the report and errors come back without writing. A trip with no stops in the file is left as it is.',
+  security: ADMIN_ONLY, auth: requirePermission('buses:manage'), input: INPUT.importFleet, response: ref("FleetImport"),
+}, importFleet);
+v1Route({
+  method: 'get', path: '/admin/buses/:number/seats', tag: 'Admin', summary: "A bus's seat assignments",
+  security: ADMIN_ONLY, auth: requirePermission('applications:read'), input: INPUT.numberParam,
+}, listSeats);
+v1Route({
+  method: 'post', path: '/admin/buses/:number/seats', tag: 'Admin', summary: 'Give a student a seat',
+  security: ADMIN_ONLY, auth: requirePermission('seats:manage', busOfNumberParam), input: INPUT.assignSeat,
+  errors: { 409: "The bus is full for that trip" },
+}, assignSeat);
+v1Route({
+  method: 'delete', path: '/admin/seats/:id', tag: 'Admin', summary: 'Release a seat',
+  security: ADMIN_ONLY, auth: requirePermission('seats:manage', busOfSeatParam), input: INPUT.idParam,
+}, releaseSeat);
+v1Route({
+  method: 'get', path: '/admin/applications', tag: 'Admin', summary: 'Bus pass applications',
+  security: ADMIN_ONLY, auth: requirePermission('applications:read'), input: INPUT.listApplications,
+}, listApplications);
+v1Route({
+  method: 'post', path: '/admin/applications/:id/approve', tag: 'Admin', summary: 'Approve an application (seats the student on both trips)',
+  security: ADMIN_ONLY, auth: requirePermission('applications:manage', busOfApplicationParam), input: INPUT.idParam,
+  errors: { 409: "The bus is full" },
+}, approveApplication);
+v1Route({
+  method: 'post', path: '/admin/applications/:id/reject', tag: 'Admin', summary: 'Reject an application',
+  security: ADMIN_ONLY, auth: requirePermission('applications:manage', busOfApplicationParam), input: INPUT.idParam,
+}, rejectApplication);
+v1Route({
+  method: 'get', path: '/admin/places', tag: 'Admin', summary: 'Places known to location search',
+  security: ADMIN_ONLY, auth: requirePermission('buses:read'), response: ok({ places: { type: "array", items: ref("Place") } }),
+}, listPlaces);
+v1Route({
+  method: 'post', path: '/admin/places', tag: 'Admin', summary: 'Add a place',
+  security: ADMIN_ONLY, auth: requirePermission('places:manage'), input: INPUT.createPlace, response: ok({ place: ref("Place") }),
+}, createPlace);
+v1Route({
+  method: 'put', path: '/admin/places/:id', tag: 'Admin', summary: 'Update a place',
+  security: ADMIN_ONLY, auth: requirePermission('places:manage'), input: INPUT.updatePlace, response: ok({ place: ref("Place") }),
+}, updatePlace);
+v1Route({
+  method: 'delete', path: '/admin/places/:id', tag: 'Admin', summary: 'Delete a place',
+  security: ADMIN_ONLY, auth: requirePermission('places:manage'), input: INPUT.idParam,
+}, deletePlace);
+v1Route({
+  method: 'get', path: '/admin/stop-places', tag: 'Admin', summary: 'The stop catalog, with the buses calling at each stop',
+  security: ADMIN_ONLY, auth: requirePermission('buses:read'), input: INPUT.listStopPlaces, response: ok({ stopPlaces: { type: "array", items: ref("StopPlace") } }),
+}, listStopPlaces);
+v1Route({
+  method: 'post', path: '/admin/stop-places', tag: 'Admin', summary: 'Add a stop to the catalog',
+  security: ADMIN_ONLY, auth: requirePermission('places:manage'), input: INPUT.createStopPlace, response: ok({ stopPlace: ref("StopPlace") }),
+}, createStopPlace);
+v1Route({
+  method: 'put', path: '/admin/stop-places/:id', tag: 'Admin', summary: 'Rename or move a catalog stop (on every route through it)',
+  security: ADMIN_ONLY, auth: requirePermission('places:manage'), input: INPUT.updateStopPlace, response: ok({ stopPlace: ref("StopPlace") }),
+}, updateStopPlace);
+v1Route({
+  method: 'delete', path: '/admin/stop-places/:id', tag: 'Admin', summary: 'Delete a catalog stop no route uses',
+  security: ADMIN_ONLY, auth: requirePermission('places:manage'), input: INPUT.idParam,
+}, deleteStopPlace);
+v1Route({
+  method: 'get', path: '/admin/stop-places/duplicates', tag: 'Admin', summary: 'Groups of catalog stops that look like the same place',
+  security: ADMIN_ONLY, auth: requirePermission('places:manage'), input: INPUT.findDuplicateStopPlaces,
+  response: ok({ groups: { type: "array", items: { type: "object", properties: { stopPlaces: { type: "array", items: ref("StopPlace") } } } } }),
+}, listDuplicateStopPlaces);
+v1Route({
+  method: 'post', path: '/admin/stop-places/merge', tag: 'Admin', summary: 'Merge catalog stops into one',
+  security: ADMIN_ONLY, auth: requirePermission('places:manage'), input: INPUT.mergeStopPlaces,
+  response: ok({ stopPlace: ref("StopPlace"), movedRouteStops: { type: "integer" }, message: { type: "string" } }),
+}, mergeStopPlaces);
+v1Route({
+  method: 'put', path: '/admin/settings', tag: 'Admin', summary: 'Replace the site settings',
+  security: ADMIN_ONLY, auth: requirePermission('settings:manage'), input: INPUT.updateSettings,
+}, updateSettings);
+v1Route({
+  method: 'get', path: '/admin/audit', tag: 'Admin', summary: 'Audit trail of admin changes, newest first',
+  security: ADMIN_ONLY, auth: requirePermission('audit:read'), input: INPUT.listAuditEvents,
+}, listAuditEvents);
+
+const V1_SCHEMAS = {
+  Stop: {
+    type: "object",
+    properties: {
+      stopPlaceId: { type: "integer", description: "The catalog stop" },
+      name: { type: "string" },
+      coords: { type: "object", properties: { lat: { type: "number" }, lng: { type: "number" } } },
+      arrivalTime: { type: ["string", "null"], example: "07:45" },
+      departureTime: { type: ["string", "null"], example: "07:46" },
+    },
+  },
+  Route: {
+    type: "object",
+    properties: {
+      id: { type: "integer" }, number: { type: "string" }, name: { type: "string" }, location: { type: "string" },
+      capacity: { type: "integer" }, currentOccupancy: { type: "integer" },
+      occupancy: { type: "object", properties: { morning: { type: "integer" }, evening: { type: "integer" } } },
+      driverName: { type: "string" }, driverPhone: { type: "string" }, liveLocationUrl: { type: "string" },
+      routeVersion: ref("RouteVersionSummary"),
+      morningRoute: ref("Trip"), eveningRoute: ref("Trip"),
+    },
+  },
+  Trip: {
+    type: "object",
+    properties: { from: { type: "string" }, to: { type: "string" }, stops: { type: "array", items: ref("Stop") } },
+  },
+  Timetable: {
+    type: "object",
+    properties: {
+      busNumber: { type: "string" }, name: { type: "string" }, routeVersion: ref("RouteVersionSummary"),
+      morning: { type: "array", items: ref("TimetableRow") }, evening: { type: "array", items: ref("TimetableRow") },
+    },
+  },
+  TimetableRow: {
+    type: "object",
+    properties: { order: { type: "integer" }, name: { type: "string" }, arrivalTime: { type: ["string", "null"] }, departureTime: { type: ["string", "null"] } },
+  },
+  Position: {
+    type: "object",
+    properties: {
+      lat: { type: "number" }, lng: { type: "number" }, speed: { type: ["number", "null"] }, heading: { type: ["number", "null"] },
+      recordedAt: { type: "string", format: "date-time" }, ageSeconds: { type: "integer" }, stale: { type: "boolean" },
+    },
+  },
+  Bus: {
+    type: "object",
+    properties: {
+      id: { type: "integer" }, number: { type: "string" }, name: { type: "string" }, location: { type: "string" },
+      capacity: { type: "integer" }, currentOccupancy: { type: "integer" },
+      driverName: { type: "string" }, driverPhone: { type: "string" }, liveLocationUrl: { type: "string" },
+      revision: { type: "integer", description: "Bumped by every update; the ETag is this number in quotes" },
+      stops: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "integer" }, stopPlaceId: { type: "integer" }, name: { type: "string" }, lat: { type: "number" }, lng: { type: "number" },
+            period: { type: "string", enum: PERIODS }, order: { type: "integer" },
+            arrivalTime: { type: ["string", "null"] }, departureTime: { type: ["string", "null"] },
+          },
+        },
+      },
+    },
+  },
+  Place: {
+    type: "object",
+    properties: { id: { type: "integer" }, name: { type: "string" }, aliases: { type: "array", items: { type: "string" } }, lat: { type: "number" }, lng: { type: "number" } },
+  },
+  RouteVersionSummary: {
+    type: ["object", "null"],
+    description: "The scheduled version shown for asOf; null for the live route",
+    properties: { id: { type: "integer" }, name: { type: "string" }, effectiveFrom: { type: "string", format: "date-time" } },
+  },
+  RouteVersion: {
+    type: "object",
+    properties: {
+      id: { type: "integer" }, busId: { type: "integer" }, name: { type: "string" },
+      status: { type: "string", enum: ["DRAFT", "PUBLISHED"] }, effectiveFrom: { type: ["string", "null"], format: "date-time" },
+      morningStops: { type: "array", items: ref("VersionStop") }, eveningStops: { type: "array", items: ref("VersionStop") },
+      createdBy: { type: "string" }, publishedBy: { type: ["string", "null"] },
+      publishedAt: { type: ["string", "null"], format: "date-time" }, appliedAt: { type: ["string", "null"], format: "date-time", description: "When it went live" },
+    },
+  },
+  FleetBus: {
+    type: "object",
+    properties: {
+      number: { type: "string" }, name: { type: "string" }, location: { type: "string" }, capacity: { type: "integer" },
+      driverName: { type: "string" }, driverPhone: { type: "string" }, liveLocationUrl: { type: "string" },
+      morningStops: { type: "array", items: ref("VersionStop") }, eveningStops: { type: "array", items: ref("VersionStop") },
+    },
+  },
+  FleetImport: {
+    type: "object",
+    properties: {
+      success: { type: "boolean" }, dryRun: { type: "boolean" }, mode: { type: "string", enum: ["create", "upsert"] },
+      summary: { type: "object", properties: { create: { type: "integer" }, update: { type: "integer" }, unchanged: { type: "integer" } } },
+      buses: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            number: { type: "string" }, action: { type: "string", enum: ["create", "update", "unchanged"] },
+            changes: { type: "array", items: { type: "string" }, description: "Fields the import changes" },
+          },
+        },
+      },
+      errors: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            row: { type: "integer", description: "CSV line, or the bus's 1-based position in buses" },
+            busNumber: { type: ["string", "null"] }, field: { type: ["string", "null"] }, message: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+  VersionStop: {
+    type: "object",
+    properties: {
+      stopPlaceId: { type: ["integer", "null"] }, name: { type: "string" }, lat: { type: "number" }, lng: { type: "number" },
+      arrivalTime: { type: ["string", "null"] }, departureTime: { type: ["string", "null"] },
+    },
+  },
+  StopPlace: {
+    type: "object",
+    properties: {
+      id: { type: "integer" }, name: { type: "string" }, aliases: { type: "array", items: { type: "string" } }, lat: { type: "number" }, lng: { type: "number" },
+      routeStopCount: { type: "integer", description: "Trips calling at the stop" }, buses: { type: "array", items: { type: "string" } },
+    },
+  },
+};
+
+let openApiDocument = null;
+apiV1.get('/openapi.json', (req, res) => {
+  openApiDocument ||= buildOpenApiDocument({
+    info: {
+      title: "Bus Transport API",
+      version: "1.0.0",
+      description: "Bus routes, live positions, availability and bus pass applications. Admin routes take an access token from "
+        + "POST /api/admin/login (renewed with POST /api/admin/refresh) or, where listed, an API key from the dashboard.",
+    },
+    serverUrl: "/api/v1",
+    routes: v1Routes,
+    securitySchemes: {
+      adminToken: { type: "http", scheme: "bearer", bearerFormat: "JWT", description: "Admin access token" },
+      driverToken: { type: "http", scheme: "bearer", bearerFormat: "JWT", description: "Driver token for one bus, issued on the dashboard" },
+      apiKey: { type: "apiKey", in: "header", name: "X-API-Key", description: "API key with the listed scope" },
+    },
+    schemas: V1_SCHEMAS,
+  });
+  res.json(openApiDocument);
+});
 
-    res.json({ success: true, message: "Request rejected" });
-  } catch (e) {
-    console.error("POST /api/admin/requests/:email/reject error:", e);
-    res.status(500).json({ success: false, message: "Server error" });
-  }
+apiV1.use((req, res) => {
+  res.status(404).json({ success: false, message: "Route not found" });
+});
+apiV1.use((err, req, res, next) => {
+  console.error(`${req.method} /api/v1${req.path} error:`, err);
+  res.status(500).json({ success: false, message: "Server error" });
 });
 
-// mount router
+// mount routers
 app.use('/api/admin', apiAdmin);
+app.use('/api/v1', apiV1);
 
 /* ---------------- 404 catch-all and server start (last) ---------------- */
 app.use((req, res) => {
@@ -0,0 +1,115 @@
+// One field declaration drives both request validation and the OpenAPI document
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkSchema, validationResult } from "express-validator";
+import { validatorRules, toJsonSchema, buildOpenApiDocument } from "../lib/api-schema.js";
+
+// Runs the rules for one location over a bare request, as validateInput does in server.js
+async function validate(location, fields, values) {
+  const req = { params: {}, query: {}, body: {}, [location]: values };
+  await checkSchema(validatorRules(fields, { allRequired: location === "params" }), [location]).run(req);
+  const errors = validationResult(req).array({ onlyFirstError: true }).map(e => `${e.path} ${e.msg}`);
+  return { errors, values: req[location] };
+}
+
+const STOP = {
+  type: "object",
+  properties: {
+    name: { type: "string", required: true, maxLength: 10 },
+    lat: { type: "number", required: true, minimum: -90, maximum: 90 },
+    arrivalTime: { type: "string", nullable: true, pattern: "^([01]\\d|2[0-3]):[0-5]\\d$", patternMessage: "must be a time as HH:MM" },
+  },
+};
+const BODY = {
+  email: { type: "string", required: true, format: "email", maxLength: 254 },
+  period: { type: "string", enum: ["MORNING", "EVENING"], uppercase: true },
+  capacity: { type: "integer", minimum: 1, maximum: 100 },
+  active: { type: "boolean" },
+  stops: { type: "array", maxItems: 2, items: STOP },
+};
+
+test("valid input passes and is converted to its declared types", async () => {
+  const { errors, values } = await validate("body", BODY, {
+    email: " a@example.com ", period: "evening", capacity: "40", active: "true",
+    stops: [{ name: "Gate", lat: "16.5", arrivalTime: null }],
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(values, { email: "a@example.com", period: "EVENING", capacity: 40, active: true, stops: [{ name: "Gate", lat: 16.5, arrivalTime: null }] });
+});
+
+test("each invalid field reports one readable message at its path", async () => {
+  const { errors } = await validate("body", BODY, {
+    email: "not-an-email", period: "NIGHT", capacity: 0, active: "maybe",
+    stops: [{ lat: 12, arrivalTime: "25:00" }, { name: "Gate", lat: [1] }],
+  });
+  assert.deepEqual(errors.sort(), [
+    "active must be true or false",
+    "capacity must be an integer between 1 and 100",
+    "email must be an email address",
+    "period must be one of: MORNING, EVENING",
+    "stops[0].arrivalTime must be a time as HH:MM",
+    "stops[0].name is required",
+    "stops[1].lat must be a number",
+  ]);
+  const badStop = await validate("body", BODY, { email: "a@example.com", stops: [{ name: "A very long stop name", lat: 91 }] });
+  assert.deepEqual(badStop.errors.sort(), ["stops[0].lat must be a number between -90 and 90", "stops[0].name must be at most 10 characters"]);
+  assert.deepEqual((await validate("body", BODY, { email: "a@example.com", stops: Array(3).fill({ name: "Gate", lat: 16.5 }) })).errors, ["stops must have at most 2 items"]);
+  assert.deepEqual((await validate("body", BODY, { email: "   " })).errors, ["email must not be empty"]);
+  assert.deepEqual((await validate("body", BODY, {})).errors, ["email is required"]);
+});
+
+test("path params are always required", async () => {
+  const ID = { id: { type: "integer", minimum: 1 } };
+  assert.deepEqual(await validate("params", ID, { id: "7" }), { errors: [], values: { id: 7 } });
+  assert.deepEqual((await validate("params", ID, { id: "7abc" })).errors, ["id must be an integer at least 1"]);
+  assert.deepEqual((await validate("params", ID, {})).errors, ["id is required"]);
+});
+
+test("fields become JSON Schema with their constraints and nested shapes", () => {
+  assert.deepEqual(toJsonSchema(STOP.properties.arrivalTime), { type: ["string", "null"], pattern: "^([01]\\d|2[0-3]):[0-5]\\d$" });
+  assert.deepEqual(toJsonSchema(BODY.stops), {
+    type: "array", maxItems: 2,
+    items: {
+      type: "object",
+      properties: {
+        name: { type: "string", maxLength: 10 },
+        lat: { type: "number", minimum: -90, maximum: 90 },
+        arrivalTime: { type: ["string", "null"], pattern: "^([01]\\d|2[0-3]):[0-5]\\d$" },
+      },
+      required: ["name", "lat"],
+    },
+  });
+  assert.throws(() => validatorRules({ when: { type: "date" } }), /Unsupported field type "date" for when/);
+});
+
+test("the OpenAPI document lists each route with its parameters, body and error responses", () => {
+  const doc = buildOpenApiDocument({
+    info: { title: "Transit", version: "1" },
+    serverUrl: "/api/v1",
+    routes: [
+      { method: "get", path: "/buses", operationId: "listBuses", tag: "Buses" },
+      {
+        method: "put", path: "/buses/:number", operationId: "updateBus", security: [{ bearer: [] }],
+        input: { params: { number: { type: "string", description: "Bus number" } }, query: { dryRun: { type: "boolean" } }, body: { capacity: { ...BODY.capacity, required: true } } },
+        errors: { 409: "Another admin saved first" },
+      },
+    ],
+  });
+  assert.equal(doc.openapi, "3.1.0");
+  assert.deepEqual(Object.keys(doc.paths), ["/buses", "/buses/{number}"]);
+
+  const list = doc.paths["/buses"].get;
+  assert.deepEqual(Object.keys(list.responses), ["200"]);
+  assert.deepEqual(list.security, []);
+  assert.equal(list.parameters, undefined);
+
+  const update = doc.paths["/buses/{number}"].put;
+  assert.deepEqual(update.parameters, [
+    { name: "number", in: "path", required: true, description: "Bus number", schema: { type: "string" } },
+    { name: "dryRun", in: "query", required: false, schema: { type: "boolean" } },
+  ]);
+  assert.deepEqual(update.requestBody.content["application/json"].schema, { type: "object", properties: { capacity: { type: "integer", minimum: 1, maximum: 100 } }, required: ["capacity"] });
+  assert.deepEqual(Object.keys(update.responses).sort(), ["200", "400", "401", "403", "404", "409"]);
+  assert.equal(update.responses[409].description, "Another admin saved first");
+  for (const ref of ["ValidationError", "Unauthorized", "Forbidden", "NotFound"]) assert.ok(doc.components.responses[ref]);
+});
@@ -0,0 +1,47 @@
+// Field-level differences between audit snapshots
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffSnapshots } from "../lib/audit-diff.js";
+
+const bus = {
+  number: "101", capacity: 50, driver: { name: "Ravi", phone: "9800000000" },
+  morningStops: [{ name: "Railway Station", departureTime: "07:30" }, { name: "College", arrivalTime: "08:15" }],
+};
+
+test("identical snapshots have no changes", () => {
+  assert.deepEqual(diffSnapshots(bus, structuredClone(bus)), []);
+});
+
+test("changed leaves are reported by dotted path, through objects and arrays", () => {
+  const after = structuredClone(bus);
+  after.capacity = 45;
+  after.driver.phone = "9811111111";
+  after.morningStops[1].arrivalTime = "08:20";
+  assert.deepEqual(diffSnapshots(bus, after), [
+    { path: "capacity", before: 50, after: 45 },
+    { path: "driver.phone", before: "9800000000", after: "9811111111" },
+    { path: "morningStops.1.arrivalTime", before: "08:15", after: "08:20" },
+  ]);
+});
+
+test("added and removed fields and array items show null on the missing side", () => {
+  const after = structuredClone(bus);
+  delete after.driver;
+  after.location = "Vijayawada";
+  after.morningStops.push({ name: "Gate" });
+  assert.deepEqual(diffSnapshots(bus, after), [
+    { path: "driver", before: bus.driver, after: null },
+    { path: "morningStops.2", before: null, after: { name: "Gate" } },
+    { path: "location", before: null, after: "Vijayawada" },
+  ]);
+  assert.deepEqual(diffSnapshots({ stops: [1, 2, 3] }, { stops: [1] }), [
+    { path: "stops.1", before: 2, after: null },
+    { path: "stops.2", before: 3, after: null },
+  ]);
+});
+
+test("a value that changes type, or a whole snapshot created or deleted, is one change", () => {
+  assert.deepEqual(diffSnapshots({ aliases: "Benz" }, { aliases: ["Benz"] }), [{ path: "aliases", before: "Benz", after: ["Benz"] }]);
+  assert.deepEqual(diffSnapshots(null, { name: "Gate" }), [{ path: "(root)", before: null, after: { name: "Gate" } }]);
+  assert.deepEqual(diffSnapshots({ name: "Gate" }, undefined), [{ path: "(root)", before: { name: "Gate" }, after: null }]);
+});
@@ -0,0 +1,74 @@
+// Arrival estimates: live from the latest fix and segment history, else from the timetable
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { localClock, currentPeriod, findArrivedStop, estimateLiveArrival, estimateScheduledArrival, nextSegmentAverage } from "../lib/eta.js";
+
+// Three stops about 1.1 km apart on a north-south line
+const stops = [
+  { order: 1, name: "A", lat: 16.5, lng: 80.6 },
+  { order: 2, name: "B", lat: 16.51, lng: 80.6 },
+  { order: 3, name: "C", lat: 16.52, lng: 80.6 },
+];
+const at = (stop, dLat = 0) => ({ lat: stop.lat + dLat, lng: stop.lng });
+
+beforeEach(() => {
+  process.env.TRANSIT_TIMEZONE = "UTC";
+  delete process.env.EVENING_START;
+  delete process.env.ETA_DEFAULT_SPEED_KMH;
+  delete process.env.STOP_ARRIVAL_RADIUS_M;
+});
+
+test("the clock and the trip follow the transit timezone", () => {
+  process.env.TRANSIT_TIMEZONE = "Asia/Kolkata";
+  assert.equal(localClock(new Date("2026-01-05T02:15:00Z")), "07:45");
+  assert.equal(currentPeriod(new Date("2026-01-05T06:29:00Z")), "MORNING");
+  assert.equal(currentPeriod(new Date("2026-01-05T06:30:00Z")), "EVENING");
+  process.env.EVENING_START = "15:00";
+  assert.equal(currentPeriod(new Date("2026-01-05T08:00:00Z")), "MORNING");
+});
+
+test("a fix within the arrival radius is at the nearest such stop", () => {
+  assert.equal(findArrivedStop(stops, at(stops[1], 0.0003)), stops[1]);
+  assert.equal(findArrivedStop(stops, at(stops[1], 0.003)), null);
+  process.env.STOP_ARRIVAL_RADIUS_M = "500";
+  assert.equal(findArrivedStop(stops, at(stops[1], 0.003)), stops[1]);
+});
+
+test("live estimate adds the segment history from the next stop to the target", () => {
+  const segmentSeconds = new Map([[1, 100], [2, 200]]);
+  assert.deepEqual(estimateLiveArrival({ stops, targetOrder: 3, position: at(stops[0]), lastVisitedOrder: 1, segmentSeconds }), { seconds: 300 });
+  // Halfway along the first segment, half of its history is left
+  const halfway = { lat: 16.505, lng: 80.6 };
+  assert.deepEqual(estimateLiveArrival({ stops, targetOrder: 2, position: halfway, lastVisitedOrder: 1, segmentSeconds }), { seconds: 50 });
+});
+
+test("live estimate falls back to the default speed without segment history", () => {
+  process.env.ETA_DEFAULT_SPEED_KMH = "36"; // 10 m/s
+  const { seconds } = estimateLiveArrival({ stops, targetOrder: 3, position: at(stops[0]), lastVisitedOrder: 1 });
+  assert.ok(seconds > 215 && seconds < 230, `${seconds} s for about 2.2 km at 10 m/s`);
+});
+
+test("live estimate reports a passed stop, a finished trip and a stop not on the route", () => {
+  assert.deepEqual(estimateLiveArrival({ stops, targetOrder: 1, position: at(stops[1]), lastVisitedOrder: 2 }), { passed: true });
+  assert.equal(estimateLiveArrival({ stops, targetOrder: 3, position: at(stops[2]), lastVisitedOrder: 3 }), null);
+  assert.equal(estimateLiveArrival({ stops, targetOrder: 9, position: at(stops[0]), lastVisitedOrder: 1 }), null);
+});
+
+test("without a visit this trip, the bus is taken to be heading for the stop nearest to it", () => {
+  assert.deepEqual(estimateLiveArrival({ stops, targetOrder: 1, position: at(stops[1], 0.001) }), { passed: true });
+  assert.ok(estimateLiveArrival({ stops, targetOrder: 3, position: at(stops[1], 0.001) }).seconds > 0);
+});
+
+test("timetable estimate counts to today's scheduled time, and not past it", () => {
+  const now = new Date("2026-01-05T07:30:00Z");
+  assert.deepEqual(estimateScheduledArrival({ arrivalTime: "07:45" }, now), { seconds: 900, scheduled: "07:45" });
+  assert.deepEqual(estimateScheduledArrival({ arrivalTime: null, departureTime: "07:30" }, now), { seconds: 0, scheduled: "07:30" });
+  assert.equal(estimateScheduledArrival({ arrivalTime: "07:29" }, now), null);
+  assert.equal(estimateScheduledArrival({ arrivalTime: null, departureTime: null }, now), null);
+});
+
+test("segment averages start at the first observation and weigh at most the last 20 trips", () => {
+  assert.equal(nextSegmentAverage(0, 0, 120), 120);
+  assert.equal(nextSegmentAverage(100, 3, 140), 110);
+  assert.equal(nextSegmentAverage(100, 500, 300), 110);
+});
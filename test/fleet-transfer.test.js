@@ -0,0 +1,90 @@
+// Fleet export and import: CSV round trips, and the errors an import reports by row and column
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, fleetToCsv, fleetFromCsv, fleetFromJson, rowOfField, csvColumnOf, FLEET_CSV_COLUMNS } from "../lib/fleet-transfer.js";
+
+const HEADER = FLEET_CSV_COLUMNS.join(",");
+const csv = (...lines) => [HEADER, ...lines].join("\n");
+
+const buses = [
+  {
+    number: "101", name: "Vijayawada, via \"Benz Circle\"", location: "Vijayawada", capacity: "50",
+    driverName: "Ravi", driverPhone: "9800000000", liveLocationUrl: "https://maps.example/101",
+    morningStops: [
+      { name: "Railway Station", lat: "16.5062", lng: "80.648", arrivalTime: null, departureTime: "07:30" },
+      { name: "College", lat: "16.5286", lng: "80.6393", arrivalTime: "08:15", departureTime: null },
+    ],
+    eveningStops: [{ name: "College", lat: "16.5286", lng: "80.6393", arrivalTime: null, departureTime: "16:30" }],
+  },
+  { number: "102", name: "Spare", location: "Depot", capacity: "40", driverName: "", driverPhone: null },
+];
+
+test("parseCsv reads quoted cells, blank lines and line numbers", () => {
+  const rows = parseCsv('﻿a,b\r\n"x, ""y""","line\nbreak"\n\n c ,\n');
+  assert.deepEqual(rows.map(r => [...r]), [["a", "b"], ['x, "y"', "line\nbreak"], [" c ", ""]]);
+  assert.deepEqual(rows.map(r => r.line), [1, 2, 5]);
+});
+
+test("an exported fleet imports back unchanged, including a bus without stops", () => {
+  const { buses: imported, errors } = fleetFromCsv(fleetToCsv(buses));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(imported.map(entry => entry.bus), [
+    buses[0],
+    // Blank columns and a bus's missing trips are left out, so an import keeps what the bus has
+    { number: "102", name: "Spare", location: "Depot", capacity: "40" },
+  ]);
+  assert.deepEqual(imported[0].stopRows, { morningStops: [2, 3], eveningStops: [4] });
+  assert.equal(imported[1].row, 5);
+});
+
+test("stops follow their order column, and rows without one keep their place after it", () => {
+  const { buses: [{ bus, stopRows }], errors } = fleetFromCsv(csv(
+    "7,,,,,,,morning,,Last,,,,",
+    "7,,,,,,,MORNING,2,Second,,,,",
+    "7,,,,,,,Morning,1,First,,,,",
+  ));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(bus.morningStops.map(s => s.name), ["First", "Second", "Last"]);
+  assert.deepEqual(stopRows.morningStops, [4, 3, 2]);
+  assert.equal(bus.eveningStops, undefined);
+});
+
+test("import errors name the row, the bus and the column", () => {
+  const { errors } = fleetFromCsv(csv(
+    "101,Vijayawada,,,,,,MORNING,1,A,,,,",
+    "101,Guntur,,,,,,MORNING,1,B,,,,",
+    ",Nameless,,,,,,MORNING,1,C,,,,",
+    "101,,,,,,,NIGHT,3,D,,,,",
+    "101,,,,,,,EVENING,first,E,,,,",
+  ));
+  assert.deepEqual(errors, [
+    { row: 3, busNumber: "101", field: "busName", message: 'differs from "Vijayawada" given earlier for bus 101' },
+    { row: 4, busNumber: null, field: "busNumber", message: "is required" },
+    { row: 5, busNumber: "101", field: "period", message: "must be MORNING or EVENING" },
+    { row: 6, busNumber: "101", field: "order", message: "must be a whole number" },
+    { row: 3, busNumber: "101", field: "order", message: "MORNING stop 1 is listed twice" },
+  ]);
+});
+
+test("a file without a busNumber column, or with nothing in it, is rejected as a whole", () => {
+  assert.match(fleetFromCsv("number,name\n101,Vijayawada\n").errors[0].message, /must have a busNumber column/);
+  assert.deepEqual(fleetFromCsv("\n\n"), { buses: [], errors: [{ row: 1, busNumber: null, field: null, message: "The file is empty" }] });
+  // Header names match without case or padding
+  assert.equal(fleetFromCsv(" BUSNUMBER ,BusName\n101,Vijayawada\n").buses[0].bus.name, "Vijayawada");
+});
+
+test("a validation error on a bus field points at the row and column it came from", () => {
+  const [entry] = fleetFromCsv(fleetToCsv(buses)).buses;
+  assert.equal(rowOfField(entry, "eveningStops[0].lat"), 4);
+  assert.equal(rowOfField(entry, "morningStops[1]"), 3);
+  assert.equal(rowOfField(entry, "capacity"), 2);
+  assert.equal(rowOfField(entry, "morningStops[9].lat"), 2);
+  assert.equal(csvColumnOf("morningStops[1].arrivalTime"), "arrivalTime");
+  assert.equal(csvColumnOf("eveningStops[0]"), "stopName");
+  assert.equal(csvColumnOf("morningStops[0].stopPlaceId"), "stopName");
+  assert.equal(csvColumnOf("number"), "busNumber");
+  assert.equal(csvColumnOf("capacity"), "capacity");
+
+  const [jsonEntry] = fleetFromJson([buses[1]]).buses;
+  assert.equal(rowOfField(jsonEntry, "morningStops[0].lat"), 1);
+});
@@ -0,0 +1,90 @@
+// Geocoding: the offline gazetteer, the cached Google provider and the provider chain
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { gazetteerProvider, googleProvider, createGeocoder } from "../lib/geocode.js";
+
+const entries = [
+  { name: "Benz Circle", lat: 16.5, lng: 80.6 },
+  { name: "Benz Circle", lat: 16.52, lng: 80.62 }, // the same stop on another bus
+  { name: "Benz Road", lat: 16.3, lng: 80.4 },
+  { name: "Vijayawada Railway Station", aliases: ["VJA"], lat: 16.5062, lng: 80.648 },
+  { name: "No fix yet", lat: null, lng: null },
+];
+
+// A cache store in memory, shaped like the GeocodeCache table
+function memoryCache(seed = {}) {
+  const rows = new Map(Object.entries(seed));
+  return { rows, get: async key => rows.get(key) || null, set: async (key, result) => rows.set(key, { ...result, fetchedAt: new Date() }) };
+}
+
+// A fetch that answers with a Google body and counts its calls
+function fakeFetch(body) {
+  const f = async () => { f.calls++; return { json: async () => body }; };
+  f.calls = 0;
+  return f;
+}
+
+const googleOk = { status: "OK", results: [{ formatted_address: "Benz Circle, Vijayawada", geometry: { location: { lat: 16.4971, lng: 80.6569 } } }] };
+
+test("the gazetteer matches whole words and averages stops that share a name", async () => {
+  const gazetteer = gazetteerProvider(async () => entries);
+  const hit = await gazetteer.geocode("benz circle, vijayawada");
+  assert.equal(hit.label, "Benz Circle");
+  assert.ok(Math.abs(hit.lat - 16.51) < 1e-9 && Math.abs(hit.lng - 80.61) < 1e-9);
+  assert.equal((await gazetteer.geocode("Benz Road")).label, "Benz Road");
+  assert.equal((await gazetteer.geocode("vja")).label, "Vijayawada Railway Station");
+  assert.equal(await gazetteer.geocode("Benz Junction"), null);
+  assert.equal(await gazetteer.geocode("No fix yet"), null);
+});
+
+test("the gazetteer loads its entries once until refresh, and retries after a failed load", async () => {
+  let loads = 0;
+  let fail = true;
+  const gazetteer = gazetteerProvider(async () => {
+    loads++;
+    if (fail) throw new Error("database down");
+    return entries;
+  });
+  await assert.rejects(gazetteer.geocode("Benz Circle"), /database down/);
+  fail = false;
+  await gazetteer.geocode("Benz Circle");
+  await gazetteer.geocode("VJA");
+  assert.equal(loads, 2);
+  gazetteer.refresh();
+  await gazetteer.geocode("VJA");
+  assert.equal(loads, 3);
+});
+
+test("Google answers are cached, and a fresh cached answer skips the request", async () => {
+  const cache = memoryCache();
+  const fetchImpl = fakeFetch(googleOk);
+  const google = googleProvider({ apiKey: "k", cache, fetchImpl });
+  assert.deepEqual(await google.geocode("Benz  Circle"), { lat: 16.4971, lng: 80.6569, label: "Benz Circle, Vijayawada" });
+  assert.ok(cache.rows.has("benz circle"));
+  await google.geocode("benz circle");
+  assert.equal(fetchImpl.calls, 1);
+});
+
+test("a stale cached answer is used when Google fails or has no key, and refreshed when it answers", async () => {
+  const stale = { lat: 1, lng: 2, label: "Old", fetchedAt: new Date(Date.now() - 60 * 24 * 3600 * 1000) };
+  const failing = googleProvider({ apiKey: "k", cache: memoryCache({ "benz circle": stale }), fetchImpl: fakeFetch({ status: "OVER_QUERY_LIMIT" }) });
+  assert.equal((await failing.geocode("Benz Circle")).label, "Old");
+  const keyless = googleProvider({ cache: memoryCache({ "benz circle": stale }), fetchImpl: fakeFetch(googleOk) });
+  assert.equal((await keyless.geocode("Benz Circle")).label, "Old");
+  const working = googleProvider({ apiKey: "k", cache: memoryCache({ "benz circle": stale }), fetchImpl: fakeFetch(googleOk) });
+  assert.equal((await working.geocode("Benz Circle")).label, "Benz Circle, Vijayawada");
+
+  const uncached = googleProvider({ apiKey: "k", fetchImpl: fakeFetch({ status: "REQUEST_DENIED", error_message: "bad key" }) });
+  await assert.rejects(uncached.geocode("Benz Circle"), /REQUEST_DENIED: bad key/);
+  assert.equal(await googleProvider({ apiKey: "k", fetchImpl: fakeFetch({ status: "ZERO_RESULTS" }) }).geocode("nowhere"), null);
+});
+
+test("the geocoder takes the first provider with an answer and skips one that throws", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const broken = { name: "broken", geocode: async () => { throw new Error("offline"); } };
+  const empty = { name: "empty", geocode: async () => null };
+  const geocoder = createGeocoder([broken, empty, gazetteerProvider(async () => entries)]);
+  assert.deepEqual(await geocoder.geocode("VJA"), { lat: 16.5062, lng: 80.648, label: "Vijayawada Railway Station", provider: "gazetteer" });
+  assert.equal(console.warn.mock.callCount(), 1);
+  assert.equal(await geocoder.geocode("  ,, "), null);
+});
@@ -0,0 +1,131 @@
+// The GTFS feed built from fixture routes, checked against the reference rules in validateGtfsFeed
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildGtfsFeed, validateGtfsFeed, zipFeed, unzipFeed, GTFS_FILES } from "../lib/gtfs.js";
+import { parseCsv } from "../lib/fleet-transfer.js";
+
+const stop = (stopPlaceId, name, lat, lng, period, order, arrivalTime = null, departureTime = null) =>
+  ({ stopPlaceId, name, lat, lng, period, order, arrivalTime, departureTime });
+
+const buses = [
+  {
+    number: "101", name: "Vijayawada",
+    stops: [
+      // Listed out of order on purpose: the feed follows `order`, not the list
+      stop(2, "Benz Circle", 16.5171, 80.6305, "MORNING", 2),
+      stop(1, "Vijayawada Railway Station", 16.5062, 80.648, "MORNING", 1, null, "07:30"),
+      stop(3, "V R Siddhartha Engineering College", 16.5286, 80.6393, "MORNING", 3, "08:15"),
+      stop(3, "V R Siddhartha Engineering College", 16.5286, 80.6393, "EVENING", 1, null, "16:30"),
+      stop(2, "Benz Circle", 16.5171, 80.6305, "EVENING", 2, "16:50", "16:52"),
+      stop(1, "Vijayawada Railway Station", 16.5062, 80.648, "EVENING", 3, "17:10"),
+    ],
+  },
+  {
+    number: "102", name: "Guntur, via \"Mangalagiri\"",
+    stops: [
+      stop(4, "Guntur Railway Station", 16.3008, 80.4428, "MORNING", 1, null, "06:50"),
+      stop(3, "V R Siddhartha Engineering College", 16.5286, 80.6393, "MORNING", 2),
+    ],
+  },
+  { number: "103", name: "103", stops: [] },
+];
+
+const feed = () => buildGtfsFeed({
+  agency: { name: "V R Siddhartha Engineering College", url: "https://example.edu", timezone: "Asia/Kolkata", phone: "+91 866 000 0000" },
+  buses,
+  service: { days: "1111110", startDate: "20260101", endDate: "20261231" },
+});
+
+// A file's rows as objects keyed by its header
+function rows(text) {
+  const [header, ...cells] = parseCsv(text);
+  return cells.map(c => Object.fromEntries(header.map((h, i) => [h, c[i]])));
+}
+
+const withFile = (files, name, edit) => ({ ...files, [name]: edit(files[name]) });
+
+test("builds every required file, and the feed passes the reference rules", () => {
+  const { files } = feed();
+  assert.deepEqual(Object.keys(files).sort(), [...GTFS_FILES].sort());
+  assert.deepEqual(validateGtfsFeed(files), { errors: [], warnings: [] });
+});
+
+test("leaves out a trip that has no time at its last stop, and a bus with no trips", () => {
+  const { files, skipped } = feed();
+  assert.deepEqual(skipped, [{ tripId: "102-MORNING", reason: "no time at the last stop" }]);
+  assert.deepEqual(rows(files["routes.txt"]).map(r => r.route_id), ["101"]);
+  assert.deepEqual(rows(files["trips.txt"]).map(r => r.trip_id), ["101-MORNING", "101-EVENING"]);
+  assert.deepEqual(rows(files["stops.txt"]).map(r => r.stop_id), ["1", "2", "3"]);
+});
+
+test("stop_times are in stop order, and a stop without times takes none", () => {
+  const morning = rows(feed().files["stop_times.txt"]).filter(r => r.trip_id === "101-MORNING");
+  assert.deepEqual(morning.map(r => [r.stop_sequence, r.stop_id, r.arrival_time, r.departure_time, r.timepoint]), [
+    ["1", "1", "07:30:00", "07:30:00", "1"],
+    ["2", "2", "", "", "0"],
+    ["3", "3", "08:15:00", "08:15:00", "1"],
+  ]);
+});
+
+test("every route_id, service_id, stop_id and trip_id a file refers to exists", () => {
+  const { files } = feed();
+  const ids = (file, field) => new Set(rows(files[file]).map(r => r[field]));
+  for (const trip of rows(files["trips.txt"])) {
+    assert.ok(ids("routes.txt", "route_id").has(trip.route_id));
+    assert.ok(ids("calendar.txt", "service_id").has(trip.service_id));
+  }
+  for (const stopTime of rows(files["stop_times.txt"])) {
+    assert.ok(ids("stops.txt", "stop_id").has(stopTime.stop_id));
+    assert.ok(ids("trips.txt", "trip_id").has(stopTime.trip_id));
+  }
+});
+
+test("times past 24:00 are valid for a trip running past midnight", () => {
+  const { files } = feed();
+  const late = withFile(files, "stop_times.txt", text => text
+    .replace(/16:30:00/g, "23:50:00").replace(/16:50:00/g, "24:10:00").replace(/16:52:00/g, "24:12:00").replace(/17:10:00/g, "25:05:00"));
+  assert.deepEqual(validateGtfsFeed(late).errors, []);
+});
+
+test("reports a missing file, a missing required column and an empty required field", () => {
+  const { files } = feed();
+  const { "calendar.txt": _calendar, ...withoutCalendar } = files;
+  assert.ok(validateGtfsFeed(withoutCalendar).errors.includes("calendar.txt: missing"));
+
+  const noRouteType = withFile(files, "routes.txt", text => text.replace(",route_type", "").replace(/,3\r\n/g, "\r\n"));
+  assert.ok(validateGtfsFeed(noRouteType).errors.includes("routes.txt: required column route_type is missing"));
+
+  const noAgencyName = withFile(files, "agency.txt", text => text.replace("V R Siddhartha Engineering College", ""));
+  assert.ok(validateGtfsFeed(noAgencyName).errors.includes("agency.txt line 2: agency_name is empty"));
+});
+
+test("reports references to a route, service, stop or trip that is not in the feed", () => {
+  const { files } = feed();
+  const broken = {
+    ...files,
+    "trips.txt": files["trips.txt"].replace("101,COLLEGE_DAYS,101-EVENING", "999,WEEKENDS,101-EVENING"),
+    "stop_times.txt": files["stop_times.txt"].replace("101-MORNING,,,2", "101-MORNING,,,42").replace(/^101-EVENING,17:10:00/m, "GHOST,17:10:00"),
+  };
+  const { errors } = validateGtfsFeed(broken);
+  assert.ok(errors.includes("trips.txt line 3: route_id 999 is not in routes.txt"));
+  assert.ok(errors.includes("trips.txt line 3: service_id WEEKENDS is not in calendar.txt"));
+  assert.ok(errors.includes("stop_times.txt line 3: stop_id 42 is not in stops.txt"));
+  assert.ok(errors.includes("stop_times.txt line 7: trip_id GHOST is not in trips.txt"));
+});
+
+test("reports stop times that go backwards and times that are not HH:MM:SS", () => {
+  const { files } = feed();
+  const backwards = withFile(files, "stop_times.txt", text => text.replace(/08:15:00/g, "07:15:00"));
+  assert.ok(validateGtfsFeed(backwards).errors.includes("stop_times.txt line 4: arrival_time is earlier than a previous stop of trip 101-MORNING"));
+
+  const badTime = withFile(files, "stop_times.txt", text => text.replace(/08:15:00/g, "8:75"));
+  assert.ok(validateGtfsFeed(badTime).errors.includes("stop_times.txt line 4: arrival_time must be a time as HH:MM:SS"));
+});
+
+test("the zip archive holds the feed's files unchanged", () => {
+  const { files } = feed();
+  const unzipped = unzipFeed(zipFeed(files));
+  assert.deepEqual(Object.keys(unzipped).sort(), Object.keys(files).sort());
+  for (const [name, text] of Object.entries(files)) assert.equal(unzipped[name].toString("utf8"), text);
+  assert.deepEqual(validateGtfsFeed(unzipped), { errors: [], warnings: [] });
+});
@@ -0,0 +1,66 @@
+// Per-account sign-in lockout: failures counted in a window, the lock, and what clears it
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLoginThrottle } from "../lib/login-throttle.js";
+
+const MINUTE = 60 * 1000;
+const t0 = new Date("2026-01-05T08:00:00Z");
+const after = ms => new Date(t0.getTime() + ms);
+
+// A store in memory, shaped like the LoginThrottle table
+function memoryStore() {
+  const rows = new Map();
+  return { rows, get: async key => rows.get(key) || null, set: async (key, state) => rows.set(key, state), clear: async key => rows.delete(key) };
+}
+
+const throttle = store => createLoginThrottle({ store, threshold: 3, windowMs: 10 * MINUTE, lockMs: 15 * MINUTE });
+
+test("the failure that reaches the threshold within the window locks the account", async () => {
+  const limiter = throttle(memoryStore());
+  assert.deepEqual(await limiter.fail("admin@example.com", t0), { failures: 1, justLocked: false, lockedUntil: null });
+  assert.equal((await limiter.fail("admin@example.com", after(MINUTE))).justLocked, false);
+  const third = await limiter.fail("admin@example.com", after(2 * MINUTE));
+  assert.deepEqual(third, { failures: 3, justLocked: true, lockedUntil: after(17 * MINUTE) });
+  assert.deepEqual(await limiter.check("admin@example.com", after(2 * MINUTE)), { locked: true, retryAfterSeconds: 15 * 60 });
+  assert.deepEqual(await limiter.check("admin@example.com", after(16 * MINUTE + 1)), { locked: true, retryAfterSeconds: 60 });
+});
+
+test("failures spread wider than the window start a new count", async () => {
+  const limiter = throttle(memoryStore());
+  await limiter.fail("admin@example.com", t0);
+  await limiter.fail("admin@example.com", after(5 * MINUTE));
+  const late = await limiter.fail("admin@example.com", after(10 * MINUTE));
+  assert.deepEqual(late, { failures: 1, justLocked: false, lockedUntil: null });
+  assert.equal((await limiter.check("admin@example.com", after(10 * MINUTE))).locked, false);
+});
+
+test("the lock expires on time and is followed by a fresh count", async () => {
+  const limiter = throttle(memoryStore());
+  for (const m of [0, 1, 2]) await limiter.fail("admin@example.com", after(m * MINUTE));
+  assert.deepEqual(await limiter.check("admin@example.com", after(17 * MINUTE)), { locked: false, retryAfterSeconds: 0 });
+  assert.deepEqual(await limiter.fail("admin@example.com", after(17 * MINUTE)), { failures: 1, justLocked: false, lockedUntil: null });
+});
+
+test("a failure during a lock neither extends it nor lifts it", async () => {
+  const limiter = throttle(memoryStore());
+  for (const m of [0, 1, 2]) await limiter.fail("admin@example.com", after(m * MINUTE));
+  const during = await limiter.fail("admin@example.com", after(5 * MINUTE));
+  assert.equal(during.justLocked, false);
+  assert.deepEqual(during.lockedUntil, after(17 * MINUTE));
+  // Past the window that started the count, but still inside the lock
+  await limiter.fail("admin@example.com", after(12 * MINUTE));
+  assert.deepEqual(await limiter.check("admin@example.com", after(12 * MINUTE)), { locked: true, retryAfterSeconds: 5 * 60 });
+});
+
+test("accounts are counted apart, by email without case, and a success clears the count", async () => {
+  const store = memoryStore();
+  const limiter = throttle(store);
+  await limiter.fail(" Admin@Example.com", t0);
+  await limiter.fail("admin@example.com", t0);
+  await limiter.fail("other@example.com", t0);
+  assert.equal(store.rows.get("admin@example.com").failures, 2);
+  await limiter.succeed("ADMIN@example.com");
+  assert.equal(store.rows.has("admin@example.com"), false);
+  assert.equal((await limiter.fail("admin@example.com", t0)).failures, 1);
+  assert.equal(store.rows.get("other@example.com").failures, 1);
+});
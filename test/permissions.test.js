@@ -0,0 +1,44 @@
+// Admin roles, their cumulative permissions, and bus-scoped access
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ROLES, BUS_SCOPED, permissionsFor, hasPermission, canActOnBus } from "../lib/permissions.js";
+
+test("each role has everything the role below it has", () => {
+  for (let i = 1; i < ROLES.length; i++) {
+    const below = permissionsFor(ROLES[i - 1]);
+    const role = permissionsFor(ROLES[i]);
+    assert.ok(below.every(p => role.includes(p)), `${ROLES[i]} has all of ${ROLES[i - 1]}`);
+    assert.ok(role.length > below.length);
+  }
+});
+
+test("roles grant only what they list, and an unknown role grants nothing", () => {
+  assert.ok(hasPermission("VIEWER", "buses:read"));
+  assert.ok(!hasPermission("VIEWER", "routes:edit"));
+  assert.ok(hasPermission("ROUTE_EDITOR", "places:manage"));
+  assert.ok(!hasPermission("ROUTE_EDITOR", "seats:manage"));
+  assert.ok(hasPermission("FLEET_MANAGER", "applications:manage"));
+  assert.ok(!hasPermission("FLEET_MANAGER", "admins:manage"));
+  assert.ok(hasPermission("SUPERADMIN", "apikeys:manage"));
+  assert.deepEqual(permissionsFor("OWNER"), []);
+  assert.deepEqual(permissionsFor(undefined), []);
+});
+
+test("bus-scoped permissions reach only the admin's assigned buses", () => {
+  const editor = { role: "FLEET_MANAGER", allBuses: false, busIds: new Set([1, 2]) };
+  assert.ok(canActOnBus(editor, "seats:manage", 1));
+  assert.ok(!canActOnBus(editor, "seats:manage", 3));
+  assert.ok(!canActOnBus(editor, "routes:edit", 3));
+  // Actions not tied to one bus, and permissions that are not bus-scoped, ignore the assignment
+  assert.ok(canActOnBus(editor, "seats:manage", null));
+  assert.ok(!BUS_SCOPED.has("buses:read"));
+  assert.ok(canActOnBus(editor, "buses:read", 3));
+});
+
+test("access to all buses lifts the assignment, but never adds a permission the role lacks", () => {
+  const fleet = { role: "FLEET_MANAGER", allBuses: true, busIds: new Set() };
+  assert.ok(canActOnBus(fleet, "buses:manage", 42));
+  assert.ok(!canActOnBus(fleet, "settings:manage", null));
+  const viewer = { role: "VIEWER", allBuses: true, busIds: new Set([1]) };
+  assert.ok(!canActOnBus(viewer, "routes:edit", 1));
+});
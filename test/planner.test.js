@@ -0,0 +1,68 @@
+// Trip plans over two fixture buses that meet at a shared corner
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createStopIndex } from "../lib/spatial-index.js";
+import { planTrips } from "../lib/planner.js";
+
+// Bus 101 runs east along 16.50 N, about 2.1 km between stops; bus 102 starts about 50 m from 101's
+// last stop and runs north. With timed: false neither has a timetable.
+function network({ timed = true, secondLeaves = "07:30" } = {}) {
+  const east = { number: "101", name: "East" };
+  const north = { number: "102", name: "North" };
+  const time = value => (timed ? value : null);
+  const stop = (id, bus, busId, order, lat, lng, departureTime = null, arrivalTime = null) =>
+    ({ id, bus, busId, order, lat, lng, name: `Stop ${id}`, period: "MORNING", departureTime, arrivalTime });
+  return createStopIndex([
+    stop(1, east, 1, 1, 16.5, 80.5, time("07:00")),
+    stop(2, east, 1, 2, 16.5, 80.52),
+    stop(3, east, 1, 3, 16.5, 80.54, null, time("07:20")),
+    stop(4, north, 2, 1, 16.5, 80.5405, time(secondLeaves)),
+    stop(5, north, 2, 2, 16.52, 80.5405),
+    stop(6, north, 2, 3, 16.54, 80.5405, null, time("07:45")),
+  ]);
+}
+
+const nearFirst = { lat: 16.5, lng: 80.4995 };
+const corner = { lat: 16.5, lng: 80.5402 };
+const northEnd = { lat: 16.5405, lng: 80.5405 };
+const modes = plan => plan.legs.map(l => l.mode);
+const buses = plan => plan.legs.filter(l => l.mode === "bus").map(l => l.busNumber);
+
+test("a direct ride walks to the nearest boarding stop and rides the timetable", () => {
+  const [plan, ...rest] = planTrips(network(), nearFirst, corner, { period: "MORNING" });
+  assert.equal(rest.length, 0);
+  assert.equal(plan.type, "direct");
+  assert.deepEqual(modes(plan), ["walk", "bus", "walk"]);
+  assert.equal(plan.legs[1].from.id, 1);
+  assert.equal(plan.legs[1].to.id, 3);
+  assert.equal(plan.legs[1].stops, 2);
+  assert.equal(plan.legs[1].minutes, 20);
+});
+
+test("without a timetable the ride time comes from distance and bus speed", () => {
+  const [plan] = planTrips(network({ timed: false }), nearFirst, corner, { period: "MORNING", busSpeedKmh: 25 });
+  assert.equal(plan.legs[1].minutes, 10); // about 4.3 km at 25 km/h
+  const [slower] = planTrips(network({ timed: false }), nearFirst, corner, { period: "MORNING", busSpeedKmh: 12.5 });
+  assert.equal(slower.legs[1].minutes, 20);
+});
+
+test("a destination off the first bus is reached with one transfer and a short walk between stops", () => {
+  const [plan] = planTrips(network(), nearFirst, northEnd, { period: "MORNING", transferPenaltyMinutes: 5 });
+  assert.equal(plan.type, "transfer");
+  assert.deepEqual(modes(plan), ["walk", "bus", "walk", "bus", "walk"]);
+  assert.deepEqual(buses(plan), ["101", "102"]);
+  assert.ok(plan.legs[2].distanceMeters > 0 && plan.legs[2].distanceMeters <= 150);
+  // 20 min on 101, 15 on 102, the transfer penalty and a few minutes of walking
+  assert.ok(plan.totalMinutes >= 40 && plan.totalMinutes <= 45, `${plan.totalMinutes} min`);
+});
+
+test("a transfer is left out when the second bus leaves before the first arrives", () => {
+  assert.deepEqual(planTrips(network({ secondLeaves: "07:15" }), nearFirst, northEnd, { period: "MORNING" }), []);
+  assert.equal(planTrips(network({ timed: false }), nearFirst, northEnd, { period: "MORNING" })[0].type, "transfer");
+});
+
+test("buses only run forward, only in the requested period and only within walking distance", () => {
+  assert.deepEqual(planTrips(network(), corner, nearFirst, { period: "MORNING" }), []);
+  assert.deepEqual(planTrips(network(), nearFirst, corner, { period: "EVENING" }), []);
+  assert.deepEqual(planTrips(network(), { lat: 16.45, lng: 80.5 }, corner, { period: "MORNING" }), []);
+});
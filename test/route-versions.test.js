@@ -0,0 +1,53 @@
+// Scheduled route versions: effective dates, the version in force, and its stops
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { localMidnight, parseEffectiveDate, latestEffectiveByBus, versionStopLists, flatVersionStops } from "../lib/route-versions.js";
+
+test("a date means local midnight in the transit timezone", () => {
+  assert.equal(localMidnight("2026-03-01", "Asia/Kolkata").toISOString(), "2026-02-28T18:30:00.000Z");
+  assert.equal(localMidnight("2026-07-01", "America/New_York").toISOString(), "2026-07-01T04:00:00.000Z");
+  assert.equal(localMidnight("2026-01-01", "UTC").toISOString(), "2026-01-01T00:00:00.000Z");
+});
+
+test("effective dates take a day or an ISO time, and reject anything else", () => {
+  process.env.TRANSIT_TIMEZONE = "Asia/Kolkata";
+  assert.equal(parseEffectiveDate("2026-03-01").toISOString(), "2026-02-28T18:30:00.000Z");
+  assert.equal(parseEffectiveDate(" 2026-03-01T07:00:00+05:30 ").toISOString(), "2026-03-01T01:30:00.000Z");
+  for (const bad of ["2026-02-31", "2026-13-01", "next monday", "", null, undefined]) assert.equal(parseEffectiveDate(bad), null, String(bad));
+});
+
+test("each bus runs the version it switched to last, with ties going to the newer version", () => {
+  const at = new Date("2026-03-10T00:00:00Z");
+  const v = (id, busId, effectiveFrom) => ({ id, busId, effectiveFrom: effectiveFrom && new Date(effectiveFrom) });
+  const versions = [
+    v(1, 7, "2026-01-01T00:00:00Z"),
+    v(2, 7, "2026-03-01T00:00:00Z"),
+    v(3, 7, "2026-04-01T00:00:00Z"), // not yet
+    v(4, 8, "2026-02-01T00:00:00Z"),
+    v(5, 8, "2026-02-01T00:00:00Z"),
+    v(6, 9, null), // never scheduled
+  ];
+  const latest = latestEffectiveByBus(versions, at);
+  assert.deepEqual([...latest].map(([busId, version]) => [busId, version.id]), [[7, 2], [8, 5]]);
+  assert.equal(latestEffectiveByBus(versions, new Date("2025-12-31T00:00:00Z")).size, 0);
+});
+
+test("a version stores only the stop fields, and lists catalog stops as the catalog has them now", () => {
+  const stops = versionStopLists({
+    morningStops: [
+      { stopPlaceId: 1, name: "Benz Circle (old)", lat: 16.5, lng: 80.6, arrivalTime: "", departureTime: "07:30", order: 9, extra: true },
+      { name: "Gate", lat: 16.52, lng: 80.62, arrivalTime: "08:00" },
+    ],
+  });
+  assert.deepEqual(stops.morningStops[0], { stopPlaceId: 1, name: "Benz Circle (old)", lat: 16.5, lng: 80.6, arrivalTime: null, departureTime: "07:30" });
+  assert.deepEqual(stops.eveningStops, []);
+
+  const placesById = new Map([[1, { id: 1, name: "Benz Circle", lat: 16.51, lng: 80.61 }]]);
+  const flat = flatVersionStops({ busId: 7, stops }, placesById);
+  assert.deepEqual(flat.map(s => [s.period, s.order, s.stopPlaceId, s.name, s.lat]), [
+    ["MORNING", 1, 1, "Benz Circle", 16.51],
+    ["MORNING", 2, null, "Gate", 16.52],
+  ]);
+  assert.ok(flat.every(s => s.busId === 7 && s.id === null));
+  assert.deepEqual(flatVersionStops({ busId: 7, stops: null }, placesById), []);
+});
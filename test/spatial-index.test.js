@@ -0,0 +1,55 @@
+// The stop grid must give the same answers as a full scan with geolib
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import geolib from "geolib";
+import { createStopIndex } from "../lib/spatial-index.js";
+
+// Deterministic stops scattered over about 40 km around Vijayawada
+let seed = 7;
+const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+const stops = Array.from({ length: 400 }, (_, id) => ({ id, lat: 16.3 + random() * 0.4, lng: 80.4 + random() * 0.4 }));
+const probes = Array.from({ length: 25 }, () => ({ lat: 16.25 + random() * 0.5, lng: 80.35 + random() * 0.5 }));
+
+const scan = (point, filter = () => true) => stops.filter(filter)
+  .map(s => ({ item: s, distanceMeters: geolib.getDistance({ latitude: point.lat, longitude: point.lng }, { latitude: s.lat, longitude: s.lng }) }))
+  .sort((a, b) => a.distanceMeters - b.distanceMeters);
+const distances = results => results.map(r => r.distanceMeters);
+
+test("withinRadius finds exactly the stops a full scan finds, nearest first", () => {
+  const index = createStopIndex(stops);
+  for (const point of probes) {
+    for (const radius of [100, 800, 3000]) {
+      const got = index.withinRadius(point, radius);
+      const want = scan(point).filter(r => r.distanceMeters <= radius);
+      assert.deepEqual(got.map(r => r.item.id).sort((a, b) => a - b), want.map(r => r.item.id).sort((a, b) => a - b));
+      assert.deepEqual(distances(got), distances(want));
+    }
+  }
+});
+
+test("nearest returns the k closest stops, also from outside the grid", () => {
+  const index = createStopIndex(stops, { cellMeters: 250 });
+  for (const point of [...probes, { lat: 17.5, lng: 81.5 }]) {
+    for (const k of [1, 5]) assert.deepEqual(distances(index.nearest(point, k)), distances(scan(point).slice(0, k)));
+  }
+});
+
+test("a filter narrows the candidates before the k closest are chosen", () => {
+  const index = createStopIndex(stops);
+  const even = s => s.id % 2 === 0;
+  const got = index.nearest(probes[0], 3, even);
+  assert.ok(got.every(r => even(r.item)));
+  assert.deepEqual(distances(got), distances(scan(probes[0], even).slice(0, 3)));
+  assert.ok(index.withinRadius(probes[0], 3000, even).every(r => even(r.item)));
+});
+
+test("stops without coordinates are left out, and an empty index answers nothing", () => {
+  const index = createStopIndex([...stops.slice(0, 3), { id: "no-fix", lat: null, lng: 80.6 }]);
+  assert.equal(index.size, 3);
+  assert.ok(!index.nearest(probes[0], 10).some(r => r.item.id === "no-fix"));
+
+  const empty = createStopIndex([]);
+  assert.deepEqual(empty.nearest(probes[0], 1), []);
+  assert.deepEqual(empty.withinRadius(probes[0], 1000), []);
+  assert.deepEqual(createStopIndex(stops).nearest(probes[0], 0), []);
+});
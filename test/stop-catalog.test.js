@@ -0,0 +1,43 @@
+// Matching stops to the shared catalog, and finding places an admin should merge
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeStopName, findStopPlace, findDuplicateStopPlaces } from "../lib/stop-catalog.js";
+
+// 0.001 degrees of latitude is about 111 m
+const place = (id, name, dLat, aliases = []) => ({ id, name, aliases, lat: 16.5 + dLat, lng: 80.6 });
+const ids = groups => groups.map(group => group.map(p => p.id));
+
+test("stop names compare without case, punctuation or extra spaces", () => {
+  assert.equal(normalizeStopName("  Benz-Circle,  VIJAYAWADA "), "benz circle vijayawada");
+  assert.equal(normalizeStopName(null), "");
+});
+
+test("a stop joins the nearest place within the radius that has its name or alias", () => {
+  const places = [place(1, "Benz Circle", 0), place(2, "Benz Circle", 0.0005), place(3, "Railway Station", 0.0004, ["VJA"])];
+  assert.equal(findStopPlace(places, { name: "benz circle", lat: 16.5006, lng: 80.6 }, 200).id, 2);
+  assert.equal(findStopPlace(places, { name: "V.J.A.", lat: 16.5, lng: 80.6 }, 200), null);
+  assert.equal(findStopPlace(places, { name: "vja", lat: 16.5, lng: 80.6 }, 200).id, 3);
+  assert.equal(findStopPlace(places, { name: "Benz Circle", lat: 16.51, lng: 80.6 }, 200), null);
+  assert.equal(findStopPlace(places, { name: "Benz Road", lat: 16.5, lng: 80.6 }, 200), null);
+});
+
+test("places nearby with similar names, or at the same spot, are duplicates", () => {
+  const places = [
+    place(1, "Benz Circle", 0),
+    place(2, "Benz Circle Jn", 0.001),
+    place(3, "Benz Road", 0.0015), // near 2 but not a similar name
+    place(4, "Gate 2", 0.0101),
+    place(5, "College Main Gate", 0.01, ["Gate 2"]),
+    place(6, "Canteen", 0.02),
+    place(7, "Hostel", 0.0201), // different name, but within 30 m
+    place(8, "Benz Circle", 0.05), // same name, too far
+  ];
+  assert.deepEqual(ids(findDuplicateStopPlaces(places)), [[1, 2], [4, 5], [6, 7]]);
+  assert.deepEqual(ids(findDuplicateStopPlaces(places, { radiusMeters: 50, sameSpotMeters: 5 })), [[4, 5]]);
+});
+
+test("duplicate groups are connected through their members and listed largest first", () => {
+  const places = [place(9, "Canteen", 0.03), place(10, "Canteen", 0.031), place(1, "Bus Stand", 0), place(2, "Bus Stand", 0.0015), place(3, "Bus Stand", 0.003)];
+  // 1 and 3 are over 200 m apart but both match 2
+  assert.deepEqual(ids(findDuplicateStopPlaces(places)), [[1, 2, 3], [9, 10]]);
+});
@@ -0,0 +1,64 @@
+// TOTP codes against the RFC 6238 test vectors, the drift window, replay steps and recovery codes
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateSecret, totpAt, verifyTotp, otpauthUrl, generateRecoveryCodes, normalizeRecoveryCode } from "../lib/totp.js";
+
+// The RFC 6238 SHA-1 key "12345678901234567890" in base32; the RFC's 8-digit codes end in these 6 digits
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const at = seconds => seconds * 1000;
+
+test("codes match the RFC 6238 test vectors", () => {
+  assert.equal(totpAt(RFC_SECRET, at(59)), "287082");
+  assert.equal(totpAt(RFC_SECRET, at(1111111109)), "081804");
+  assert.equal(totpAt(RFC_SECRET, at(1111111111)), "050471");
+  assert.equal(totpAt(RFC_SECRET, at(1234567890)), "005924");
+  assert.equal(totpAt(RFC_SECRET, at(2000000000)), "279037");
+  // Lower case and padding in a pasted secret are accepted
+  assert.equal(totpAt(RFC_SECRET.toLowerCase() + "====", at(59)), "287082");
+});
+
+test("a code is accepted one step either side of now, and verify returns its step", () => {
+  const now = at(1111111111); // step 37037037
+  const step = Math.floor(1111111111 / 30);
+  assert.equal(verifyTotp(RFC_SECRET, totpAt(RFC_SECRET, now), { timeMs: now }), step);
+  assert.equal(verifyTotp(RFC_SECRET, totpAt(RFC_SECRET, now - at(30)), { timeMs: now }), step - 1);
+  assert.equal(verifyTotp(RFC_SECRET, totpAt(RFC_SECRET, now + at(30)), { timeMs: now }), step + 1);
+  assert.equal(verifyTotp(RFC_SECRET, totpAt(RFC_SECRET, now - at(60)), { timeMs: now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, totpAt(RFC_SECRET, now - at(60)), { timeMs: now, window: 2 }), step - 2);
+  assert.equal(verifyTotp(RFC_SECRET, totpAt(RFC_SECRET, now + at(30)), { timeMs: now, window: 0 }), null);
+});
+
+test("a replayed code gives back the step already used, so the caller can refuse it", () => {
+  // Sign-in stores the step and only accepts a later one (lastUsedStep < step)
+  const code = totpAt(RFC_SECRET, at(1111111109));
+  const used = verifyTotp(RFC_SECRET, code, { timeMs: at(1111111109) });
+  const replayed = verifyTotp(RFC_SECRET, code, { timeMs: at(1111111111) });
+  assert.equal(replayed, used);
+  const next = verifyTotp(RFC_SECRET, totpAt(RFC_SECRET, at(1111111140)), { timeMs: at(1111111140) });
+  assert.ok(used < next);
+});
+
+test("malformed codes are rejected without comparing", () => {
+  const now = at(59);
+  assert.equal(verifyTotp(RFC_SECRET, "287 082", { timeMs: now }), Math.floor(59 / 30));
+  for (const bad of ["28708", "2870821", "abcdef", "", null, undefined]) assert.equal(verifyTotp(RFC_SECRET, bad, { timeMs: now }), null, String(bad));
+});
+
+test("new secrets are 160-bit base32, and otpauth URLs escape the label", () => {
+  const secret = generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notEqual(generateSecret(), secret);
+  assert.equal(
+    otpauthUrl({ issuer: "VRSEC Transit", account: "a+b@example.com", secret: "ABC" }),
+    "otpauth://totp/VRSEC%20Transit%3Aa%2Bb%40example.com?secret=ABC&issuer=VRSEC%20Transit&algorithm=SHA1&digits=6&period=30",
+  );
+});
+
+test("recovery codes are distinct and compare without case or dashes", () => {
+  const codes = generateRecoveryCodes();
+  assert.equal(codes.length, 10);
+  assert.equal(new Set(codes).size, 10);
+  for (const code of codes) assert.match(code, /^[A-Z2-7]{4}-[A-Z2-7]{4}$/);
+  assert.equal(normalizeRecoveryCode(codes[0].toLowerCase().replace("-", " ")), normalizeRecoveryCode(codes[0]));
+  assert.equal(generateRecoveryCodes(3).length, 3);
+});